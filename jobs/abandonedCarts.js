@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const Coupon = require('../models/Coupon');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendEmailInBackground, clientUrl } = require('../utils/mailer');
+
+const HOUR = 60 * 60 * 1000;
+
+// Hours of inactivity after which each reminder is sent, e.g. "1,24,72"
+const reminderSteps = () => (process.env.ABANDONED_CART_REMINDER_HOURS || '1,24,72')
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours > 0)
+  .sort((a, b) => a - b);
+
+// Percentage off offered with the last reminder (0 disables the coupon)
+const couponPercent = () => {
+  const percent = parseInt(process.env.ABANDONED_CART_COUPON_PERCENT);
+  return Number.isNaN(percent) ? 10 : Math.min(Math.max(percent, 0), 100);
+};
+
+const COUPON_DAYS = parseInt(process.env.ABANDONED_CART_COUPON_DAYS) || 7;
+
+// Reuse the cart's recovery coupon while it is still valid, otherwise create a
+// single-use coupon assigned to the shopper
+const recoveryCoupon = async (cart, userId, percent) => {
+  if (cart.recovery.couponCode && cart.recovery.couponExpiresAt > new Date()) {
+    const existing = await Coupon.findByCode(cart.recovery.couponCode);
+    if (existing && existing.usedCount === 0) return existing;
+  }
+
+  return await Coupon.create({
+    code: `BACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    description: 'Abandoned cart recovery',
+    type: 'percentage',
+    value: percent,
+    maxUses: 1,
+    maxUsesPerUser: 1,
+    isPublic: false,
+    expiresAt: new Date(Date.now() + COUPON_DAYS * 24 * HOUR),
+    source: 'abandoned_cart',
+    assignedTo: userId
+  });
+};
+
+// Send the next reminder for one cart. Returns true if a reminder was sent.
+const remindCart = async (cart, steps, now) => {
+  const idleHours = (now - cart.lastActivityAt.getTime()) / HOUR;
+  const due = steps.filter(hours => hours <= idleHours).length;
+  if (due <= cart.recovery.reminderCount) return false;
+
+  const user = await User.findById(cart.user);
+  if (!user || !user.isActive || user.deletedAt) return false;
+
+  const { lines, itemsPrice } = await cart.revalidate();
+  const items = lines.filter(line => line.available);
+  if (items.length === 0) return false;
+
+  const percent = couponPercent();
+  const coupon = due === steps.length && percent > 0
+    ? await recoveryCoupon(cart, user._id, percent)
+    : null;
+
+  sendEmailInBackground(user.email, 'abandonedCart', {
+    name: user.name,
+    items,
+    itemsPrice,
+    url: clientUrl('/cart'),
+    coupon: coupon && { code: coupon.code, percent: coupon.value, expiresAt: coupon.expiresAt }
+  });
+
+  await Notification.createNotification(
+    user._id,
+    'cart_reminder',
+    'You left something in your cart',
+    coupon
+      ? `Your cart is waiting. Use code ${coupon.code} for ${coupon.value}% off.`
+      : 'Your cart is waiting for you.',
+    { icon: 'cart', link: '/cart', data: { cartId: cart._id, couponCode: coupon ? coupon.code : null } }
+  );
+
+  // Update directly so the refreshed prices from revalidate() aren't saved
+  // and lastActivityAt is left alone
+  await Cart.updateOne({ _id: cart._id }, {
+    $set: {
+      'recovery.reminderCount': due,
+      'recovery.lastReminderAt': new Date(now),
+      ...(coupon && {
+        'recovery.couponCode': coupon.code,
+        'recovery.couponExpiresAt': coupon.expiresAt
+      })
+    }
+  });
+
+  return true;
+};
+
+// Send due reminders for logged-in users' carts that have been left idle
+const processAbandonedCarts = async () => {
+  const steps = reminderSteps();
+  if (steps.length === 0) return 0;
+
+  const now = Date.now();
+  const carts = await Cart.find({
+    user: { $exists: true },
+    'items.0': { $exists: true },
+    lastActivityAt: { $lte: new Date(now - steps[0] * HOUR) },
+    'recovery.reminderCount': { $lt: steps.length }
+  });
+
+  let sent = 0;
+  for (const cart of carts) {
+    try {
+      if (await remindCart(cart, steps, now)) sent++;
+    } catch (error) {
+      console.error(`Abandoned cart reminder for ${cart._id} failed:`, error);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  processAbandonedCarts
+};
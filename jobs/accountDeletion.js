@@ -0,0 +1,141 @@
+const fs = require('fs/promises');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Design = require('../models/Design');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const LoginThrottle = require('../models/LoginThrottle');
+const DataExport = require('../models/DataExport');
+const Cart = require('../models/Cart');
+const StockSubscription = require('../models/StockSubscription');
+const AuditLog = require('../models/AuditLog');
+const { exportPath } = require('./dataExport');
+const { sendEmailInBackground } = require('../utils/mailer');
+
+const COOLING_OFF_DAYS = parseInt(process.env.ACCOUNT_DELETION_COOLING_OFF_DAYS) || 14;
+
+const DELETED_NAME = 'Deleted User';
+
+const anonymizedEmail = (userId) => `deleted-${userId}@deleted.invalid`;
+
+// Remove personal data about a user everywhere it is stored. Orders stay
+// (they are accounting records) but lose the name, street address and
+// contact details; the city/state/zip/country needed for tax are kept.
+const anonymizeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) return null;
+
+  const originalEmail = user.email;
+  const email = anonymizedEmail(user._id);
+
+  // Direct update: the anonymized account intentionally has no password
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      name: DELETED_NAME,
+      email,
+      avatar: '',
+      phone: '',
+      address: { street: '', city: '', state: '', zipCode: '', country: '' },
+      providers: [],
+      wishlist: [],
+      role: 'user',
+      isActive: false,
+      emailVerified: false,
+      twoFactor: { enabled: false },
+      deletedAt: new Date()
+    },
+    $unset: {
+      password: 1,
+      emailVerificationToken: 1,
+      emailVerificationExpires: 1,
+      passwordResetToken: 1,
+      passwordResetExpires: 1,
+      magicLinkToken: 1,
+      magicLinkExpires: 1,
+      magicLinkFingerprint: 1,
+      emailChange: 1,
+      deletion: 1,
+      wishlistShareToken: 1,
+      lastLogin: 1
+    }
+  });
+
+  await Order.updateMany({ user: user._id }, {
+    $set: {
+      'shippingAddress.firstName': 'Deleted',
+      'shippingAddress.lastName': 'User',
+      'shippingAddress.email': email,
+      'shippingAddress.phone': '',
+      'shippingAddress.address': '',
+      notes: ''
+    }
+  });
+  await Order.updateMany(
+    { user: user._id, 'paymentResult.email_address': { $exists: true } },
+    { $set: { 'paymentResult.email_address': '' } }
+  );
+
+  await Product.updateMany(
+    { 'reviews.user': user._id },
+    { $set: { 'reviews.$[review].name': DELETED_NAME } },
+    { arrayFilters: [{ 'review.user': user._id }] }
+  );
+
+  // Designs that were never ordered are removed; ordered ones are needed to
+  // fulfil and reprint orders, so they are unpublished and stripped instead
+  await Design.deleteMany({ user: user._id, orderCount: { $lte: 0 } });
+  await Design.updateMany({ user: user._id }, {
+    $set: { name: 'Deleted design', isPublic: false, tags: [], approvalNotes: '' }
+  });
+
+  await Notification.deleteMany({ user: user._id });
+  await Cart.deleteMany({ user: user._id });
+  await StockSubscription.deleteMany({ $or: [{ user: user._id }, { email: originalEmail }] });
+  await Session.revokeAllForUser(user._id, 'account_deleted');
+  await ApiKey.updateMany(
+    { createdBy: user._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  await LoginThrottle.clearAccount(originalEmail);
+
+  // Audit entries about the account keep only who acted, what and when
+  await AuditLog.redactTarget('User', user._id);
+
+  const exports = await DataExport.find({ user: user._id });
+  for (const dataExport of exports) {
+    if (dataExport.fileName) {
+      await fs.rm(exportPath(dataExport.fileName), { force: true });
+    }
+  }
+  await DataExport.deleteMany({ user: user._id });
+
+  sendEmailInBackground(originalEmail, 'accountDeleted', { name: user.name });
+
+  return user._id;
+};
+
+// Anonymize accounts whose cooling-off period has ended
+const processDueDeletions = async () => {
+  const due = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    deletedAt: null
+  }).select('_id');
+
+  for (const user of due) {
+    try {
+      await anonymizeUser(user._id);
+    } catch (error) {
+      console.error(`Account deletion for ${user._id} failed:`, error);
+    }
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  COOLING_OFF_DAYS,
+  anonymizeUser,
+  processDueDeletions
+};
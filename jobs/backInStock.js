@@ -0,0 +1,139 @@
+const Product = require('../models/Product');
+const StockSubscription = require('../models/StockSubscription');
+const Notification = require('../models/Notification');
+const { sendEmailInBackground, clientUrl } = require('../utils/mailer');
+
+// Subscribers told per unit back in stock, the most told in one batch, and
+// the wait before the next batch for the same variant. A restock of 5 units
+// notifies 15 people, not everyone who ever asked.
+const PER_UNIT = parseInt(process.env.BACK_IN_STOCK_PER_UNIT) || 3;
+const BATCH_SIZE = parseInt(process.env.BACK_IN_STOCK_BATCH_SIZE) || 100;
+const BATCH_INTERVAL_MINUTES = parseInt(process.env.BACK_IN_STOCK_INTERVAL_MINUTES) || 60;
+
+// "Tee (M, Red)", leaving out default options
+const variantName = (product, { size, color }) => {
+  const label = [size, color]
+    .filter(option => option && option !== 'One Size' && option !== 'Default')
+    .join(', ');
+  return label ? `${product.name} (${label})` : product.name;
+};
+
+// Tell the oldest waiting subscribers for one variant, if it is in stock and
+// the last batch was long enough ago. Returns how many were notified.
+const notifyVariant = async (product, variant, now = Date.now()) => {
+  const stock = product.variantStock(variant);
+  if (stock <= 0) return 0;
+
+  const lastBatch = await StockSubscription.findOne({
+    product: product._id,
+    ...variant,
+    notifiedAt: { $exists: true }
+  }).sort({ notifiedAt: -1 });
+
+  if (lastBatch && now - lastBatch.notifiedAt.getTime() < BATCH_INTERVAL_MINUTES * 60 * 1000) {
+    return 0;
+  }
+
+  const subscriptions = await StockSubscription.find({
+    product: product._id,
+    ...variant,
+    status: 'active'
+  })
+    .sort({ createdAt: 1 })
+    .limit(Math.min(BATCH_SIZE, stock * PER_UNIT));
+
+  const name = variantName(product, variant);
+  let notified = 0;
+
+  for (const subscription of subscriptions) {
+    // Claim it first so a concurrent run can't send the same alert
+    const claimed = await StockSubscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'active' },
+      { $set: { status: 'notified', notifiedAt: new Date(now) } }
+    );
+    if (!claimed) continue;
+
+    sendEmailInBackground(subscription.email, 'backInStock', {
+      productName: name,
+      url: clientUrl(`/products/${product._id}`)
+    });
+
+    if (subscription.user) {
+      try {
+        await Notification.createNotification(
+          subscription.user,
+          'back_in_stock',
+          'Back in stock',
+          `${name} is back in stock.`,
+          {
+            icon: 'package',
+            link: `/products/${product._id}`,
+            data: { productId: product._id, ...variant }
+          }
+        );
+      } catch (error) {
+        console.error(`Back in stock notification for ${subscription._id} failed:`, error);
+      }
+    }
+
+    notified++;
+  }
+
+  return notified;
+};
+
+// Send due alerts for every variant of a product that has subscribers
+const processBackInStockAlerts = async (productId) => {
+  const product = await Product.findById(productId);
+  if (!product || !product.isActive) return 0;
+
+  const variants = await StockSubscription.aggregate([
+    { $match: { product: product._id, status: 'active' } },
+    { $group: { _id: { size: '$size', color: '$color' } } }
+  ]);
+
+  let notified = 0;
+  for (const { _id: variant } of variants) {
+    notified += await notifyVariant(product, variant);
+  }
+  return notified;
+};
+
+// Check a product for alerts after its stock went up, without holding up the
+// request
+const queueBackInStockAlerts = (productId) => {
+  setImmediate(() => {
+    processBackInStockAlerts(productId).catch(error => {
+      console.error(`Back in stock alerts for ${productId} error:`, error);
+    });
+  });
+};
+
+// Queue alerts for each product on an order whose stock was put back
+const queueOrderBackInStockAlerts = (order) => {
+  new Set(order.orderItems.map(item => item.product.toString())).forEach(queueBackInStockAlerts);
+};
+
+// Send the next batch for every product with waiting subscribers
+const processAllBackInStockAlerts = async () => {
+  const productIds = await StockSubscription.distinct('product', { status: 'active' });
+
+  let notified = 0;
+  for (const productId of productIds) {
+    try {
+      notified += await processBackInStockAlerts(productId);
+    } catch (error) {
+      console.error(`Back in stock alerts for ${productId} failed:`, error);
+    }
+  }
+  return notified;
+};
+
+module.exports = {
+  variantName,
+  notifyVariant,
+  processBackInStockAlerts,
+  queueBackInStockAlerts,
+  queueOrderBackInStockAlerts,
+  processAllBackInStockAlerts
+};
@@ -0,0 +1,169 @@
+const fs = require('fs/promises');
+const path = require('path');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Design = require('../models/Design');
+const Notification = require('../models/Notification');
+const Coupon = require('../models/Coupon');
+const DataExport = require('../models/DataExport');
+const StockSubscription = require('../models/StockSubscription');
+const { createZip } = require('../utils/zip');
+const { sendEmailInBackground, apiUrl } = require('../utils/mailer');
+
+const EXPORT_DIR = path.resolve(process.env.DATA_EXPORT_DIR || './exports');
+
+const exportPath = (fileName) => path.join(EXPORT_DIR, fileName);
+
+// Collect everything stored about a user, grouped by section
+const buildExportData = async (userId) => {
+  const [user, orders, reviewedProducts, designs, notifications, coupons, stockAlerts] = await Promise.all([
+    User.findById(userId).populate('wishlist', 'name price category images'),
+    Order.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Product.find({ 'reviews.user': userId }).select('name reviews').lean(),
+    Design.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Notification.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Coupon.find({ 'usedBy.user': userId }).select('code description type value usedBy').lean(),
+    StockSubscription.find({ user: userId }).populate('product', 'name').sort({ createdAt: -1 }).lean()
+  ]);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const profile = user.toJSON();
+  delete profile.wishlist;
+  delete profile.address;
+
+  return {
+    profile,
+    addresses: {
+      account: user.address,
+      shipping: orders.map(order => ({
+        orderNumber: order.orderNumber,
+        ...order.shippingAddress
+      }))
+    },
+    orders,
+    reviews: reviewedProducts.flatMap(product => product.reviews
+      .filter(review => review.user.toString() === userId.toString())
+      .map(review => ({
+        product: { id: product._id, name: product.name },
+        ...review
+      }))),
+    designs,
+    notifications,
+    couponUsages: coupons.flatMap(coupon => coupon.usedBy
+      .filter(usage => usage.user && usage.user.toString() === userId.toString())
+      .map(usage => ({
+        code: coupon.code,
+        description: coupon.description,
+        type: coupon.type,
+        value: coupon.value,
+        usedAt: usage.usedAt,
+        orderValue: usage.orderValue
+      }))),
+    wishlist: user.wishlist,
+    stockAlerts
+  };
+};
+
+// Serialise the export as one JSON file or a ZIP with a file per section
+const renderArchive = (data, format, generatedAt) => {
+  const meta = {
+    generatedAt: generatedAt.toISOString(),
+    sections: Object.keys(data)
+  };
+
+  if (format === 'json') {
+    return Buffer.from(JSON.stringify({ ...meta, ...data }, null, 2));
+  }
+
+  return createZip([
+    { name: 'export.json', content: JSON.stringify(meta, null, 2) },
+    ...Object.entries(data).map(([section, content]) => ({
+      name: `${section}.json`,
+      content: JSON.stringify(content, null, 2)
+    }))
+  ], generatedAt);
+};
+
+// Build the archive for an export request and email the download link
+const processDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing' } },
+    { new: true }
+  );
+  if (!dataExport) return null;
+
+  try {
+    const generatedAt = new Date();
+    const data = await buildExportData(dataExport.user);
+    const archive = renderArchive(data, dataExport.format, generatedAt);
+    const fileName = `${dataExport._id}.${dataExport.format}`;
+
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.writeFile(exportPath(fileName), archive);
+
+    dataExport.status = 'ready';
+    dataExport.fileName = fileName;
+    dataExport.fileSize = archive.length;
+    dataExport.completedAt = new Date();
+    await dataExport.save();
+
+    sendEmailInBackground(data.profile.email, 'dataExportReady', {
+      name: data.profile.name,
+      url: dataExport.getDownloadUrl(apiUrl('')),
+      expiresAt: dataExport.expiresAt
+    });
+  } catch (error) {
+    console.error(`Data export ${dataExport._id} failed:`, error);
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    await dataExport.save();
+  }
+
+  return dataExport;
+};
+
+// Run an export without holding up the request
+const queueDataExport = (exportId) => {
+  setImmediate(() => {
+    processDataExport(exportId).catch(error => {
+      console.error(`Data export ${exportId} error:`, error);
+    });
+  });
+};
+
+// Pick up exports left pending by a restart
+const resumePendingExports = async () => {
+  await DataExport.updateMany({ status: 'processing' }, { $set: { status: 'pending' } });
+  const pending = await DataExport.find({ status: 'pending' }).select('_id');
+  pending.forEach(dataExport => queueDataExport(dataExport._id));
+  return pending.length;
+};
+
+// Delete expired export files and records
+const cleanupExpiredExports = async () => {
+  const expired = await DataExport.find({ expiresAt: { $lte: new Date() } });
+
+  for (const dataExport of expired) {
+    if (dataExport.fileName) {
+      await fs.rm(exportPath(dataExport.fileName), { force: true });
+    }
+    await dataExport.deleteOne();
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  EXPORT_DIR,
+  exportPath,
+  buildExportData,
+  processDataExport,
+  queueDataExport,
+  resumePendingExports,
+  cleanupExpiredExports
+};
@@ -0,0 +1,42 @@
+const { resumePendingExports, cleanupExpiredExports } = require('./dataExport');
+const { processDueDeletions } = require('./accountDeletion');
+const { processAbandonedCarts } = require('./abandonedCarts');
+const { processAllBackInStockAlerts } = require('./backInStock');
+const { releaseExpiredReservations } = require('./stockReservations');
+
+const HOUR = 60 * 60 * 1000;
+
+// Recurring background jobs, run in-process. Set DISABLE_JOBS=true on extra
+// instances so only one server runs them.
+const schedule = [
+  { name: 'cleanup-expired-exports', interval: HOUR, run: cleanupExpiredExports },
+  { name: 'process-account-deletions', interval: HOUR, run: processDueDeletions },
+  { name: 'abandoned-cart-reminders', interval: 15 * 60 * 1000, run: processAbandonedCarts },
+  { name: 'back-in-stock-alerts', interval: 15 * 60 * 1000, run: processAllBackInStockAlerts },
+  { name: 'release-expired-stock', interval: 5 * 60 * 1000, run: releaseExpiredReservations }
+];
+
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  }
+};
+
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') return;
+
+  resumePendingExports().catch(error => {
+    console.error('Resume data exports failed:', error);
+  });
+
+  schedule.forEach(job => {
+    runJob(job);
+    setInterval(() => runJob(job), job.interval).unref();
+  });
+};
+
+module.exports = {
+  startJobs
+};
@@ -0,0 +1,49 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+
+const formatPrice = (amount) => `$${Number(amount).toFixed(2)}`;
+
+// Notify everyone with the product on their wishlist that its price dropped
+const notifyPriceDrop = async (product, previousPrice) => {
+  if (!product.isActive || !(product.price < previousPrice)) return 0;
+
+  const users = await User.find({
+    wishlist: product._id,
+    isActive: true,
+    deletedAt: null
+  }).select('_id');
+
+  for (const user of users) {
+    try {
+      await Notification.createNotification(
+        user._id,
+        'price_drop',
+        'Price drop on your wishlist',
+        `${product.name} is now ${formatPrice(product.price)} (was ${formatPrice(previousPrice)}).`,
+        {
+          icon: 'tag',
+          link: `/products/${product._id}`,
+          data: { productId: product._id, previousPrice, price: product.price }
+        }
+      );
+    } catch (error) {
+      console.error(`Price drop notification for ${user._id} failed:`, error);
+    }
+  }
+
+  return users.length;
+};
+
+// Send price drop notifications without holding up the request
+const queuePriceDropAlerts = (product, previousPrice) => {
+  setImmediate(() => {
+    notifyPriceDrop(product, previousPrice).catch(error => {
+      console.error(`Price drop alerts for ${product._id} error:`, error);
+    });
+  });
+};
+
+module.exports = {
+  notifyPriceDrop,
+  queuePriceDropAlerts
+};
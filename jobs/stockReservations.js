@@ -0,0 +1,45 @@
+const Order = require('../models/Order');
+const { releaseReservation } = require('../utils/inventory');
+const { queueBackInStockAlerts } = require('./backInStock');
+
+// Put back the stock of unpaid orders whose hold has run out and cancel them.
+// Each release is claimed atomically, so overlapping runs (or a customer
+// cancelling or paying at the same moment) restock an order at most once.
+const releaseExpiredReservations = async () => {
+  const orders = await Order.find({
+    'reservation.status': 'held',
+    'reservation.expiresAt': { $lte: new Date() },
+    isPaid: false
+  });
+
+  const restocked = new Set();
+  let released = 0;
+
+  for (const order of orders) {
+    try {
+      const claimed = await releaseReservation(order, {
+        'reservation.status': 'held',
+        isPaid: false
+      });
+      if (!claimed) continue;
+
+      released++;
+      order.orderItems.forEach(item => restocked.add(item.product.toString()));
+
+      if (['pending', 'processing'].includes(order.status)) {
+        order.updateStatus('cancelled', 'Payment not received in time');
+        await order.save();
+      }
+    } catch (error) {
+      console.error(`Releasing stock for order ${order._id} failed:`, error);
+    }
+  }
+
+  restocked.forEach(queueBackInStockAlerts);
+
+  return released;
+};
+
+module.exports = {
+  releaseExpiredReservations
+};
@@ -1,9 +1,80 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const { getRolePermissions } = require('../utils/permissions');
 
-// Middleware to verify JWT token
+// Per-key rate limit, each key has its own requests-per-minute budget
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => req.apiKey.prefix,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please slow down'
+  }
+});
+
+// Permissions required by the route being handled (see requirePermission)
+const getRoutePermissions = (req) => (req.route ? req.route.stack : [])
+  .map(layer => layer.handle.permission)
+  .filter(Boolean);
+
+// Authenticate an X-Api-Key request. Keys act on behalf of the admin who
+// created them, limited to the key's scopes, and only on routes guarded by
+// requirePermission.
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = await ApiKey.findByKey(req.header('x-api-key'));
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API key'
+    });
+  }
+
+  const user = await User.findById(apiKey.createdBy);
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key owner no longer has access'
+    });
+  }
+
+  if (getRoutePermissions(req).length === 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint'
+    });
+  }
+
+  await apiKey.touch(req.ip);
+
+  // A key never grants more than its creator currently has
+  const rolePermissions = getRolePermissions(user.role);
+  req.apiKey = apiKey;
+  req.user = {
+    userId: user._id.toString(),
+    role: user.role,
+    permissions: apiKey.scopes.filter(scope => rolePermissions.includes(scope)),
+    apiKeyId: apiKey._id.toString(),
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled)
+  };
+
+  apiKeyLimiter(req, res, next);
+};
+
+// Middleware to verify JWT token (or an API key sent as X-Api-Key)
 const auth = async (req, res, next) => {
   try {
+    if (req.header('x-api-key')) {
+      return await authenticateApiKey(req, res, next);
+    }
+
     // Get token from header
     const token = req.header('x-auth-token') || req.header('Authorization')?.replace('Bearer ', '');
 
@@ -16,7 +87,16 @@ const auth = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+
+    // Check that the session behind the token is still alive
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
     // Check if user still exists
     const user = await User.findById(decoded.userId);
     if (!user) {
@@ -34,12 +114,37 @@ const auth = async (req, res, next) => {
       });
     }
 
+    await session.touch();
+
     // Add user info to request
     req.user = {
       userId: decoded.userId,
-      role: user.role
+      role: user.role,
+      permissions: getRolePermissions(user.role),
+      sessionId: decoded.sid,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled)
     };
 
+    // Staff signed in as this user: no privileges, and every request is
+    // written to the audit log once it completes
+    if (session.impersonatedBy) {
+      req.user.impersonatedBy = session.impersonatedBy.toString();
+      req.user.permissions = [];
+
+      res.on('finish', () => {
+        AuditLog.record(req, 'impersonation.request', {
+          targetType: 'User',
+          targetId: decoded.userId,
+          metadata: {
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: res.statusCode
+          }
+        });
+      });
+    }
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -64,32 +169,112 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is admin
-const adminAuth = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
+// Middleware for routes open to guests: authenticates when credentials are
+// sent, otherwise continues without req.user
+const optionalAuth = (req, res, next) => {
+  const hasCredentials = req.header('x-auth-token') || req.header('Authorization') || req.header('x-api-key');
+  if (!hasCredentials) return next();
+  return auth(req, res, next);
+};
+
+// Whether admin and other staff accounts must have 2FA enabled before
+// using privileged routes
+const isAdmin2faRequired = () => process.env.REQUIRE_ADMIN_2FA === 'true';
+
+// Send 403 when mandatory staff 2FA is not set up, returns true if it did
+const rejectWithout2fa = (req, res) => {
+  if (isAdmin2faRequired() && !req.user.twoFactorEnabled) {
     res.status(403).json({
       success: false,
-      message: 'Access denied. Admin privileges required.'
+      message: 'Two-factor authentication must be enabled to access admin features',
+      code: 'TWO_FACTOR_REQUIRED'
     });
+    return true;
   }
+  return false;
 };
 
-// Middleware to check if user is admin or the resource owner
-const adminOrOwner = (req, res, next) => {
-  if (req.user && (req.user.role === 'admin' || req.user.userId === req.params.userId)) {
+// Middleware to check that the user's role (or API key scopes) grants a
+// permission
+const requirePermission = (permission) => {
+  const middleware = (req, res, next) => {
+    if (!req.user || !req.user.permissions.includes(permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${permission}`
+      });
+    }
+
+    // API keys are not tied to an interactive login
+    if (!req.user.apiKeyId && rejectWithout2fa(req, res)) return;
+
     next();
-  } else {
-    res.status(403).json({
+  };
+  middleware.permission = permission;
+  return middleware;
+};
+
+// Middleware to check the permission, or that the user is the owner of the
+// resource identified by req.params[param]
+const requirePermissionOrOwner = (permission, param = 'id') => {
+  const checkPermission = requirePermission(permission);
+
+  const middleware = (req, res, next) => {
+    if (req.user && !req.user.apiKeyId && req.user.userId === req.params[param]) {
+      return next();
+    }
+
+    return checkPermission(req, res, next);
+  };
+  middleware.permission = permission;
+  return middleware;
+};
+
+// Middleware to block sensitive actions while a staff member is impersonating
+// the user
+const blockImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonatedBy) {
+    return res.status(403).json({
       success: false,
-      message: 'Access denied. Insufficient privileges.'
+      message: 'This action is not available while impersonating a user',
+      code: 'IMPERSONATION_FORBIDDEN'
     });
   }
+
+  next();
+};
+
+// Actions that require a verified email, from EMAIL_VERIFICATION_REQUIRED_FOR
+// (comma separated, e.g. "orders,reviews,designs" or "login")
+const isEmailVerificationRequired = (action) => {
+  const actions = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+    .split(',')
+    .map(a => a.trim())
+    .filter(Boolean);
+  return actions.includes(action);
+};
+
+// Middleware to block unverified users from an action when the policy
+// requires it. `appliesTo(req)` can narrow it to some requests only.
+const requireVerifiedEmail = (action, appliesTo = () => true) => (req, res, next) => {
+  if (!isEmailVerificationRequired(action) || !appliesTo(req) || (req.user && req.user.emailVerified)) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Please verify your email address to continue',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
 };
 
 module.exports = {
   auth,
-  adminAuth,
-  adminOrOwner
+  optionalAuth,
+  requirePermission,
+  requirePermissionOrOwner,
+  requireVerifiedEmail,
+  blockImpersonation,
+  isAdmin2faRequired,
+  isEmailVerificationRequired
 };
\ No newline at end of file
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Tag each request with an ID (kept from X-Request-Id when the proxy sets a
+// sane one) and echo it back so log lines and audit entries can be matched
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// API keys look like "isk_<prefix>_<secret>". The prefix is stored in clear
+// to find the key, only a SHA-256 hash of the full key is stored.
+const KEY_PATTERN = /^isk_([0-9a-f]{12})_[A-Za-z0-9_-]{43}$/;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateKey = (prefix) => `isk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // After rotation the old key keeps working until previousKeyExpiresAt
+  previousKeyHash: {
+    type: String,
+    select: false
+  },
+  previousKeyExpiresAt: Date,
+  // Permission names from utils/permissions, e.g. "orders:read"
+  scopes: [{
+    type: String
+  }],
+  // Requests per minute
+  rateLimit: {
+    type: Number,
+    default: 60,
+    min: 1
+  },
+  // Requests made with the key act on behalf of this user
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  rotatedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes (prefix index is automatic due to unique: true)
+apiKeySchema.index({ createdBy: 1, createdAt: -1 });
+
+// Virtual for whether the key can be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to replace the secret, returns the new key. The old key stays
+// valid for `graceMinutes` so integrations can be switched over.
+apiKeySchema.methods.rotate = function(graceMinutes = 0) {
+  const key = generateKey(this.prefix);
+
+  if (graceMinutes > 0) {
+    this.previousKeyHash = this.keyHash;
+    this.previousKeyExpiresAt = new Date(Date.now() + graceMinutes * 60 * 1000);
+  } else {
+    this.previousKeyHash = undefined;
+    this.previousKeyExpiresAt = undefined;
+  }
+
+  this.keyHash = hashKey(key);
+  this.rotatedAt = new Date();
+  return key;
+};
+
+// Method to record usage (at most one write per minute)
+apiKeySchema.methods.touch = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return Promise.resolve(this);
+  }
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip || '' } }
+  );
+};
+
+// Method to revoke the key
+apiKeySchema.methods.revoke = function(userId) {
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  return this.save();
+};
+
+// Static method to create a key, returns { apiKey, key }. The key itself is
+// only available here.
+apiKeySchema.statics.generate = async function({ name, scopes, rateLimit, expiresAt, createdBy }) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = generateKey(prefix);
+
+  const apiKey = await this.create({
+    name,
+    prefix,
+    keyHash: hashKey(key),
+    scopes,
+    rateLimit,
+    expiresAt,
+    createdBy
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to find the active key matching a raw key, or null
+apiKeySchema.statics.findByKey = async function(key) {
+  const match = KEY_PATTERN.exec(key || '');
+  if (!match) return null;
+
+  const apiKey = await this.findOne({ prefix: match[1] }).select('+keyHash +previousKeyHash');
+  if (!apiKey || !apiKey.isActive) return null;
+
+  const hash = Buffer.from(hashKey(key));
+  const matches = (stored) => !!stored &&
+    crypto.timingSafeEqual(hash, Buffer.from(stored));
+
+  if (matches(apiKey.keyHash)) return apiKey;
+  if (apiKey.previousKeyExpiresAt > new Date() && matches(apiKey.previousKeyHash)) return apiKey;
+  return null;
+};
+
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    delete ret.previousKeyHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
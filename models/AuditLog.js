@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+// Record of a privileged (admin/staff) action
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorRole: {
+    type: String,
+    default: ''
+  },
+  // Set when the actor was signed in as another user
+  impersonatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the action was made with an API key
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  // e.g. "user.role_update", "order.refund", "product.update"
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: {
+      type: String,
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    label: {
+      type: String,
+      default: ''
+    }
+  },
+  // Fields that changed, with their values before and after the action
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: Object,
+    default: {}
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  requestId: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Fields never copied into the log (bookkeeping and secrets)
+const IGNORED_FIELDS = new Set([
+  '_id', '__v', 'createdAt', 'updatedAt',
+  'password', 'twoFactor', 'emailChange',
+  'emailVerificationToken', 'emailVerificationExpires',
+  'passwordResetToken', 'passwordResetExpires',
+  'magicLinkToken', 'magicLinkExpires', 'magicLinkFingerprint',
+  'wishlistShareToken', 'unlockTokenHash', 'keyHash', 'previousKeyHash'
+]);
+
+// Convert a document (or plain object) to comparable JSON values
+const toPlain = (value) => {
+  if (!value) return {};
+  const plain = typeof value.toObject === 'function'
+    ? value.toObject({ depopulate: true, virtuals: false })
+    : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Top-level fields that differ between two snapshots
+const diff = (before, after) => {
+  const changes = [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.has(field)) return;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, before: before[field], after: after[field] });
+    }
+  });
+
+  return changes;
+};
+
+// Static method to record an action taken during a request. `before` and
+// `after` are snapshots (documents or objects) of the target. Failures are
+// logged rather than thrown so the action itself still succeeds.
+auditLogSchema.statics.record = async function(req, action, { targetType, target, targetId, label, before, after, metadata } = {}) {
+  try {
+    const id = targetId || (target && target._id);
+
+    return await this.create({
+      actor: req.user.impersonatedBy || req.user.userId,
+      actorRole: req.user.impersonatedBy ? '' : req.user.role,
+      impersonatedUser: req.user.impersonatedBy ? req.user.userId : undefined,
+      apiKey: req.user.apiKeyId,
+      action,
+      target: {
+        type: targetType,
+        id,
+        label: label || ''
+      },
+      changes: before || after ? diff(toPlain(before), toPlain(after)) : [],
+      metadata: metadata || {},
+      ip: req.ip || '',
+      userAgent: req.get('User-Agent') || '',
+      requestId: req.id || ''
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+// Static method to snapshot a document before it is modified
+auditLogSchema.statics.snapshot = function(doc) {
+  return toPlain(doc);
+};
+
+// Static method to strip what entries about a target say about it (label,
+// changed values, metadata), keeping who did what and when. Used when the
+// target's personal data is erased.
+auditLogSchema.statics.redactTarget = function(targetType, id) {
+  return this.updateMany(
+    { 'target.type': targetType, 'target.id': id },
+    { $set: { 'target.label': '', changes: [], metadata: {} } }
+  );
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
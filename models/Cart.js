@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const GUEST_CART_EXPIRES_DAYS = parseInt(process.env.GUEST_CART_EXPIRES_DAYS) || 30;
+const MAX_LINE_QUANTITY = 99;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  size: {
+    type: String,
+    default: 'One Size'
+  },
+  color: {
+    type: String,
+    default: 'Default'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: MAX_LINE_QUANTITY
+  },
+  // Price last shown to the shopper, used to flag price changes
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// A cart belongs to a user, or to a guest identified by an anonymous token
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guestTokenHash: {
+    type: String,
+    select: false
+  },
+  items: [cartItemSchema],
+  // Last change made by the shopper (price refreshes don't count)
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Abandoned cart reminders sent since the last activity
+  recovery: {
+    reminderCount: {
+      type: Number,
+      default: 0
+    },
+    lastReminderAt: Date,
+    couponCode: String,
+    couponExpiresAt: Date
+  },
+  // Only guest carts expire
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ guestTokenHash: 1 }, { unique: true, partialFilterExpression: { guestTokenHash: { $exists: true } } });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cartSchema.index({ lastActivityAt: 1 });
+
+const sameLine = (item, { product, size, color }) =>
+  item.product.toString() === product.toString() && item.size === size && item.color === color;
+
+// Method to find the line for a product + size + color
+cartSchema.methods.findLine = function(key) {
+  return this.items.find(item => sameLine(item, key));
+};
+
+// Method to add a quantity to a line, creating it if needed
+cartSchema.methods.addItem = function({ product, size = 'One Size', color = 'Default', quantity, price }) {
+  const line = this.findLine({ product, size, color });
+
+  if (line) {
+    line.quantity = Math.min(line.quantity + quantity, MAX_LINE_QUANTITY);
+    line.price = price;
+    return line;
+  }
+
+  this.items.push({ product, size, color, quantity: Math.min(quantity, MAX_LINE_QUANTITY), price });
+  return this.items[this.items.length - 1];
+};
+
+// Method to move another cart's lines into this one
+cartSchema.methods.mergeFrom = function(other) {
+  other.items.forEach(item => {
+    this.addItem({
+      product: item.product,
+      size: item.size,
+      color: item.color,
+      quantity: item.quantity,
+      price: item.price
+    });
+  });
+};
+
+// Method to record a change by the shopper, restarting the reminder sequence
+cartSchema.methods.markActive = function() {
+  this.lastActivityAt = new Date();
+  this.recovery.reminderCount = 0;
+  this.recovery.lastReminderAt = undefined;
+};
+
+// Method to get abandoned cart attribution for an order placed now, or null
+cartSchema.methods.getRecoveryAttribution = function(couponCode = '') {
+  const windowDays = parseInt(process.env.ABANDONED_CART_ATTRIBUTION_DAYS) || 7;
+  const { lastReminderAt, reminderCount } = this.recovery;
+
+  if (!lastReminderAt || Date.now() - lastReminderAt.getTime() > windowDays * 24 * 60 * 60 * 1000) {
+    return null;
+  }
+
+  const usedCoupon = !!couponCode && couponCode.toUpperCase() === this.recovery.couponCode;
+  return {
+    source: 'abandoned_cart',
+    reminderCount,
+    remindedAt: lastReminderAt,
+    couponCode: usedCoupon ? this.recovery.couponCode : ''
+  };
+};
+
+// Method to drop lines that have just been ordered
+cartSchema.methods.removeOrderedItems = function(orderItems) {
+  orderItems.forEach(orderItem => {
+    const line = this.findLine(orderItem);
+    if (!line) return;
+
+    if (line.quantity > orderItem.quantity) {
+      line.quantity -= orderItem.quantity;
+    } else {
+      line.deleteOne();
+    }
+  });
+};
+
+// Method to keep guest carts alive while in use
+cartSchema.methods.extendExpiry = function() {
+  if (!this.user) {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+  }
+};
+
+// Method to check lines against current products. Updates line prices to the
+// live price and returns { lines, issues, itemsPrice, itemCount }.
+cartSchema.methods.revalidate = async function() {
+  const Product = mongoose.model('Product');
+  const products = await Product.find({ _id: { $in: this.items.map(item => item.product) } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const lines = [];
+  const issues = [];
+  let itemsPrice = 0;
+  let itemCount = 0;
+
+  this.items.forEach(item => {
+    const product = productsById.get(item.product.toString());
+    const line = {
+      id: item._id,
+      product: item.product,
+      size: item.size,
+      color: item.color,
+      quantity: item.quantity,
+      price: item.price,
+      available: false
+    };
+    lines.push(line);
+
+    if (!product || !product.isActive) {
+      issues.push({ item: item._id, code: 'unavailable', message: 'This product is no longer available' });
+      return;
+    }
+
+    line.name = product.name;
+    line.image = product.imageFor(item);
+
+    if (product.variants.length > 0 && !product.findVariant(item)?.isActive) {
+      issues.push({
+        item: item._id,
+        code: 'unavailable',
+        message: `${product.name} is no longer available in ${item.color} / ${item.size}`
+      });
+      return;
+    }
+
+    const price = product.priceFor(item);
+    const stock = product.availableStock(item);
+    line.stock = stock;
+
+    if (item.price !== price) {
+      issues.push({
+        item: item._id,
+        code: 'price_changed',
+        message: `The price of ${product.name} changed from $${item.price.toFixed(2)} to $${price.toFixed(2)}`,
+        previousPrice: item.price,
+        price
+      });
+      item.price = price;
+      line.price = price;
+    }
+
+    if (stock <= 0) {
+      issues.push({ item: item._id, code: 'out_of_stock', message: `${product.name} is out of stock` });
+      return;
+    }
+
+    if (stock < item.quantity) {
+      issues.push({
+        item: item._id,
+        code: 'insufficient_stock',
+        message: `Only ${stock} of ${product.name} left in stock`,
+        available: stock
+      });
+      return;
+    }
+
+    line.available = true;
+    line.lineTotal = Math.round(price * item.quantity * 100) / 100;
+    itemsPrice += price * item.quantity;
+    itemCount += item.quantity;
+  });
+
+  return {
+    lines,
+    issues,
+    itemsPrice: Math.round(itemsPrice * 100) / 100,
+    itemCount
+  };
+};
+
+// Static method to create a guest cart, returns { cart, token }
+cartSchema.statics.createGuestCart = async function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const cart = new this({ guestTokenHash: hashToken(token) });
+  cart.extendExpiry();
+  await cart.save();
+  return { cart, token };
+};
+
+// Static method to find a guest cart by its token
+cartSchema.statics.findByGuestToken = function(token) {
+  if (!token || typeof token !== 'string') return Promise.resolve(null);
+  return this.findOne({ guestTokenHash: hashToken(token), user: { $exists: false } });
+};
+
+// Static method to get (or create) a user's cart
+cartSchema.statics.findOrCreateForUser = async function(userId) {
+  return await this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to merge a guest cart into a user's cart and delete it
+cartSchema.statics.mergeGuestCart = async function(token, userId) {
+  const guestCart = await this.findByGuestToken(token);
+  if (!guestCart) return null;
+
+  const cart = await this.findOrCreateForUser(userId);
+  cart.mergeFrom(guestCart);
+  cart.markActive();
+  await cart.save();
+  await guestCart.deleteOne();
+  return cart;
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -86,10 +86,23 @@ const couponSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Expiration date is required']
   },
+  // Coupons generated by the system (e.g. cart recovery) have no creator
+  source: {
+    type: String,
+    enum: ['admin', 'abandoned_cart'],
+    default: 'admin'
+  },
+  // Restricts the coupon to a single customer
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return this.source === 'admin';
+    }
   }
 }, {
   timestamps: true
@@ -135,6 +148,11 @@ couponSchema.methods.validate = function(orderValue, userId, cartItems = []) {
     return { valid: false, message: 'This coupon has been fully redeemed' };
   }
 
+  // Check personal coupons
+  if (this.assignedTo && (!userId || this.assignedTo.toString() !== userId.toString())) {
+    return { valid: false, message: 'This coupon is not valid for your account' };
+  }
+
   // Check user usage limit
   if (userId) {
     const userUses = this.usedBy.filter(u => u.user.toString() === userId).length;
@@ -169,8 +187,9 @@ couponSchema.methods.validate = function(orderValue, userId, cartItems = []) {
   return { valid: true, message: 'Coupon is valid' };
 };
 
-// Method to calculate discount
-couponSchema.methods.calculateDiscount = function(orderValue) {
+// Method to calculate discount. Free shipping coupons discount the shipping
+// price instead of the order value.
+couponSchema.methods.calculateDiscount = function(orderValue, shippingPrice = 0) {
   let discount = 0;
 
   switch (this.type) {
@@ -184,13 +203,35 @@ couponSchema.methods.calculateDiscount = function(orderValue) {
       discount = Math.min(this.value, orderValue);
       break;
     case 'free_shipping':
-      discount = 0; // Shipping discount handled separately
+      discount = shippingPrice;
+      if (this.maxDiscount && discount > this.maxDiscount) {
+        discount = this.maxDiscount;
+      }
       break;
   }
 
   return Math.round(discount * 100) / 100;
 };
 
+// Method to get the part of an order the coupon applies to. Lines need
+// product, category, price and quantity.
+couponSchema.methods.getEligibleSubtotal = function(lines) {
+  const restricted = this.applicableProducts.length > 0 || this.applicableCategories.length > 0;
+
+  const total = lines
+    .filter(line => {
+      const isExcluded = this.excludedProducts.some(p => p.toString() === line.product.toString());
+      if (isExcluded) return false;
+      if (!restricted) return true;
+
+      return this.applicableProducts.some(p => p.toString() === line.product.toString()) ||
+        this.applicableCategories.includes(line.category);
+    })
+    .reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  return Math.round(total * 100) / 100;
+};
+
 // Method to apply coupon
 couponSchema.methods.apply = function(userId, orderValue) {
   this.usedCount += 1;
@@ -213,6 +254,51 @@ couponSchema.statics.getActiveCoupons = function() {
   }).select('-usedBy');
 };
 
+// Static method to record a use atomically, so the last use of a limited
+// coupon, or of a customer's allowance, can't be taken by two orders.
+// Returns the usage id, or null if the coupon can't be used.
+couponSchema.statics.redeem = async function(couponId, userId, orderValue) {
+  const usageId = new mongoose.Types.ObjectId();
+  const user = userId ? new mongoose.Types.ObjectId(userId) : undefined;
+  const now = new Date();
+
+  const filter = {
+    _id: couponId,
+    isActive: true,
+    startDate: { $lte: now },
+    expiresAt: { $gt: now },
+    $or: [
+      { maxUses: null },
+      { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+    ]
+  };
+
+  // The customer's earlier uses are counted in the same update
+  if (user) {
+    filter.$expr = {
+      $lt: [
+        { $size: { $filter: { input: '$usedBy', as: 'use', cond: { $eq: ['$$use.user', user] } } } },
+        { $ifNull: ['$maxUsesPerUser', 1] }
+      ]
+    };
+  }
+
+  const coupon = await this.findOneAndUpdate(filter, {
+    $inc: { usedCount: 1 },
+    $push: { usedBy: { _id: usageId, user, orderValue } }
+  });
+
+  return coupon ? usageId : null;
+};
+
+// Static method to undo a use recorded for an order that failed
+couponSchema.statics.release = function(couponId, usageId) {
+  return this.updateOne(
+    { _id: couponId, 'usedBy._id': usageId },
+    { $inc: { usedCount: -1 }, $pull: { usedBy: { _id: usageId } } }
+  );
+};
+
 // Static method to find valid coupon by code
 couponSchema.statics.findByCode = function(code) {
   return this.findOne({
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const DOWNLOAD_EXPIRES_HOURS = parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS) || 48;
+
+// Secret for signing download links
+const signingSecret = () => process.env.DATA_EXPORT_SECRET || process.env.JWT_SECRET;
+
+// Personal data export requested by a user, built in the background
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['zip', 'json'],
+    default: 'zip'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  fileName: String,
+  fileSize: Number,
+  error: String,
+  completedAt: Date,
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  // The record (and the link) expire; the file is removed by the export job
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + DOWNLOAD_EXPIRES_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1 });
+dataExportSchema.index({ expiresAt: 1 });
+
+// Method to create the signature for a download link
+dataExportSchema.methods.sign = function(expires) {
+  return crypto.createHmac('sha256', signingSecret())
+    .update(`${this._id}:${expires}`)
+    .digest('hex');
+};
+
+// Method to build the signed download URL
+dataExportSchema.methods.getDownloadUrl = function(baseUrl) {
+  const expires = Math.floor(this.expiresAt.getTime() / 1000);
+  return `${baseUrl}/api/users/me/export/${this._id}/download?expires=${expires}&signature=${this.sign(expires)}`;
+};
+
+// Method to check a download link signature
+dataExportSchema.methods.verifySignature = function(expires, signature) {
+  if (!/^\d+$/.test(String(expires)) || parseInt(expires) * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.sign(expires));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Static method to get the export a user is waiting on, if any
+dataExportSchema.statics.findInProgress = function(userId) {
+  return this.findOne({
+    user: userId,
+    status: { $in: ['pending', 'processing'] }
+  });
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Tracks failed login attempts per account (normalized email) and per IP
+const loginThrottleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: Date,
+  lastIp: {
+    type: String,
+    default: ''
+  },
+  lockedUntil: Date,
+  unlockTokenHash: {
+    type: String,
+    select: false
+  },
+  // Counters are forgotten after a quiet period
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: 1 });
+loginThrottleSchema.index({ unlockTokenHash: 1 });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const getConfig = () => ({
+  freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+  backoffBaseSeconds: parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1,
+  backoffMaxSeconds: parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 300,
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 10,
+  maxIpFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 100,
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 30,
+  resetHours: parseInt(process.env.LOGIN_FAILURE_RESET_HOURS) || 24
+});
+
+// Exponential backoff delay (ms) after a number of failures
+const backoffDelay = (failedAttempts, config = getConfig()) => {
+  const over = failedAttempts - config.freeAttempts;
+  if (over < 0) return 0;
+  return Math.min(config.backoffBaseSeconds * 2 ** over, config.backoffMaxSeconds) * 1000;
+};
+
+// Method to get how long (ms) the caller has to wait before the next attempt
+loginThrottleSchema.methods.getRetryAfter = function() {
+  const now = Date.now();
+
+  if (this.lockedUntil && this.lockedUntil.getTime() > now) {
+    return this.lockedUntil.getTime() - now;
+  }
+
+  if (!this.lastFailedAt) return 0;
+  const nextAttemptAt = this.lastFailedAt.getTime() + backoffDelay(this.failedAttempts);
+  return Math.max(0, nextAttemptAt - now);
+};
+
+// Virtual for checking if an account lock is in force
+loginThrottleSchema.virtual('isLocked').get(function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+// Matches entries not locked at the moment
+const lockFilter = (now) => ({ $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] });
+
+// Static method to start a login attempt. Every attempt is counted as a
+// failure up front, in one atomic update per scope, and allowed or not on the
+// counters as they were before it, so a burst of parallel guesses is
+// throttled like guesses in a row. Attempts that turn out not to be failures
+// are given back with releaseAttempt. Attempts made while throttled still
+// count. Returns { allowed, locked, retryAfter } with retryAfter in seconds.
+loginThrottleSchema.statics.claimAttempt = async function(email, ip) {
+  const config = getConfig();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + config.resetHours * 60 * 60 * 1000);
+
+  const claim = (scope, key) => this.findOneAndUpdate(
+    { scope, key },
+    {
+      $inc: { failedAttempts: 1 },
+      $set: { lastFailedAt: now, lastIp: ip, expiresAt }
+    },
+    { upsert: true }
+  );
+
+  const entries = await Promise.all([claim('account', email.toLowerCase()), claim('ip', ip)]);
+
+  let allowed = true;
+  let locked = false;
+  let retryAfter = 0;
+
+  for (const entry of entries.filter(Boolean)) {
+    if (entry.getRetryAfter() > 0) allowed = false;
+    if (entry.scope === 'account' && entry.isLocked) locked = true;
+
+    // The wait from now on, with this attempt counted
+    const lockedFor = entry.isLocked ? entry.lockedUntil.getTime() - now.getTime() : 0;
+    retryAfter = Math.max(retryAfter, lockedFor, backoffDelay(entry.failedAttempts + 1, config));
+  }
+
+  return {
+    allowed,
+    locked,
+    retryAfter: allowed ? 0 : Math.ceil(retryAfter / 1000)
+  };
+};
+
+// Static method to give back an attempt that was not a failed login (the
+// password was right)
+loginThrottleSchema.statics.releaseAttempt = function(email, ip) {
+  return Promise.all(['account', 'ip'].map(scope => this.updateOne(
+    { scope, key: scope === 'account' ? email.toLowerCase() : ip, failedAttempts: { $gt: 0 } },
+    { $inc: { failedAttempts: -1 } }
+  )));
+};
+
+// Static method to record that a claimed attempt failed, locking the account
+// or IP once it reaches its limit. The lock is set in one conditional update,
+// so only one failure locks. Returns { unlockToken } when this failure caused
+// the account to be locked.
+loginThrottleSchema.statics.recordFailure = async function(email, ip, userId = null) {
+  const config = getConfig();
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + config.lockMinutes * 60 * 1000);
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+
+  const [account] = await Promise.all([
+    this.findOneAndUpdate(
+      { scope: 'account', key: email.toLowerCase(), failedAttempts: { $gte: config.maxAccountFailures }, ...lockFilter(now) },
+      {
+        $set: {
+          lockedUntil,
+          unlockTokenHash: crypto.createHash('sha256').update(unlockToken).digest('hex'),
+          ...(userId && { user: userId })
+        }
+      }
+    ),
+    this.updateOne(
+      { scope: 'ip', key: ip, failedAttempts: { $gte: config.maxIpFailures }, ...lockFilter(now) },
+      { $set: { lockedUntil } }
+    )
+  ]);
+
+  if (!account && userId) {
+    await this.updateOne({ scope: 'account', key: email.toLowerCase() }, { $set: { user: userId } });
+  }
+
+  return { unlockToken: account ? unlockToken : null };
+};
+
+// Static method to forget failures of an account after a successful login
+loginThrottleSchema.statics.clearAccount = function(email) {
+  return this.deleteOne({ scope: 'account', key: email.toLowerCase() });
+};
+
+// Static method to unlock an account with the token from the lockout email
+loginThrottleSchema.statics.unlockWithToken = async function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  const entry = await this.findOne({ scope: 'account', unlockTokenHash: hashedToken });
+  if (!entry) return null;
+
+  await entry.deleteOne();
+  return entry;
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -17,6 +17,8 @@ const notificationSchema = new mongoose.Schema({
       'design_approved',
       'design_rejected',
       'price_drop',
+      'back_in_stock',
+      'cart_reminder',
       'new_product',
       'promotion',
       'system'
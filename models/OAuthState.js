@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Pending OIDC authorization request, looked up by `state` on callback
+const oauthStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Set when an already signed-in user is linking a provider, with the
+  // session that must complete it
+  linkUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  linkSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes (state index is automatic due to unique: true)
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to consume a pending request (single use)
+oauthStateSchema.statics.consume = function(state, provider) {
+  return this.findOneAndDelete({
+    state,
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
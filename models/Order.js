@@ -31,9 +31,48 @@ const orderItemSchema = new mongoose.Schema({
   color: {
     type: String,
     default: 'Default'
-  }
+  },
+  // The variant whose stock this line took, for products with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: String,
+  // Snapshot used for coupon and tax rules
+  category: String,
+  // Share of the order discount taken off this line
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxes: [{
+    _id: false,
+    jurisdiction: String,
+    rate: Number,
+    amount: Number,
+    inclusive: Boolean
+  }]
 });
 
+// Tax collected for one jurisdiction on an order
+const taxBreakdownSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRule'
+  },
+  name: String,
+  jurisdiction: String,
+  inclusive: Boolean,
+  taxableAmount: Number,
+  shippingTax: Number,
+  amount: Number
+}, { _id: false });
+
 const shippingAddressSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -122,6 +161,30 @@ const orderSchema = new mongoose.Schema({
     default: 0.0,
     min: 0
   },
+  shippingMethod: {
+    code: String,
+    name: String,
+    zone: String
+  },
+  // Taken off shipping by a free shipping coupon
+  shippingDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Part of taxPrice already included in item/shipping prices (not added to
+  // the total)
+  taxIncluded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  shippingTax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxBreakdown: [taxBreakdownSchema],
   totalPrice: {
     type: Number,
     required: true,
@@ -137,6 +200,22 @@ const orderSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Set when the order followed an abandoned cart reminder
+  recovery: {
+    source: String,
+    reminderCount: Number,
+    remindedAt: Date,
+    couponCode: String
+  },
+  // Stock taken out for this order (see utils/inventory.js). Held stock goes
+  // back if the order isn't paid by expiresAt.
+  reservation: {
+    status: {
+      type: String,
+      enum: ['held', 'committed', 'released']
+    },
+    expiresAt: Date
+  },
   isPaid: {
     type: Boolean,
     required: true,
@@ -194,6 +273,7 @@ orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ isPaid: 1 });
 orderSchema.index({ isDelivered: 1 });
+orderSchema.index({ 'reservation.status': 1, 'reservation.expiresAt': 1 });
 
 // Generate order number before saving
 orderSchema.pre('save', async function(next) {
@@ -25,6 +25,51 @@ const reviewSchema = new mongoose.Schema({
   timestamps: true
 });
 
+const SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'One Size'];
+
+// A sellable size/color combination with its own SKU and stock. Price and
+// images fall back to the product's when not set.
+const variantSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    enum: SIZES,
+    default: 'One Size'
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: 'Default'
+  },
+  sku: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  stock: {
+    type: Number,
+    required: [true, 'Please provide stock for each variant'],
+    min: [0, 'Stock cannot be negative']
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  images: [{
+    url: {
+      type: String,
+      required: true
+    },
+    alt: {
+      type: String,
+      default: ''
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -93,6 +138,7 @@ const productSchema = new mongoose.Schema({
       default: ''
     }
   }],
+  // Stock per color and per size, for products without variants
   colors: [{
     name: {
       type: String,
@@ -112,7 +158,7 @@ const productSchema = new mongoose.Schema({
     name: {
       type: String,
       required: true,
-      enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'One Size']
+      enum: SIZES
     },
     stock: {
       type: Number,
@@ -120,6 +166,8 @@ const productSchema = new mongoose.Schema({
       min: 0
     }
   }],
+  variants: [variantSchema],
+  // Total across variants when the product has them
   stock: {
     type: Number,
     required: [true, 'Please provide stock quantity'],
@@ -198,6 +246,56 @@ productSchema.index({ category: 1, isActive: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ rating: -1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+const variantKey = ({ size, color }) => `${color} / ${size}`;
+
+// A product's stock is the total of its active variants. As an aggregation
+// expression so updates can keep it in step in the same write.
+const activeVariantStock = {
+  $sum: {
+    $map: {
+      input: { $filter: { input: '$variants', as: 'variant', cond: '$$variant.isActive' } },
+      as: 'variant',
+      in: '$$variant.stock'
+    }
+  }
+};
+
+// Check variants. Variants without a SKU get one from the product SKU, color
+// and size. A new product's stock is totalled from its active variants;
+// after that variant stock only changes through atomic updates, so a
+// product loaded before a sale can't write back its old stock.
+productSchema.pre('validate', function (next) {
+  if (this.variants.length === 0) return next();
+
+  const seen = new Set();
+  this.variants.forEach(variant => {
+    const key = variantKey(variant);
+    if (seen.has(key)) {
+      this.invalidate('variants', `Variant ${key} is listed twice`);
+    }
+    seen.add(key);
+
+    if (!variant.sku && this.sku) {
+      variant.sku = `${this.sku}-${variant.color}-${variant.size}`
+        .toUpperCase()
+        .replace(/[^A-Z0-9]+/g, '-');
+    }
+  });
+
+  if (this.isNew) {
+    this.stock = this.variants
+      .filter(variant => variant.isActive)
+      .reduce((sum, variant) => sum + variant.stock, 0);
+  } else if (this.isModified('stock')) {
+    this.invalidate('stock', 'Stock of a product with variants is set on its variants');
+  }
+  next();
+});
 
 // Generate slug before saving
 productSchema.pre('save', function (next) {
@@ -223,8 +321,156 @@ productSchema.methods.calculateAverageRating = function () {
   }
 };
 
+// Find the variant for a size/color
+productSchema.methods.findVariant = function ({ size, color } = {}) {
+  return this.variants.find(variant => variant.size === size && variant.color === color);
+};
+
+// Replace the variants, keeping the ids of ones that already exist (matched
+// by id or size/color) so orders can still restock them. Existing variants
+// keep their stock unless it is given, in which case the difference is
+// applied when they are saved.
+productSchema.methods.setVariants = function (variants) {
+  const stockChanges = new Map();
+  this.variants = variants.map(variant => {
+    const existing = (variant._id && this.variants.id(variant._id)) ||
+      this.findVariant({ size: variant.size || 'One Size', color: variant.color || 'Default' });
+    if (!existing) return variant;
+
+    if (variant.stock !== undefined) {
+      stockChanges.set(existing._id.toString(), variant.stock - existing.stock);
+    }
+    return { ...variant, _id: existing._id, stock: existing.stock };
+  });
+  this.$locals.stockChanges = stockChanges;
+};
+
+// Save the product after setVariants. The variants are written in one
+// pipeline update that takes each existing variant's stock from the database
+// at that moment, plus any change given to setVariants, so sales since the
+// product was loaded aren't undone. The product's stock is totalled in the
+// same update. Returns the saved product.
+productSchema.methods.saveVariants = async function () {
+  await this.validate();
+
+  const stockChanges = this.$locals.stockChanges || new Map();
+  const variants = this.variants.map(variant => {
+    const { stock, ...fields } = variant.toObject();
+    const current = {
+      $arrayElemAt: [{
+        $map: {
+          input: { $filter: { input: '$variants', as: 'variant', cond: { $eq: ['$$variant._id', variant._id] } } },
+          as: 'variant',
+          in: '$$variant.stock'
+        }
+      }, 0]
+    };
+    const change = stockChanges.get(variant._id.toString()) || 0;
+
+    return {
+      $mergeObjects: [
+        { $literal: fields },
+        // New variants start with the stock they were given
+        { stock: { $max: [{ $ifNull: [{ $add: [current, change] }, stock] }, 0] } }
+      ]
+    };
+  });
+
+  this.unmarkModified('variants');
+  await this.save();
+
+  return this.constructor.findOneAndUpdate({ _id: this._id }, [
+    { $set: { variants } },
+    { $set: { stock: { $cond: [{ $gt: [{ $size: '$variants' }, 0] }, activeVariantStock, '$stock'] } } }
+  ], { new: true });
+};
+
+// Check a size/color choice against the product's options. Returns the
+// normalised { size, color } or { error }.
+productSchema.methods.resolveOptions = function ({ size, color }) {
+  if (this.variants.length > 0) {
+    const active = this.variants.filter(variant => variant.isActive);
+    const sizes = [...new Set(active.map(variant => variant.size))];
+    const colors = [...new Set(active.map(variant => variant.color))];
+
+    // A choice with only one option doesn't need to be made
+    const options = {
+      size: size || (sizes.length === 1 ? sizes[0] : undefined),
+      color: color || (colors.length === 1 ? colors[0] : undefined)
+    };
+
+    if (!sizes.includes(options.size)) {
+      return { error: size ? `Size ${size} is not available for ${this.name}` : 'Please select a size' };
+    }
+    if (!colors.includes(options.color)) {
+      return { error: color ? `Color ${color} is not available for ${this.name}` : 'Please select a color' };
+    }
+    if (!active.some(variant => variant.size === options.size && variant.color === options.color)) {
+      return { error: `${variantKey(options)} is not available for ${this.name}` };
+    }
+
+    return options;
+  }
+
+  if (this.sizes.length > 0 && !this.sizes.some(s => s.name === size)) {
+    return { error: size ? `Size ${size} is not available for ${this.name}` : 'Please select a size' };
+  }
+  if (this.colors.length > 0 && !this.colors.some(c => c.name === color)) {
+    return { error: color ? `Color ${color} is not available for ${this.name}` : 'Please select a color' };
+  }
+
+  return {
+    size: this.sizes.length > 0 ? size : 'One Size',
+    color: this.colors.length > 0 ? color : 'Default'
+  };
+};
+
+// Units available for a size/color. Without variants, size and color stock
+// are tracked separately, so the lowest of the matching counts is used.
+productSchema.methods.variantStock = function ({ size, color } = {}) {
+  if (this.variants.length > 0) {
+    const variant = this.findVariant({ size, color });
+    return variant && variant.isActive ? Math.max(variant.stock, 0) : 0;
+  }
+
+  const counts = [this.stock];
+
+  const sizeOption = this.sizes.find(s => s.name === size);
+  if (sizeOption) counts.push(sizeOption.stock);
+
+  const colorOption = this.colors.find(c => c.name === color);
+  if (colorOption) counts.push(colorOption.stock);
+
+  return Math.max(Math.min(...counts), 0);
+};
+
+// Units of a size/color that can be ordered. Orders take stock from the
+// variant, or from the product total for products without variants.
+productSchema.methods.availableStock = function (options) {
+  return this.variants.length > 0 ? this.variantStock(options) : this.stock;
+};
+
+// Price of a size/color
+productSchema.methods.priceFor = function (options) {
+  const variant = this.findVariant(options);
+  return variant && variant.price !== undefined && variant.price !== null ? variant.price : this.price;
+};
+
+// Main image of a size/color
+productSchema.methods.imageFor = function (options) {
+  const variant = this.findVariant(options);
+  if (variant && variant.images.length > 0) return variant.images[0].url;
+  return this.images[0]?.url || '';
+};
+
 // Virtual for total stock across all variants
 productSchema.virtual('totalStock').get(function () {
+  if (this.variants && this.variants.length > 0) {
+    return this.variants
+      .filter(variant => variant.isActive)
+      .reduce((sum, variant) => sum + variant.stock, 0);
+  }
+
   let total = this.stock;
 
   if (this.colors && this.colors.length > 0) {
@@ -246,6 +492,49 @@ productSchema.virtual('discountPercentage').get(function () {
   return 0;
 });
 
+// Change a variant's stock by `change` in one atomic update, keeping the
+// product's stock the total of its active variants. Taking stock only
+// matches while the variant has enough; with `active` the product and the
+// variant must also be on sale. Returns the updated product, or null.
+productSchema.statics.adjustVariantStock = function (productId, variantId, change, { active = false } = {}) {
+  const id = new mongoose.Types.ObjectId(variantId);
+
+  return this.findOneAndUpdate(
+    {
+      _id: productId,
+      ...(active && { isActive: true }),
+      variants: {
+        $elemMatch: {
+          _id: id,
+          ...(active && { isActive: true }),
+          ...(change < 0 && { stock: { $gte: -change } })
+        }
+      }
+    },
+    [
+      {
+        $set: {
+          variants: {
+            $map: {
+              input: '$variants',
+              as: 'variant',
+              in: {
+                $cond: [
+                  { $eq: ['$$variant._id', id] },
+                  { $mergeObjects: ['$$variant', { stock: { $add: ['$$variant.stock', change] } }] },
+                  '$$variant'
+                ]
+              }
+            }
+          }
+        }
+      },
+      { $set: { stock: activeVariantStock } }
+    ],
+    { new: true }
+  );
+};
+
 // Static method to get featured products
 productSchema.statics.getFeatured = function () {
   return this.find({ isFeatured: true, isActive: true }).limit(8);
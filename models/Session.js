@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the refresh token currently issued for this session
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out. Presenting one of these
+  // again means the token family has been stolen.
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when a staff member is signed in as this user
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'user_revoked', 'password_changed', 'email_reverted', 'account_deleted']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshTokenTtl = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Virtual for checking if session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to issue a new refresh token, retiring the current one
+sessionSchema.methods.rotate = async function() {
+  const refreshToken = generateRefreshToken();
+
+  this.previousTokenHashes.push(this.refreshTokenHash);
+  this.refreshTokenHash = hashToken(refreshToken);
+  this.lastUsedAt = new Date();
+  await this.save();
+
+  return refreshToken;
+};
+
+// Method to record activity, throttled to one write per minute
+sessionSchema.methods.touch = function() {
+  if (Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return Promise.resolve(this);
+  }
+  this.lastUsedAt = new Date();
+  return this.save();
+};
+
+// Method to revoke session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to start a new session for a user
+sessionSchema.statics.start = async function(userId, { userAgent = '', ip = '', impersonatedBy, ttl = refreshTokenTtl() } = {}) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    ip,
+    impersonatedBy,
+    expiresAt: new Date(Date.now() + ttl)
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to find the session a refresh token belongs to.
+// `reused` is true when the token was already rotated out.
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await this.findOne({ refreshTokenHash: tokenHash })
+    .select('+refreshTokenHash +previousTokenHashes');
+  if (session) {
+    return { session, reused: false };
+  }
+
+  const reusedSession = await this.findOne({ previousTokenHashes: tokenHash });
+  return { session: reusedSession, reused: !!reusedSession };
+};
+
+// Static method to get active sessions of a user
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke all active sessions of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return await this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
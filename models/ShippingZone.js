@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// One row of a rate table: carts with min <= value < max pay `price`
+const rateSchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Empty for "and above"
+  max: {
+    type: Number,
+    min: 0
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const shippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Rate tables look up the cart weight (same unit as Product.weight) or the
+  // items subtotal
+  basis: {
+    type: String,
+    enum: ['weight', 'subtotal'],
+    default: 'weight'
+  },
+  rates: {
+    type: [rateSchema],
+    validate: [rates => rates.length > 0, 'A shipping method needs at least one rate']
+  },
+  // Subtotal (after discounts) at which this method becomes free
+  freeShippingThreshold: {
+    type: Number,
+    min: 0
+  },
+  estimatedDays: {
+    min: Number,
+    max: Number
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Where we ship and how: a list of countries, optionally narrowed to some
+// states. Use "*" as a country for a catch-all zone.
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  countries: {
+    type: [String],
+    validate: [countries => countries.length > 0, 'A zone needs at least one country']
+  },
+  states: [String],
+  methods: [shippingMethodSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+shippingZoneSchema.index({ isActive: 1 });
+
+// Method to check whether the zone covers an address. More specific zones
+// score higher: states (2) over a country (1) over the catch-all (0).
+shippingZoneSchema.methods.matchScore = function(address = {}) {
+  const country = normalize(address.country);
+  const countries = this.countries.map(normalize);
+
+  if (!countries.includes(country) && !countries.includes('*')) return -1;
+  if (this.states.length > 0) {
+    return this.states.map(normalize).includes(normalize(address.state)) ? 2 : -1;
+  }
+  return countries.includes(country) ? 1 : 0;
+};
+
+// Method to price a shipping method for a cart, or null if no rate applies
+shippingZoneSchema.methods.priceMethod = function(method, { weight, subtotal }) {
+  const value = method.basis === 'subtotal' ? subtotal : weight;
+  const rate = method.rates.find(r => value >= r.min && (r.max === undefined || r.max === null || value < r.max));
+  if (!rate) return null;
+
+  const free = method.freeShippingThreshold !== undefined &&
+    method.freeShippingThreshold !== null &&
+    subtotal >= method.freeShippingThreshold;
+
+  return free ? 0 : rate.price;
+};
+
+// Static method to get the best-matching active zone for an address
+shippingZoneSchema.statics.findForAddress = async function(address) {
+  if (!address || !address.country) return null;
+
+  const zones = await this.find({ isActive: true });
+  return zones
+    .map(zone => ({ zone, score: zone.matchScore(address) }))
+    .filter(({ score }) => score >= 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ zone }) => zone)[0] || null;
+};
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Request to be told when a sold-out product/size/color is back in stock.
+// Guests subscribe by email; signed-in users are linked to their account.
+const stockSubscriptionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  size: {
+    type: String,
+    default: 'One Size'
+  },
+  color: {
+    type: String,
+    default: 'Default'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'notified', 'cancelled'],
+    default: 'active'
+  },
+  notifiedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+stockSubscriptionSchema.index(
+  { product: 1, size: 1, color: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+stockSubscriptionSchema.index({ product: 1, size: 1, color: 1, status: 1, createdAt: 1 });
+stockSubscriptionSchema.index({ product: 1, size: 1, color: 1, notifiedAt: -1 });
+stockSubscriptionSchema.index({ user: 1, createdAt: -1 });
+stockSubscriptionSchema.index({ email: 1 });
+
+// Method to create the token for the unsubscribe link in emails
+stockSubscriptionSchema.methods.sign = function() {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET)
+    .update(`stock-subscription:${this._id}`)
+    .digest('hex');
+};
+
+// Method to check an unsubscribe token
+stockSubscriptionSchema.methods.verifyToken = function(token) {
+  const expected = Buffer.from(this.sign());
+  const given = Buffer.from(String(token || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Method to stop a subscription
+stockSubscriptionSchema.methods.cancel = function() {
+  this.status = 'cancelled';
+  this.cancelledAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
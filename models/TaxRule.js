@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const CATEGORIES = ['T-Shirts', 'Handkerchiefs', 'Socks', 'Gloves', 'Accessories'];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Sales tax for one jurisdiction: a country, optionally narrowed to a state
+// and a zip code prefix. Every matching rule applies, so a state rule and a
+// city rule (by zip prefix) add up.
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  state: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  zipPrefix: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Percentage applied to products without a category rate
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot be more than 100']
+  },
+  categoryRates: [{
+    category: {
+      type: String,
+      enum: CATEGORIES,
+      required: true
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    }
+  }],
+  // Prices already include this tax (e.g. VAT), so it is taken out of the
+  // price instead of added on top
+  inclusive: {
+    type: Boolean,
+    default: false
+  },
+  // Shipping is taxed at the base rate
+  taxShipping: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+taxRuleSchema.index({ isActive: 1, country: 1, state: 1 });
+
+// Virtual for the jurisdiction label used in reports, e.g. "US-CA-940"
+taxRuleSchema.virtual('jurisdiction').get(function() {
+  return [this.country, this.state, this.zipPrefix].filter(Boolean).join('-');
+});
+
+// Method to check whether the rule covers an address
+taxRuleSchema.methods.matches = function(address = {}) {
+  if (normalize(this.country) !== normalize(address.country)) return false;
+  if (this.state && normalize(this.state) !== normalize(address.state)) return false;
+  if (this.zipPrefix && !normalize(address.zipCode).startsWith(normalize(this.zipPrefix))) return false;
+  return true;
+};
+
+// Method to get the rate for a product category
+taxRuleSchema.methods.rateFor = function(category) {
+  const categoryRate = this.categoryRates.find(c => c.category === category);
+  return categoryRate ? categoryRate.rate : this.rate;
+};
+
+// Static method to check an address names the country and state its tax
+// depends on. Rules can't tell a partial address from an untaxed one.
+taxRuleSchema.statics.hasJurisdiction = function(address) {
+  return !!(address && normalize(address.country) && normalize(address.state));
+};
+
+// Static method to get the active rules for an address, widest first
+taxRuleSchema.statics.findForAddress = async function(address) {
+  if (!address || !address.country) return [];
+
+  const rules = await this.find({ isActive: true });
+  return rules
+    .filter(rule => rule.matches(address))
+    .sort((a, b) => (!!a.state - !!b.state) || (a.zipPrefix.length - b.zipPrefix.length));
+};
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { getPolicy } = require('../utils/passwordPolicy');
+const { getRoleNames } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -20,13 +23,21 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please provide a password'],
-    minlength: [6, 'Password must be at least 6 characters'],
+    // Accounts created through a social login may not have a password
+    required: [
+      function() { return !this.providers || this.providers.length === 0; },
+      'Please provide a password'
+    ],
+    validate: {
+      // Full policy is enforced in the routes; this guards against bypassing them
+      validator: (value) => value.length >= getPolicy().minLength,
+      message: () => `Password must be at least ${getPolicy().minLength} characters`
+    },
     select: false
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: getRoleNames(),
     default: 'user'
   },
   avatar: {
@@ -44,10 +55,30 @@ const userSchema = new mongoose.Schema({
     zipCode: { type: String, default: '' },
     country: { type: String, default: '' }
   },
+  providers: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   wishlist: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   }],
+  // Public, read-only link to the wishlist (unset when sharing is off)
+  wishlistShareToken: String,
   isActive: {
     type: Boolean,
     default: true
@@ -57,8 +88,36 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  magicLinkToken: String,
+  magicLinkExpires: Date,
+  magicLinkFingerprint: String,
+  emailChange: {
+    newEmail: { type: String, lowercase: true },
+    tokenHash: { type: String, select: false },
+    expiresAt: Date,
+    previousEmail: String,
+    previousEmailVerified: Boolean,
+    revertTokenHash: { type: String, select: false },
+    revertExpiresAt: Date
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
+  // Self-service deletion, carried out after the cooling-off period
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    reason: String
+  },
+  deletedAt: Date,
   lastLogin: Date
 }, {
   timestamps: true
@@ -66,6 +125,10 @@ const userSchema = new mongoose.Schema({
 
 // Index for better query performance (email index is automatic due to unique: true)
 userSchema.index({ role: 1 });
+userSchema.index({ 'providers.provider': 1, 'providers.subject': 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 });
+userSchema.index({ wishlist: 1 });
+userSchema.index({ wishlistShareToken: 1 }, { unique: true, sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -82,19 +145,94 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Social-login-only accounts have no password to match
+  if (!this.password || typeof candidatePassword !== 'string') return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Generate an email verification token, storing only its hash
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpires = Date.now() + hours * 60 * 60 * 1000;
+
+  return token;
+};
+
+// Start an email change. Returns the confirmation token (sent to the new
+// address) and the revert token (sent to the current address).
+userSchema.methods.createEmailChange = function(newEmail) {
+  const confirmToken = crypto.randomBytes(32).toString('hex');
+  const revertToken = crypto.randomBytes(32).toString('hex');
+  const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+  this.emailChange = {
+    newEmail,
+    tokenHash: hash(confirmToken),
+    expiresAt: Date.now() + 24 * 60 * 60 * 1000, // 24 hours
+    previousEmail: this.email,
+    previousEmailVerified: this.emailVerified,
+    revertTokenHash: hash(revertToken),
+    revertExpiresAt: Date.now() + 7 * 24 * 60 * 60 * 1000 // 7 days
+  };
+
+  return { confirmToken, revertToken };
+};
+
+// Generate new one-time recovery codes, storing only their hashes
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+// Consume a recovery code, returns false if it is not valid
+userSchema.methods.useRecoveryCode = function(code) {
+  const hashed = crypto.createHash('sha256')
+    .update(String(code || '').trim().toLowerCase())
+    .digest('hex');
+  const codes = this.twoFactor.recoveryCodes || [];
+
+  if (!codes.includes(hashed)) return false;
+
+  this.twoFactor.recoveryCodes = codes.filter(c => c !== hashed);
+  return true;
+};
+
 // Get user data without sensitive information
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
   delete user.passwordResetToken;
   delete user.passwordResetExpires;
+  delete user.magicLinkToken;
+  delete user.magicLinkExpires;
+  delete user.magicLinkFingerprint;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   return user;
 };
 
+// Static method to find user by linked identity provider account
+userSchema.statics.findByProvider = function(provider, subject) {
+  return this.findOne({ providers: { $elemMatch: { provider, subject } } });
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
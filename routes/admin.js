@@ -1,15 +1,31 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
-const { auth, adminAuth } = require('../middleware/auth');
+const LoginThrottle = require('../models/LoginThrottle');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, getRoleNames, getRolePermissions, isStaffRole } = require('../utils/permissions');
+const { issueImpersonationToken } = require('../utils/authTokens');
 
 const router = express.Router();
 
+// Largest number of audit log rows in one CSV export
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// Quote a CSV cell, and neutralise values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
 // @access  Private/Admin
-router.get('/dashboard', [auth, adminAuth], async (req, res) => {
+router.get('/dashboard', [auth, requirePermission('reports:read')], async (req, res) => {
   try {
     const [
       totalUsers,
@@ -129,7 +145,7 @@ router.get('/dashboard', [auth, adminAuth], async (req, res) => {
 // @route   GET /api/admin/analytics
 // @desc    Get detailed analytics
 // @access  Private/Admin
-router.get('/analytics', [auth, adminAuth], async (req, res) => {
+router.get('/analytics', [auth, requirePermission('reports:read')], async (req, res) => {
   try {
     const { period = '30' } = req.query;
     const days = parseInt(period);
@@ -283,7 +299,7 @@ router.get('/analytics', [auth, adminAuth], async (req, res) => {
 // @route   GET /api/admin/reports/sales
 // @desc    Generate sales report
 // @access  Private/Admin
-router.get('/reports/sales', [auth, adminAuth], async (req, res) => {
+router.get('/reports/sales', [auth, requirePermission('reports:read')], async (req, res) => {
   try {
     const { startDate, endDate, groupBy = 'day' } = req.query;
 
@@ -316,17 +332,20 @@ router.get('/reports/sales', [auth, adminAuth], async (req, res) => {
         dateFormat = '%Y-%m-%d';
     }
 
+    const paidInPeriod = {
+      createdAt: { $gte: start, $lte: end },
+      isPaid: true
+    };
+
     const salesReport = await Order.aggregate([
       {
-        $match: {
-          createdAt: { $gte: start, $lte: end },
-          isPaid: true
-        }
+        $match: paidInPeriod
       },
       {
         $group: {
           _id: { $dateToString: { format: dateFormat, date: '$createdAt' } },
           totalSales: { $sum: '$totalPrice' },
+          totalTax: { $sum: '$taxPrice' },
           totalOrders: { $sum: 1 },
           avgOrderValue: { $avg: '$totalPrice' },
           totalItems: { $sum: { $sum: '$orderItems.quantity' } }
@@ -335,17 +354,45 @@ router.get('/reports/sales', [auth, adminAuth], async (req, res) => {
       { $sort: { _id: 1 } }
     ]);
 
+    // Tax collected per jurisdiction (from the breakdown stored on each order).
+    // The breakdown has an entry per rule, so it is first combined per order,
+    // counting each order once and its taxable amount once per jurisdiction.
+    const taxByJurisdiction = await Order.aggregate([
+      { $match: paidInPeriod },
+      { $unwind: '$taxBreakdown' },
+      {
+        $group: {
+          _id: { order: '$_id', jurisdiction: '$taxBreakdown.jurisdiction' },
+          taxCollected: { $sum: '$taxBreakdown.amount' },
+          taxableAmount: { $max: '$taxBreakdown.taxableAmount' },
+          shippingTax: { $sum: '$taxBreakdown.shippingTax' }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.jurisdiction',
+          taxCollected: { $sum: '$taxCollected' },
+          taxableAmount: { $sum: '$taxableAmount' },
+          shippingTax: { $sum: '$shippingTax' },
+          orders: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
     // Calculate totals
     const totals = salesReport.reduce((acc, curr) => ({
       totalSales: acc.totalSales + curr.totalSales,
+      totalTax: acc.totalTax + curr.totalTax,
       totalOrders: acc.totalOrders + curr.totalOrders,
       totalItems: acc.totalItems + curr.totalItems
-    }), { totalSales: 0, totalOrders: 0, totalItems: 0 });
+    }), { totalSales: 0, totalTax: 0, totalOrders: 0, totalItems: 0 });
 
     res.json({
       success: true,
       data: {
         report: salesReport,
+        taxByJurisdiction: taxByJurisdiction.map(({ _id, ...row }) => ({ jurisdiction: _id, ...row })),
         summary: {
           ...totals,
           avgOrderValue: totals.totalOrders > 0 ? totals.totalSales / totals.totalOrders : 0,
@@ -366,27 +413,72 @@ router.get('/reports/sales', [auth, adminAuth], async (req, res) => {
 // @route   GET /api/admin/reports/inventory
 // @desc    Generate inventory report
 // @access  Private/Admin
-router.get('/reports/inventory', [auth, adminAuth], async (req, res) => {
+router.get('/reports/inventory', [auth, requirePermission('reports:read')], async (req, res) => {
   try {
     const { lowStock = 10 } = req.query;
+    const threshold = parseInt(lowStock);
+
+    // Products with variants are counted per variant, at its own price
+    const stockValue = {
+      $cond: [
+        { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+        {
+          $sum: {
+            $map: {
+              input: '$variants',
+              as: 'variant',
+              in: { $multiply: ['$$variant.stock', { $ifNull: ['$$variant.price', '$price'] }] }
+            }
+          }
+        },
+        { $multiply: ['$stock', '$price'] }
+      ]
+    };
+
+    const variantStock = (stock) => Product.aggregate([
+      { $match: { isActive: true } },
+      { $unwind: '$variants' },
+      { $match: { 'variants.isActive': true, 'variants.stock': stock } },
+      {
+        $project: {
+          name: 1,
+          category: 1,
+          variant: '$variants._id',
+          sku: '$variants.sku',
+          size: '$variants.size',
+          color: '$variants.color',
+          stock: '$variants.stock',
+          price: { $ifNull: ['$variants.price', '$price'] }
+        }
+      },
+      { $sort: { stock: 1, name: 1 } }
+    ]);
 
     const [
       lowStockProducts,
       outOfStockProducts,
+      lowStockVariants,
+      outOfStockVariants,
       categoryStock,
       totalInventoryValue
     ] = await Promise.all([
-      // Low stock products
+      // Low stock products (without variants)
       Product.find({
         isActive: true,
-        stock: { $lte: parseInt(lowStock), $gt: 0 }
+        'variants.0': { $exists: false },
+        stock: { $lte: threshold, $gt: 0 }
       }).select('name category stock price sku'),
       
-      // Out of stock products
+      // Out of stock products (without variants)
       Product.find({
         isActive: true,
+        'variants.0': { $exists: false },
         stock: 0
       }).select('name category stock price sku'),
+
+      // Low stock and out of stock variants
+      variantStock({ $lte: threshold, $gt: 0 }),
+      variantStock(0),
       
       // Stock by category
       Product.aggregate([
@@ -396,7 +488,7 @@ router.get('/reports/inventory', [auth, adminAuth], async (req, res) => {
             _id: '$category',
             totalStock: { $sum: '$stock' },
             totalProducts: { $sum: 1 },
-            totalValue: { $sum: { $multiply: ['$stock', '$price'] } }
+            totalValue: { $sum: stockValue }
           }
         }
       ]),
@@ -407,7 +499,7 @@ router.get('/reports/inventory', [auth, adminAuth], async (req, res) => {
         {
           $group: {
             _id: null,
-            totalValue: { $sum: { $multiply: ['$stock', '$price'] } },
+            totalValue: { $sum: stockValue },
             totalItems: { $sum: '$stock' },
             totalProducts: { $sum: 1 }
           }
@@ -420,6 +512,8 @@ router.get('/reports/inventory', [auth, adminAuth], async (req, res) => {
       data: {
         lowStockProducts,
         outOfStockProducts,
+        lowStockVariants,
+        outOfStockVariants,
         categoryStock,
         summary: totalInventoryValue[0] || {
           totalValue: 0,
@@ -438,10 +532,391 @@ router.get('/reports/inventory', [auth, adminAuth], async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/reports/cart-recovery
+// @desc    Orders attributed to abandoned cart reminders
+// @access  Private/Admin
+router.get('/reports/cart-recovery', [auth, requirePermission('reports:read')], async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const match = { 'recovery.source': 'abandoned_cart' };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const byReminder = await Order.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$recovery.reminderCount',
+          orders: { $sum: 1 },
+          revenue: { $sum: '$totalPrice' },
+          withCoupon: { $sum: { $cond: [{ $gt: ['$recovery.couponCode', ''] }, 1, 0] } },
+          discountGiven: { $sum: '$discountAmount' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const summary = byReminder.reduce((acc, curr) => ({
+      orders: acc.orders + curr.orders,
+      revenue: acc.revenue + curr.revenue,
+      withCoupon: acc.withCoupon + curr.withCoupon,
+      discountGiven: acc.discountGiven + curr.discountGiven
+    }), { orders: 0, revenue: 0, withCoupon: 0, discountGiven: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        byReminder: byReminder.map(({ _id, ...row }) => ({ remindersSent: _id, ...row })),
+        summary: {
+          ...summary,
+          period: { startDate, endDate }
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Cart recovery report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating cart recovery report'
+    });
+  }
+});
+
+// @route   GET /api/admin/roles
+// @desc    Get roles and the permissions they grant
+// @access  Private/Admin
+router.get('/roles', [auth, requirePermission('users:manage')], (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: getRoleNames().map(name => ({
+        name,
+        permissions: getRolePermissions(name)
+      })),
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+        name,
+        description
+      }))
+    }
+  });
+});
+
+// @route   GET /api/admin/lockouts
+// @desc    Get failed login counters and active lockouts
+// @access  Private/Admin
+router.get('/lockouts', [auth, requirePermission('users:manage')], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, scope, lockedOnly = 'false' } = req.query;
+
+    let query = {};
+    if (scope) {
+      query.scope = scope;
+    }
+    if (lockedOnly === 'true') {
+      query.lockedUntil = { $gt: new Date() };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      LoginThrottle.find(query)
+        .sort({ lastFailedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('user', 'name email'),
+      LoginThrottle.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        lockouts: entries.map(entry => ({
+          id: entry._id,
+          scope: entry.scope,
+          key: entry.key,
+          user: entry.user,
+          failedAttempts: entry.failedAttempts,
+          lastFailedAt: entry.lastFailedAt,
+          lastIp: entry.lastIp,
+          lockedUntil: entry.lockedUntil,
+          isLocked: entry.isLocked,
+          retryAfter: Math.ceil(entry.getRetryAfter() / 1000)
+        })),
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching lockouts'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/lockouts/:id
+// @desc    Clear a lockout and its failed login counter
+// @access  Private/Admin
+router.delete('/lockouts/:id', [auth, requirePermission('users:manage')], async (req, res) => {
+  try {
+    const entry = await LoginThrottle.findByIdAndDelete(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found'
+      });
+    }
+
+    await AuditLog.record(req, 'lockout.clear', {
+      targetType: 'LoginThrottle',
+      target: entry,
+      label: `${entry.scope}:${entry.key}`,
+      before: entry
+    });
+
+    res.json({
+      success: true,
+      message: `Lockout cleared for ${entry.scope} ${entry.key}`
+    });
+
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while clearing lockout'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    Get audit log of privileged actions (?format=csv to export)
+// @access  Private/Admin
+router.get('/audit-log', [auth, requirePermission('audit:read')], async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      actor,
+      action,
+      targetType,
+      targetId,
+      requestId,
+      startDate,
+      endDate,
+      format = 'json'
+    } = req.query;
+
+    let query = {};
+    if (actor) {
+      query.actor = actor;
+    }
+    if (action) {
+      // "order.*" matches every order action
+      query.action = action.endsWith('.*')
+        ? { $regex: '^' + action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') }
+        : action;
+    }
+    if (targetType) {
+      query['target.type'] = targetType;
+    }
+    if (targetId) {
+      query['target.id'] = targetId;
+    }
+    if (requestId) {
+      query.requestId = requestId;
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    if (format === 'csv') {
+      const entries = await AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(AUDIT_EXPORT_LIMIT)
+        .populate('actor', 'name email');
+
+      const header = ['timestamp', 'actor_id', 'actor_email', 'actor_role', 'action', 'target_type', 'target_id', 'target_label', 'changes', 'metadata', 'ip', 'request_id'];
+      const rows = entries.map(entry => [
+        entry.createdAt.toISOString(),
+        entry.actor ? entry.actor._id : '',
+        entry.actor ? entry.actor.email : '',
+        entry.actorRole,
+        entry.action,
+        entry.target.type,
+        entry.target.id,
+        entry.target.label,
+        entry.changes.map(c => ({ field: c.field, before: c.before, after: c.after })),
+        entry.metadata,
+        entry.ip,
+        entry.requestId
+      ].map(csvCell).join(','));
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send([header.join(','), ...rows].join('\n') + '\n');
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('actor', 'name email'),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid filter value'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+// @route   POST /api/admin/impersonate/:userId
+// @desc    Get a short-lived token to act as a customer for support
+// @access  Private/Admin
+router.post('/impersonate/:userId', [
+  auth,
+  requirePermission('users:impersonate'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.apiKeyId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Impersonation requires an interactive login'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.toString() === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    // Staff accounts cannot be impersonated, it would hand over their access
+    if (isStaffRole(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Staff accounts cannot be impersonated'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'User account has been deactivated'
+      });
+    }
+
+    const { token, expiresIn, expiresAt, sessionId } = await issueImpersonationToken(user._id, req.user.userId, req);
+
+    await AuditLog.record(req, 'user.impersonate', {
+      targetType: 'User',
+      target: user,
+      label: user.email,
+      metadata: {
+        reason: req.body.reason || '',
+        sessionId: sessionId.toString(),
+        expiresAt
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Impersonating ${user.email} until ${expiresAt.toISOString()}`,
+      token,
+      expiresIn,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting impersonation'
+    });
+  }
+});
+
 // @route   POST /api/admin/seed
 // @desc    Seed database with sample data (Development only)
 // @access  Private/Admin
-router.post('/seed', [auth, adminAuth], async (req, res) => {
+router.post('/seed', [auth, requirePermission('system:admin')], async (req, res) => {
   try {
     if (process.env.NODE_ENV === 'production') {
       return res.status(403).json({
@@ -460,16 +935,14 @@ router.post('/seed', [auth, adminAuth], async (req, res) => {
         sku: 'ART-TSH-001',
         stock: 50,
         images: [{ url: '/api/placeholder/400/400', alt: 'Artistic T-Shirt', isPrimary: true }],
-        colors: [
-          { name: 'Black', hex: '#000000', stock: 20 },
-          { name: 'White', hex: '#FFFFFF', stock: 15 },
-          { name: 'Navy', hex: '#000080', stock: 15 }
-        ],
-        sizes: [
-          { name: 'S', stock: 10 },
-          { name: 'M', stock: 20 },
-          { name: 'L', stock: 15 },
-          { name: 'XL', stock: 5 }
+        variants: [
+          { color: 'Black', size: 'S', stock: 5 },
+          { color: 'Black', size: 'M', stock: 10 },
+          { color: 'Black', size: 'L', stock: 5 },
+          { color: 'White', size: 'M', stock: 8 },
+          { color: 'White', size: 'L', stock: 7 },
+          { color: 'Navy', size: 'M', stock: 10 },
+          { color: 'Navy', size: 'XL', stock: 5, price: 32.99 }
         ],
         tags: ['artistic', 'casual', 'cotton'],
         isFeatured: true,
@@ -484,6 +957,11 @@ router.post('/seed', [auth, adminAuth], async (req, res) => {
     // Insert sample products
     const products = await Product.insertMany(sampleProducts);
 
+    await AuditLog.record(req, 'system.seed', {
+      targetType: 'Product',
+      metadata: { productsCreated: products.length }
+    });
+
     res.json({
       success: true,
       message: `Database seeded successfully with ${products.length} products`,
@@ -0,0 +1,289 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+
+const DEFAULT_EXPIRY_DAYS = parseInt(process.env.API_KEY_DEFAULT_EXPIRY_DAYS) || 90;
+const MAX_EXPIRY_DAYS = 365;
+
+const formatKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  rateLimit: apiKey.rateLimit,
+  createdBy: apiKey.createdBy,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  rotatedAt: apiKey.rotatedAt,
+  previousKeyExpiresAt: apiKey.previousKeyExpiresAt,
+  revokedAt: apiKey.revokedAt,
+  isActive: apiKey.isActive,
+  createdAt: apiKey.createdAt
+});
+
+// Scopes the caller does not have. Keys cannot be used to escalate beyond
+// the caller's own permissions, whether creating, rotating or revoking them.
+const scopesNotHeld = (req, scopes) => scopes.filter(scope => !req.user.permissions.includes(scope));
+
+// @route   GET /api/admin/api-keys
+// @desc    Get API keys
+// @access  Private/Admin
+router.get('/', [auth, requirePermission('api_keys:manage')], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, includeRevoked = 'false' } = req.query;
+
+    let query = {};
+    if (includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [keys, total] = await Promise.all([
+      ApiKey.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('createdBy', 'name email'),
+      ApiKey.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: keys.map(formatKey),
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching API keys'
+    });
+  }
+});
+
+// @route   POST /api/admin/api-keys
+// @desc    Create an API key (the key is only shown in this response)
+// @access  Private/Admin
+router.post('/', [
+  auth,
+  requirePermission('api_keys:manage'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown scope'),
+  body('rateLimit')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Rate limit must be between 1 and 10000 requests per minute'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+    .withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scopes = [...new Set(req.body.scopes)];
+
+    const notHeld = scopesNotHeld(req, scopes);
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant scopes you do not have: ${notHeld.join(', ')}`
+      });
+    }
+
+    const expiresInDays = parseInt(req.body.expiresInDays) || DEFAULT_EXPIRY_DAYS;
+
+    const { apiKey, key } = await ApiKey.generate({
+      name: req.body.name,
+      scopes,
+      rateLimit: req.body.rateLimit,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      createdBy: req.user.userId
+    });
+
+    await AuditLog.record(req, 'api_key.create', {
+      targetType: 'ApiKey',
+      target: apiKey,
+      label: apiKey.name,
+      after: apiKey
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now, it will not be shown again.',
+      data: {
+        apiKey: formatKey(apiKey),
+        key
+      }
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating API key'
+    });
+  }
+});
+
+// @route   POST /api/admin/api-keys/:id/rotate
+// @desc    Issue a new secret for an API key
+// @access  Private/Admin
+router.post('/:id/rotate', [
+  auth,
+  requirePermission('api_keys:manage'),
+  body('graceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 7 * 24 * 60 })
+    .withMessage('Grace period must be between 0 and 10080 minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id).select('+keyHash');
+    if (!apiKey || !apiKey.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or no longer active'
+      });
+    }
+
+    // The new secret carries the key's scopes
+    const notHeld = scopesNotHeld(req, apiKey.scopes);
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot rotate a key with scopes you do not have: ${notHeld.join(', ')}`
+      });
+    }
+
+    const key = apiKey.rotate(parseInt(req.body.graceMinutes) || 0);
+    await apiKey.save();
+
+    await AuditLog.record(req, 'api_key.rotate', {
+      targetType: 'ApiKey',
+      target: apiKey,
+      label: apiKey.name,
+      metadata: { graceMinutes: parseInt(req.body.graceMinutes) || 0 }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Store the new key now, it will not be shown again.',
+      data: {
+        apiKey: formatKey(apiKey),
+        key
+      }
+    });
+
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or no longer active'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating API key'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private/Admin
+router.delete('/:id', [auth, requirePermission('api_keys:manage')], async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked'
+      });
+    }
+
+    const notHeld = scopesNotHeld(req, apiKey.scopes);
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot revoke a key with scopes you do not have: ${notHeld.join(', ')}`
+      });
+    }
+
+    const before = AuditLog.snapshot(apiKey);
+    await apiKey.revoke(req.user.userId);
+
+    await AuditLog.record(req, 'api_key.revoke', {
+      targetType: 'ApiKey',
+      target: apiKey,
+      label: apiKey.name,
+      before,
+      after: apiKey
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,81 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const { auth, blockImpersonation, isAdmin2faRequired, isEmailVerificationRequired } = require('../middleware/auth');
+const { isStaffRole } = require('../utils/permissions');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  issueAuthTokens,
+  confirmIdentity
+} = require('../utils/authTokens');
+const totp = require('../utils/totp');
+const { getPolicy, checkPassword, policyErrorResponse } = require('../utils/passwordPolicy');
+const { sendEmail, sendEmailInBackground, clientUrl, exposeTokenUrls } = require('../utils/mailer');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
+// Check a TOTP code or a recovery code against a user loaded with the
+// twoFactor secret fields. Marks the code as used; caller must save the user.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return user.useRecoveryCode(recoveryCode);
+  }
+
+  const step = totp.verifyCode(user.twoFactor.secret, code);
+
+  // Reject codes from a step that was already used (replay)
+  if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Respond with 423/429 when login attempts are being throttled
+const sendThrottled = (res, { locked, retryAfter }) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(locked ? 423 : 429).json({
+    success: false,
+    message: locked
+      ? 'Account is temporarily locked due to too many failed login attempts. Check your email to unlock it.'
+      : `Too many failed login attempts. Please try again in ${retryAfter} seconds.`,
+    retryAfter
   });
 };
 
+// Record a failed login and email an unlock link if the account just got locked
+const recordFailedLogin = async (email, req, user = null) => {
+  const { unlockToken } = await LoginThrottle.recordFailure(email, req.ip, user ? user._id : null);
+
+  if (unlockToken && user) {
+    sendEmailInBackground(user.email, 'accountLocked', {
+      name: user.name,
+      url: clientUrl(`/unlock-account/${unlockToken}`)
+    });
+  }
+};
+
+// Device fingerprint used to bind magic links to the requesting browser.
+// Only available when the client sends a stable device ID.
+const getDeviceFingerprint = (req) => {
+  const deviceId = req.body.deviceId || req.get('x-device-id');
+  if (!deviceId) return null;
+
+  return crypto.createHash('sha256')
+    .update(`${deviceId}|${req.get('user-agent') || ''}`)
+    .digest('hex');
+};
+
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -28,8 +89,8 @@ router.post('/register', [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
+    .isString()
+    .withMessage('Password is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -44,6 +105,12 @@ router.post('/register', [
 
     const { name, email, password } = req.body;
 
+    // Check password policy
+    const passwordCheck = checkPassword(password, { name, email });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(policyErrorResponse(passwordCheck.reasons));
+    }
+
     // Check if user already exists
     const existingUser = await User.findByEmail(email);
     if (existingUser) {
@@ -53,35 +120,33 @@ router.post('/register', [
       });
     }
 
-    // Generate email verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-
     // Create new user
     const user = new User({
       name,
       email,
       password,
-      emailVerificationToken: verificationToken,
       emailVerified: false
     });
 
-    await user.save();
+    // Generate email verification token
+    const verificationToken = user.createEmailVerificationToken();
 
-    // Create verification URL
-    const verificationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email/${verificationToken}`;
+    await user.save();
 
-    console.log('Email Verification URL:', verificationUrl);
-    // TODO: Send verification email in production
-    // await sendVerificationEmail(user.email, verificationUrl);
+    // Send verification email
+    const verificationUrl = clientUrl(`/verify-email/${verificationToken}`);
+    sendEmailInBackground(user.email, 'verifyEmail', { name: user.name, url: verificationUrl });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start session
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user._id, req);
 
     res.status(201).json({
       success: true,
       message: 'Registration successful! Please verify your email.',
       token,
-      verificationUrl, // Remove in production
+      refreshToken,
+      expiresIn,
+      ...(exposeTokenUrls() && { verificationUrl }),
       user: {
         id: user._id,
         name: user.name,
@@ -100,6 +165,18 @@ router.post('/register', [
   }
 });
 
+// @route   GET /api/auth/password-policy
+// @desc    Get password requirements (for client-side hints)
+// @access  Public
+router.get('/password-policy', (req, res) => {
+  const { minLength, maxLength, minCharacterClasses, blockPersonalInfo, checkBreached } = getPolicy();
+
+  res.json({
+    success: true,
+    data: { minLength, maxLength, minCharacterClasses, blockPersonalInfo, checkBreached }
+  });
+});
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
@@ -125,9 +202,16 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Check brute-force protection before touching the password
+    const throttle = await LoginThrottle.claimAttempt(email, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
     // Find user and include password for comparison
     const user = await User.findByEmail(email).select('+password');
     if (!user) {
+      await recordFailedLogin(email, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -145,33 +229,51 @@ router.post('/login', [
     // Compare password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailedLogin(email, req, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check email verification (optional - can be made required)
-    // if (!user.emailVerified) {
-    //   return res.status(403).json({
-    //     success: false,
-    //     message: 'Please verify your email before logging in',
-    //     emailVerified: false,
-    //     email: user.email
-    //   });
-    // }
+    // The password was right, so this attempt is not a failure
+    await LoginThrottle.releaseAttempt(email, req.ip);
+
+    // Check email verification (enabled with EMAIL_VERIFICATION_REQUIRED_FOR=login)
+    if (!user.emailVerified && isEmailVerificationRequired('login')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email before logging in',
+        code: 'EMAIL_NOT_VERIFIED',
+        emailVerified: false,
+        email: user.email
+      });
+    }
+
+    // Password is correct but a second factor is required
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
 
     // Update last login
     user.lastLogin = new Date();
     await user.save();
+    await LoginThrottle.clearAccount(user.email);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start session
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user._id, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
@@ -213,8 +315,11 @@ router.get('/', auth, async (req, res) => {
         phone: user.phone,
         address: user.address,
         wishlist: user.wishlist,
+        twoFactorEnabled: user.twoFactor.enabled,
         createdAt: user.createdAt
-      }
+      },
+      impersonatedBy: req.user.impersonatedBy || null,
+      deletionScheduledFor: user.deletion ? user.deletion.scheduledFor || null : null
     });
 
   } catch (error) {
@@ -293,16 +398,14 @@ router.put('/profile', [
 });
 
 // @route   PUT /api/auth/change-password
-// @desc    Change user password
+// @desc    Change user password (or set one for social-login-only accounts)
 // @access  Private
 router.put('/change-password', [
   auth,
-  body('currentPassword')
-    .exists()
-    .withMessage('Current password is required'),
+  blockImpersonation,
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
+    .isString()
+    .withMessage('New password is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -325,19 +428,29 @@ router.put('/change-password', [
       });
     }
 
-    // Verify current password
-    const isMatch = await user.comparePassword(currentPassword);
-    if (!isMatch) {
+    // Verify the current password, or a recent sign-in for accounts that
+    // never had one
+    const identityError = await confirmIdentity(user, currentPassword, req);
+    if (identityError) {
       return res.status(400).json({
         success: false,
-        message: 'Current password is incorrect'
+        message: identityError
       });
     }
 
+    // Check password policy
+    const passwordCheck = checkPassword(newPassword, user);
+    if (!passwordCheck.valid) {
+      return res.status(400).json(policyErrorResponse(passwordCheck.reasons));
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await Session.revokeAllForUser(user._id, 'password_changed', req.user.sessionId);
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -352,193 +465,207 @@ router.put('/change-password', [
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
-// @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
-});
-
-// ========== EMAIL VERIFICATION ==========
-
-// @route   GET /api/auth/verify-email/:token
-// @desc    Verify user email
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
 // @access  Public
-router.get('/verify-email/:token', async (req, res) => {
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
   try {
-    const { token } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    // Find user with this verification token
-    const user = await User.findOne({ emailVerificationToken: token });
+    const { session, reused } = await Session.findByRefreshToken(req.body.refreshToken);
 
-    if (!user) {
-      return res.status(400).json({
+    if (!session) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid or expired verification token'
+        message: 'Invalid refresh token'
       });
     }
 
-    // Update user
-    user.emailVerified = true;
-    user.emailVerificationToken = undefined;
-    await user.save();
+    // A rotated-out token was presented again: assume it was stolen and
+    // kill the whole token family
+    if (reused) {
+      if (!session.revokedAt) {
+        await session.revoke('reuse_detected');
+      }
+      console.warn(`Refresh token reuse detected for session ${session._id}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.'
+      });
+    }
+
+    if (!session.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please log in again.'
+      });
+    }
 
-    // Generate auth token
-    const authToken = generateToken(user._id);
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.revoke('logout');
+      return res.status(401).json({
+        success: false,
+        message: 'User account is not available'
+      });
+    }
+
+    const refreshToken = await session.rotate();
 
     res.json({
       success: true,
-      message: 'Email verified successfully!',
-      token: authToken,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        emailVerified: user.emailVerified
-      }
+      token: generateAccessToken(user._id, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
     });
+
   } catch (error) {
-    console.error('Email verification error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during email verification'
+      message: 'Server error during token refresh'
     });
   }
 });
 
-// @route   POST /api/auth/resend-verification
-// @desc    Resend verification email
-// @access  Public
-router.post('/resend-verification', [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email')
-], async (req, res) => {
+// @route   POST /api/auth/logout
+// @desc    Logout user and revoke the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
+    const session = await Session.findById(req.user.sessionId);
+    if (session && !session.revokedAt) {
+      await session.revoke('logout');
     }
 
-    const { email } = req.body;
-    const user = await User.findByEmail(email);
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found with this email'
-      });
-    }
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
 
-    if (user.emailVerified) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email is already verified'
-      });
-    }
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (devices) of current user
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user.userId);
 
-    // Generate new verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-    user.emailVerificationToken = verificationToken;
-    await user.save();
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === req.user.sessionId
+      }))
+    });
 
-    const verificationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email/${verificationToken}`;
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
 
-    console.log('Resend Email Verification URL:', verificationUrl);
-    // TODO: Send verification email in production
-    // await sendVerificationEmail(user.email, verificationUrl);
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', [auth, blockImpersonation], async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.userId, 'user_revoked', req.user.sessionId);
 
     res.json({
       success: true,
-      message: 'Verification email sent! Please check your inbox.',
-      verificationUrl // Remove in production
+      message: 'All other sessions have been signed out',
+      data: { revoked: result.modifiedCount }
     });
+
   } catch (error) {
-    console.error('Resend verification error:', error);
+    console.error('Revoke sessions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Server error while revoking sessions'
     });
   }
 });
 
-// ========== PASSWORD RESET ==========
-
-// @route   POST /api/auth/forgot-password
-// @desc    Send password reset email
-// @access  Public
-router.post('/forgot-password', [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email')
-], async (req, res) => {
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session
+// @access  Private
+router.delete('/sessions/:id', [auth, blockImpersonation], async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+    const session = await Session.findById(req.params.id);
+
+    // Check ownership
+    if (!session || session.user.toString() !== req.user.userId) {
+      return res.status(404).json({
         success: false,
-        message: 'Validation failed',
-        errors: errors.array()
+        message: 'Session not found'
       });
     }
 
-    const { email } = req.body;
-    const user = await User.findByEmail(email);
-
-    if (!user) {
-      // Don't reveal whether user exists
-      return res.json({
-        success: true,
-        message: 'If an account exists with this email, a password reset link has been sent.'
-      });
+    if (!session.revokedAt) {
+      await session.revoke('user_revoked');
     }
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-
-    // Hash and save token
-    user.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-    user.passwordResetExpires = Date.now() + 3600000; // 1 hour
-    await user.save();
-
-    // Create reset URL
-    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
-
-    console.log('Password Reset URL:', resetUrl);
-    // TODO: Send password reset email in production
-    // await sendPasswordResetEmail(user.email, resetUrl);
-
     res.json({
       success: true,
-      message: 'If an account exists with this email, a password reset link has been sent.',
-      resetUrl // Remove in production
+      message: 'Session revoked successfully'
     });
+
   } catch (error) {
-    console.error('Forgot password error:', error);
+    console.error('Revoke session error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Server error while revoking session'
     });
   }
 });
 
-// @route   POST /api/auth/reset-password/:token
-// @desc    Reset password with token
+// ========== TWO-FACTOR AUTHENTICATION ==========
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or recovery code
 // @access  Public
-router.post('/reset-password/:token', [
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
+router.post('/login/2fa', [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .notEmpty()
+    .withMessage('Authentication code or recovery code is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -550,51 +677,976 @@ router.post('/reset-password/:token', [
       });
     }
 
-    const { token } = req.params;
-    const { password } = req.body;
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    // Hash the token from params to compare with stored hash
-    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please log in again.'
+      });
+    }
 
-    // Find user with valid reset token
-    const user = await User.findOne({
-      passwordResetToken: hashedToken,
-      passwordResetExpires: { $gt: Date.now() }
-    });
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please log in again.'
+      });
+    }
 
-    if (!user) {
-      return res.status(400).json({
+    const throttle = await LoginThrottle.claimAttempt(user.email, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await recordFailedLogin(user.email, req, user);
+      return res.status(401).json({
         success: false,
-        message: 'Invalid or expired reset token'
+        message: 'Invalid authentication code'
       });
     }
 
-    // Update password
-    user.password = password;
-    user.passwordResetToken = undefined;
-    user.passwordResetExpires = undefined;
+    // Update last login
+    user.lastLogin = new Date();
     await user.save();
+    await LoginThrottle.releaseAttempt(user.email, req.ip);
+    await LoginThrottle.clearAccount(user.email);
 
-    // Generate new auth token
-    const authToken = generateToken(user._id);
+    // Start session
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user._id, req);
 
     res.json({
       success: true,
-      message: 'Password reset successful! You can now log in.',
-      token: authToken,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role,
-        emailVerified: user.emailVerified
+        role: user.role
       }
     });
+
   } catch (error) {
-    console.error('Reset password error:', error);
+    console.error('2FA login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during password reset'
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment and get the otpauth URI
+// @access  Private
+router.post('/2fa/setup', [
+  auth,
+  blockImpersonation,
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const identityError = await confirmIdentity(user, req.body.password, req);
+    if (identityError) {
+      return res.status(400).json({
+        success: false,
+        message: identityError
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: totp.buildOtpauthUri(secret, user.email)
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and get recovery codes
+// @access  Private
+router.post('/2fa/enable', [
+  auth,
+  blockImpersonation,
+  body('code')
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+twoFactor.pendingSecret');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable 2FA
+// @access  Private
+router.post('/2fa/disable', [
+  auth,
+  blockImpersonation,
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .notEmpty()
+    .withMessage('Authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (isStaffRole(req.user.role) && isAdmin2faRequired()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for staff accounts'
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const identityError = await confirmIdentity(user, req.body.password, req);
+    if (identityError && !user.password) {
+      return res.status(400).json({
+        success: false,
+        message: identityError
+      });
+    }
+
+    if (identityError || !verifySecondFactor(user, req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: user.password ? 'Invalid password or authentication code' : 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  auth,
+  blockImpersonation,
+  body('code')
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating recovery codes'
+    });
+  }
+});
+
+// ========== EMAIL CHANGE ==========
+
+// @route   POST /api/auth/change-email
+// @desc    Request an email change (applied once confirmed from the new address)
+// @access  Private
+router.post('/change-email', [
+  auth,
+  blockImpersonation,
+  body('newEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { newEmail, password } = req.body;
+
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const identityError = await confirmIdentity(user, password, req);
+    if (identityError) {
+      return res.status(400).json({
+        success: false,
+        message: identityError
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email is the same as the current one'
+      });
+    }
+
+    const existingUser = await User.findByEmail(newEmail);
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email is already in use'
+      });
+    }
+
+    const { confirmToken, revertToken } = user.createEmailChange(newEmail);
+    await user.save();
+
+    const confirmUrl = clientUrl(`/confirm-email-change/${confirmToken}`);
+    const revertUrl = clientUrl(`/revert-email-change/${revertToken}`);
+
+    await sendEmail(newEmail, 'emailChangeConfirm', { name: user.name, newEmail, url: confirmUrl });
+    sendEmailInBackground(user.email, 'emailChangeNotice', { name: user.name, newEmail, url: revertUrl });
+
+    res.json({
+      success: true,
+      message: `A confirmation link has been sent to ${newEmail}`,
+      ...(exposeTokenUrls() && { confirmUrl, revertUrl })
+    });
+
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing email'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-email/confirm/:token
+// @desc    Confirm an email change
+// @access  Public
+router.post('/change-email/confirm/:token', async (req, res) => {
+  try {
+    const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+    const user = await User.findOne({
+      'emailChange.tokenHash': hashedToken,
+      'emailChange.expiresAt': { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation token'
+      });
+    }
+
+    // Address could have been taken since the change was requested
+    const existingUser = await User.findByEmail(user.emailChange.newEmail);
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email is already in use'
+      });
+    }
+
+    user.email = user.emailChange.newEmail;
+    user.emailVerified = true;
+    user.emailChange.tokenHash = undefined;
+    user.emailChange.expiresAt = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email address changed successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified
+      }
+    });
+
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming email change'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-email/revert/:token
+// @desc    Cancel a pending email change or undo a confirmed one
+// @access  Public
+router.post('/change-email/revert/:token', async (req, res) => {
+  try {
+    const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+    const user = await User.findOne({
+      'emailChange.revertTokenHash': hashedToken,
+      'emailChange.revertExpiresAt': { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired link'
+      });
+    }
+
+    const { previousEmail, previousEmailVerified } = user.emailChange;
+
+    if (user.email !== previousEmail) {
+      const existingUser = await User.findByEmail(previousEmail);
+      if (existingUser && existingUser._id.toString() !== user._id.toString()) {
+        return res.status(409).json({
+          success: false,
+          message: 'The previous email is now used by another account. Please contact support.'
+        });
+      }
+
+      user.email = previousEmail;
+      user.emailVerified = previousEmailVerified;
+    }
+
+    user.emailChange = undefined;
+    await user.save();
+
+    // Whoever started the change may still be signed in
+    await Session.revokeAllForUser(user._id, 'email_reverted');
+
+    res.json({
+      success: true,
+      message: 'Email change has been reverted and all devices signed out. We recommend resetting your password.'
+    });
+
+  } catch (error) {
+    console.error('Revert email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reverting email change'
+    });
+  }
+});
+
+// ========== EMAIL VERIFICATION ==========
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify user email
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    // Hash the token from params to compare with stored hash
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    // Find user with valid verification token
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    // Update user
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    // The link proves the email address, not the second factor
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Email verified successfully! Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    // Start session
+    const { token: authToken, refreshToken, expiresIn } = await issueAuthTokens(user._id, req);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully!',
+      token: authToken,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend verification email
+// @access  Public
+router.post('/resend-verification', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    const user = await User.findByEmail(email);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found with this email'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    // Generate new verification token
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    const verificationUrl = clientUrl(`/verify-email/${verificationToken}`);
+    await sendEmail(user.email, 'verifyEmail', { name: user.name, url: verificationUrl });
+
+    res.json({
+      success: true,
+      message: 'Verification email sent! Please check your inbox.',
+      ...(exposeTokenUrls() && { verificationUrl })
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// ========== PASSWORD RESET ==========
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset email
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    const user = await User.findByEmail(email);
+
+    if (!user) {
+      // Don't reveal whether user exists
+      return res.json({
+        success: true,
+        message: 'If an account exists with this email, a password reset link has been sent.'
+      });
+    }
+
+    // Generate reset token
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    // Hash and save token
+    user.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    user.passwordResetExpires = Date.now() + 3600000; // 1 hour
+    await user.save();
+
+    // Send reset email. Delivery errors are only logged so the response
+    // stays identical whether or not the account exists.
+    const resetUrl = clientUrl(`/reset-password/${resetToken}`);
+    sendEmailInBackground(user.email, 'passwordReset', { name: user.name, url: resetUrl });
+
+    res.json({
+      success: true,
+      message: 'If an account exists with this email, a password reset link has been sent.',
+      ...(exposeTokenUrls() && { resetUrl })
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Reset password with token
+// @access  Public
+router.post('/reset-password/:token', [
+  body('password')
+    .isString()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token } = req.params;
+    const { password } = req.body;
+
+    // Hash the token from params to compare with stored hash
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    // Find user with valid reset token
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Check password policy
+    const passwordCheck = checkPassword(password, user);
+    if (!passwordCheck.valid) {
+      return res.status(400).json(policyErrorResponse(passwordCheck.reasons));
+    }
+
+    // Update password
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every existing session before starting a fresh one
+    await Session.revokeAllForUser(user._id, 'password_changed');
+
+    // The reset link replaces the password, not the second factor
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Password reset successful! Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    // Start new session
+    const { token: authToken, refreshToken, expiresIn } = await issueAuthTokens(user._id, req);
+
+    res.json({
+      success: true,
+      message: 'Password reset successful! You can now log in.',
+      token: authToken,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+});
+
+// ========== MAGIC LINK LOGIN ==========
+
+// @route   POST /api/auth/magic-link
+// @desc    Email a single-use login link
+// @access  Public
+router.post('/magic-link', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists with this email, a login link has been sent.'
+    };
+
+    const user = await User.findByEmail(req.body.email);
+
+    // Don't reveal whether user exists
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const minutes = parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES) || 15;
+    const ttl = minutes * 60 * 1000;
+
+    // Only one link per minute, to keep this from flooding inboxes
+    if (user.magicLinkExpires && user.magicLinkExpires.getTime() - ttl > Date.now() - 60 * 1000) {
+      return res.json(genericResponse);
+    }
+
+    // Generate login token
+    const loginToken = crypto.randomBytes(32).toString('hex');
+
+    // Hash and save token
+    user.magicLinkToken = crypto.createHash('sha256').update(loginToken).digest('hex');
+    user.magicLinkExpires = Date.now() + ttl;
+    user.magicLinkFingerprint = getDeviceFingerprint(req) || undefined;
+    await user.save();
+
+    const loginUrl = clientUrl(`/magic-link/${loginToken}`);
+    sendEmailInBackground(user.email, 'magicLink', { name: user.name, url: loginUrl, minutes });
+
+    res.json({
+      ...genericResponse,
+      ...(exposeTokenUrls() && { loginUrl })
+    });
+  } catch (error) {
+    console.error('Magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/magic-link/verify
+// @desc    Exchange a magic link token for an auth token
+// @access  Public
+router.post('/magic-link/verify', [
+  body('token')
+    .notEmpty()
+    .withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Hash the token to compare with stored hash
+    const hashedToken = crypto.createHash('sha256').update(req.body.token).digest('hex');
+
+    const user = await User.findOne({
+      magicLinkToken: hashedToken,
+      magicLinkExpires: { $gt: Date.now() }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired login link'
+      });
+    }
+
+    // Links requested with a device ID only work on that device
+    if (user.magicLinkFingerprint && user.magicLinkFingerprint !== getDeviceFingerprint(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This login link must be opened on the device that requested it'
+      });
+    }
+
+    // Single use; opening the link also proves the email address
+    user.magicLinkToken = undefined;
+    user.magicLinkExpires = undefined;
+    user.magicLinkFingerprint = undefined;
+    user.emailVerified = true;
+
+    // The link replaces the password, not the second factor
+    if (user.twoFactor && user.twoFactor.enabled) {
+      await user.save();
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+    await LoginThrottle.clearAccount(user.email);
+
+    // Start session
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user._id, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Magic link verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// ========== ACCOUNT LOCKOUT ==========
+
+// @route   POST /api/auth/unlock-account/:token
+// @desc    Unlock an account locked after too many failed logins
+// @access  Public
+router.post('/unlock-account/:token', async (req, res) => {
+  try {
+    const entry = await LoginThrottle.unlockWithToken(req.params.token);
+
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your account has been unlocked. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking account'
     });
   }
 });
@@ -0,0 +1,344 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { auth, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { CheckoutError, checkoutValidation, placeOrder } = require('../utils/checkout');
+const { quoteOrder, compareWithQuote } = require('../utils/pricing');
+
+const router = express.Router();
+
+// Find the cart for the request: the user's cart when logged in, otherwise
+// the guest cart named by X-Cart-Token. With `create`, a missing cart is
+// created and a new guest token is put on req.newCartToken.
+const loadCart = async (req, { create = false } = {}) => {
+  const guestToken = req.get('x-cart-token');
+
+  if (req.user) {
+    if (guestToken) {
+      const merged = await Cart.mergeGuestCart(guestToken, req.user.userId);
+      if (merged) return merged;
+    }
+    return create
+      ? await Cart.findOrCreateForUser(req.user.userId)
+      : await Cart.findOne({ user: req.user.userId });
+  }
+
+  const cart = await Cart.findByGuestToken(guestToken);
+  if (cart || !create) return cart;
+
+  const { cart: guestCart, token } = await Cart.createGuestCart();
+  req.newCartToken = token;
+  return guestCart;
+};
+
+// Revalidate the cart against live products and send it. `activity` marks a
+// change made by the shopper.
+const sendCart = async (req, res, cart, { status = 200, message, activity = false } = {}) => {
+  if (cart && activity) {
+    cart.markActive();
+  }
+
+  const summary = cart
+    ? await cart.revalidate()
+    : { lines: [], issues: [], itemsPrice: 0, itemCount: 0 };
+
+  if (cart && cart.isModified()) {
+    cart.extendExpiry();
+    await cart.save();
+  }
+
+  res.status(status).json({
+    success: true,
+    ...(message && { message }),
+    data: {
+      id: cart ? cart._id : null,
+      items: summary.lines,
+      issues: summary.issues,
+      itemsPrice: summary.itemsPrice,
+      itemCount: summary.itemCount,
+      ...(req.newCartToken && { cartToken: req.newCartToken })
+    }
+  });
+};
+
+const quantityValidation = body('quantity')
+  .isInt({ min: 1, max: 99 })
+  .withMessage('Quantity must be between 1 and 99');
+
+// @route   GET /api/cart
+// @desc    Get current cart (user, or guest via X-Cart-Token)
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+    await sendCart(req, res, cart);
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching cart'
+    });
+  }
+});
+
+// @route   POST /api/cart/items
+// @desc    Add a product (size + color) to the cart
+// @access  Public
+router.post('/items', [
+  optionalAuth,
+  body('productId')
+    .isMongoId()
+    .withMessage('Please provide a valid product ID'),
+  quantityValidation,
+  body('size').optional().isString().trim(),
+  body('color').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.body.productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const options = product.resolveOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error
+      });
+    }
+
+    const cart = await loadCart(req, { create: true });
+    const existing = cart.findLine({ product: product._id, ...options });
+    const quantity = (existing ? existing.quantity : 0) + parseInt(req.body.quantity);
+
+    const available = product.availableStock(options);
+    if (available < quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient stock for ${product.name}. Available: ${available}`
+      });
+    }
+
+    cart.addItem({
+      product: product._id,
+      ...options,
+      quantity: parseInt(req.body.quantity),
+      price: product.priceFor(options)
+    });
+
+    await sendCart(req, res, cart, { status: 201, message: 'Item added to cart', activity: true });
+
+  } catch (error) {
+    console.error('Add cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding item to cart'
+    });
+  }
+});
+
+// @route   PUT /api/cart/items/:itemId
+// @desc    Change the quantity of a cart line
+// @access  Public
+router.put('/items/:itemId', [optionalAuth, quantityValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await loadCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    const quantity = parseInt(req.body.quantity);
+    const product = await Product.findById(item.product);
+    const available = product && product.availableStock(item);
+    if (product && available < quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient stock for ${product.name}. Available: ${available}`
+      });
+    }
+
+    item.quantity = quantity;
+
+    await sendCart(req, res, cart, { message: 'Cart updated', activity: true });
+
+  } catch (error) {
+    console.error('Update cart item error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating cart'
+    });
+  }
+});
+
+// @route   DELETE /api/cart/items/:itemId
+// @desc    Remove a line from the cart
+// @access  Public
+router.delete('/items/:itemId', optionalAuth, async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    item.deleteOne();
+
+    await sendCart(req, res, cart, { message: 'Item removed from cart', activity: true });
+
+  } catch (error) {
+    console.error('Remove cart item error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing item from cart'
+    });
+  }
+});
+
+// @route   DELETE /api/cart
+// @desc    Empty the cart
+// @access  Public
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+    if (cart) {
+      cart.items = [];
+    }
+
+    await sendCart(req, res, cart, { message: 'Cart cleared', activity: true });
+
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while clearing cart'
+    });
+  }
+});
+
+// @route   POST /api/cart/checkout
+// @desc    Create an order from the cart, priced on the server
+// @access  Private
+router.post('/checkout', [
+  auth,
+  requireVerifiedEmail('orders'),
+  ...checkoutValidation,
+  body('couponCode').optional({ values: 'falsy' }).isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await loadCart(req);
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    // Anything that changed since the shopper last saw the cart (price,
+    // stock, availability) must be reviewed before paying
+    const { issues } = await cart.revalidate();
+    if (issues.length > 0) {
+      await cart.save();
+      return res.status(409).json({
+        success: false,
+        message: 'Your cart changed. Please review it before checking out.',
+        issues
+      });
+    }
+
+    const quote = await quoteOrder({
+      items: cart.items,
+      couponCode: req.body.couponCode,
+      shippingAddress: req.body.shippingAddress,
+      shippingMethod: req.body.shippingMethod
+    }, { userId: req.user.userId });
+
+    // Totals are optional here, but must match when sent
+    const mismatches = compareWithQuote(quote, { ...req.body, orderItems: [] });
+    if (mismatches.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Price mismatch detected',
+        mismatches,
+        quote
+      });
+    }
+
+    const order = await placeOrder(req.user.userId, {
+      quote,
+      shippingAddress: req.body.shippingAddress,
+      paymentMethod: req.body.paymentMethod
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: order
+    });
+
+  } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+    console.error('Cart checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during checkout'
+    });
+  }
+});
+
+module.exports = router;
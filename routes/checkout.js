@@ -0,0 +1,58 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { optionalAuth } = require('../middleware/auth');
+const { CheckoutError, orderItemsValidation } = require('../utils/checkout');
+const { quoteOrder } = require('../utils/pricing');
+
+const router = express.Router();
+
+// @route   POST /api/checkout/quote
+// @desc    Price an order on the server (lines, coupon, shipping, tax, total).
+//          The address may be partial or missing for an estimate.
+// @access  Public
+router.post('/quote', [
+  optionalAuth,
+  ...orderItemsValidation,
+  body('couponCode').optional({ values: 'falsy' }).isString().trim(),
+  body('shippingAddress').optional().isObject(),
+  body('shippingMethod').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quote = await quoteOrder({
+      items: req.body.orderItems,
+      couponCode: req.body.couponCode,
+      shippingAddress: req.body.shippingAddress,
+      shippingMethod: req.body.shippingMethod
+    }, { userId: req.user ? req.user.userId : null, estimate: true });
+
+    res.json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+    console.error('Checkout quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while pricing order'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Coupon = require('../models/Coupon');
-const { auth, adminAuth } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -28,7 +29,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/coupons/admin
 // @desc    Get all coupons (Admin only)
 // @access  Private/Admin
-router.get('/admin', [auth, adminAuth], async (req, res) => {
+router.get('/admin', [auth, requirePermission('coupons:write')], async (req, res) => {
   try {
     const coupons = await Coupon.find().sort({ createdAt: -1 });
 
@@ -106,7 +107,8 @@ router.post('/validate', [
 });
 
 // @route   POST /api/coupons/apply
-// @desc    Apply coupon to order (marks coupon as used)
+// @desc    Preview a coupon against an order total. Use is recorded when the
+//          order is placed, not here.
 // @access  Private
 router.post('/apply', [
   auth,
@@ -144,8 +146,6 @@ router.post('/apply', [
     }
 
     const discount = coupon.calculateDiscount(orderValue);
-    coupon.apply(req.user.userId, orderValue);
-    await coupon.save();
 
     res.json({
       success: true,
@@ -170,7 +170,7 @@ router.post('/apply', [
 // @access  Private/Admin
 router.post('/', [
   auth,
-  adminAuth,
+  requirePermission('coupons:write'),
   body('code').trim().isLength({ min: 3, max: 20 }).withMessage('Code must be 3-20 characters'),
   body('type').isIn(['percentage', 'fixed', 'free_shipping']).withMessage('Invalid coupon type'),
   body('value').isFloat({ min: 0 }).withMessage('Value must be positive'),
@@ -202,6 +202,13 @@ router.post('/', [
 
     await coupon.save();
 
+    await AuditLog.record(req, 'coupon.create', {
+      targetType: 'Coupon',
+      target: coupon,
+      label: coupon.code,
+      after: coupon
+    });
+
     res.status(201).json({
       success: true,
       message: 'Coupon created successfully',
@@ -219,7 +226,7 @@ router.post('/', [
 // @route   PUT /api/coupons/:id
 // @desc    Update coupon (Admin only)
 // @access  Private/Admin
-router.put('/:id', [auth, adminAuth], async (req, res) => {
+router.put('/:id', [auth, requirePermission('coupons:write')], async (req, res) => {
   try {
     const coupon = await Coupon.findById(req.params.id);
 
@@ -230,6 +237,8 @@ router.put('/:id', [auth, adminAuth], async (req, res) => {
       });
     }
 
+    const before = AuditLog.snapshot(coupon);
+
     // Update allowed fields
     const allowedUpdates = ['description', 'value', 'minOrderValue', 'maxDiscount', 'maxUses', 'maxUsesPerUser', 'isActive', 'isPublic', 'expiresAt'];
     Object.keys(req.body).forEach(key => {
@@ -240,6 +249,14 @@ router.put('/:id', [auth, adminAuth], async (req, res) => {
 
     await coupon.save();
 
+    await AuditLog.record(req, 'coupon.update', {
+      targetType: 'Coupon',
+      target: coupon,
+      label: coupon.code,
+      before,
+      after: coupon
+    });
+
     res.json({
       success: true,
       message: 'Coupon updated successfully',
@@ -257,7 +274,7 @@ router.put('/:id', [auth, adminAuth], async (req, res) => {
 // @route   DELETE /api/coupons/:id
 // @desc    Delete coupon (Admin only)
 // @access  Private/Admin
-router.delete('/:id', [auth, adminAuth], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('coupons:write')], async (req, res) => {
   try {
     const coupon = await Coupon.findById(req.params.id);
 
@@ -270,6 +287,13 @@ router.delete('/:id', [auth, adminAuth], async (req, res) => {
 
     await coupon.deleteOne();
 
+    await AuditLog.record(req, 'coupon.delete', {
+      targetType: 'Coupon',
+      target: coupon,
+      label: coupon.code,
+      before: coupon
+    });
+
     res.json({
       success: true,
       message: 'Coupon deleted successfully'
@@ -1,10 +1,14 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Design = require('../models/Design');
-const { auth, adminAuth } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Making a design public counts as publishing it
+const requireVerifiedToPublish = requireVerifiedEmail('designs', req => req.body.isPublic === true);
+
 // @route   GET /api/designs
 // @desc    Get user's designs
 // @access  Private
@@ -87,6 +91,7 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
+  requireVerifiedToPublish,
   body('designData').notEmpty().withMessage('Design data is required'),
   body('thumbnail').notEmpty().withMessage('Thumbnail is required'),
   body('productType').optional().isIn(['tshirt', 'hoodie', 'tank', 'longsleeve', 'mug', 'poster']),
@@ -125,7 +130,7 @@ router.post('/', [
 // @route   PUT /api/designs/:id
 // @desc    Update design
 // @access  Private
-router.put('/:id', [auth], async (req, res) => {
+router.put('/:id', [auth, requireVerifiedToPublish], async (req, res) => {
   try {
     const design = await Design.findById(req.params.id);
 
@@ -208,7 +213,7 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   PUT /api/designs/:id/approve
 // @desc    Approve design (Admin only)
 // @access  Private/Admin
-router.put('/:id/approve', [auth, adminAuth], async (req, res) => {
+router.put('/:id/approve', [auth, requirePermission('designs:moderate')], async (req, res) => {
   try {
     const { notes } = req.body;
     const design = await Design.findById(req.params.id);
@@ -220,9 +225,18 @@ router.put('/:id/approve', [auth, adminAuth], async (req, res) => {
       });
     }
 
+    const before = AuditLog.snapshot(design);
     design.updateStatus('approved', notes, req.user.userId);
     await design.save();
 
+    await AuditLog.record(req, 'design.approve', {
+      targetType: 'Design',
+      target: design,
+      label: design.name,
+      before,
+      after: design
+    });
+
     // Create notification for user
     const Notification = require('../models/Notification');
     await Notification.createNotification(
@@ -253,7 +267,7 @@ router.put('/:id/approve', [auth, adminAuth], async (req, res) => {
 // @route   PUT /api/designs/:id/reject
 // @desc    Reject design (Admin only)
 // @access  Private/Admin
-router.put('/:id/reject', [auth, adminAuth], async (req, res) => {
+router.put('/:id/reject', [auth, requirePermission('designs:moderate')], async (req, res) => {
   try {
     const { notes } = req.body;
     const design = await Design.findById(req.params.id);
@@ -265,9 +279,18 @@ router.put('/:id/reject', [auth, adminAuth], async (req, res) => {
       });
     }
 
+    const before = AuditLog.snapshot(design);
     design.updateStatus('rejected', notes, req.user.userId);
     await design.save();
 
+    await AuditLog.record(req, 'design.reject', {
+      targetType: 'Design',
+      target: design,
+      label: design.name,
+      before,
+      after: design
+    });
+
     // Create notification for user
     const Notification = require('../models/Notification');
     await Notification.createNotification(
@@ -0,0 +1,373 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const LoginThrottle = require('../models/LoginThrottle');
+const { auth, optionalAuth, blockImpersonation } = require('../middleware/auth');
+const { generateChallengeToken, issueAuthTokens } = require('../utils/authTokens');
+const oidc = require('../utils/oidc');
+
+const router = express.Router();
+
+// Resolve :provider to its configuration or answer 404
+const loadProvider = (req, res, next) => {
+  const config = oidc.getProviderConfig(req.params.provider.toLowerCase());
+  if (!config) {
+    return res.status(404).json({
+      success: false,
+      message: 'Login provider not found'
+    });
+  }
+
+  req.oidcProvider = config;
+  next();
+};
+
+// Create a pending authorization request and return the IdP URL. A link
+// request is tied to the signed-in user and the session starting it.
+const startAuthorization = async (config, link = null) => {
+  const params = oidc.createAuthorizationParams();
+
+  await OAuthState.create({
+    state: params.state,
+    provider: config.name,
+    nonce: params.nonce,
+    codeVerifier: params.codeVerifier,
+    linkUser: link ? link.userId : undefined,
+    linkSession: link ? link.sessionId : undefined
+  });
+
+  return {
+    authorizationUrl: await oidc.buildAuthorizationUrl(config, params),
+    state: params.state
+  };
+};
+
+const formatProviders = (user) => user.providers.map(p => ({
+  provider: p.provider,
+  email: p.email,
+  linkedAt: p.linkedAt
+}));
+
+// @route   GET /api/auth/oidc/providers
+// @desc    Get configured social login providers
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: oidc.listProviders().filter(name => oidc.getProviderConfig(name))
+  });
+});
+
+// @route   GET /api/auth/oidc/linked
+// @desc    Get providers linked to current user
+// @access  Private
+router.get('/linked', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        providers: formatProviders(user),
+        hasPassword: !!user.password
+      }
+    });
+  } catch (error) {
+    console.error('Get linked providers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching linked providers'
+    });
+  }
+});
+
+// @route   GET /api/auth/oidc/:provider/authorize
+// @desc    Start social login
+// @access  Public
+router.get('/:provider/authorize', loadProvider, async (req, res) => {
+  try {
+    const data = await startAuthorization(req.oidcProvider);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Could not reach the login provider'
+    });
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/link
+// @desc    Start linking a provider to current user
+// @access  Private
+router.post('/:provider/link', [auth, blockImpersonation, loadProvider], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.providers.some(p => p.provider === req.oidcProvider.name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This provider is already linked to your account'
+      });
+    }
+
+    const data = await startAuthorization(req.oidcProvider, {
+      userId: user._id,
+      sessionId: req.user.sessionId
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('OIDC link error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Could not reach the login provider'
+    });
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/callback
+// @desc    Complete social login or provider linking
+// @access  Public (linking: the session that started it)
+router.post('/:provider/callback', [
+  optionalAuth,
+  loadProvider,
+  body('code')
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .notEmpty()
+    .withMessage('State is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const config = req.oidcProvider;
+    const pending = await OAuthState.consume(req.body.state, config.name);
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired login request. Please try again.'
+      });
+    }
+
+    // Only the session that started a link can finish it, so nobody can get
+    // their link request completed with someone else's provider account
+    if (pending.linkUser && !(req.user && pending.linkSession && pending.linkSession.equals(req.user.sessionId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Finish linking from the session that started it'
+      });
+    }
+
+    let claims;
+    try {
+      claims = await oidc.exchangeCode(config, {
+        code: req.body.code,
+        codeVerifier: pending.codeVerifier,
+        nonce: pending.nonce
+      });
+    } catch (error) {
+      console.error('OIDC code exchange error:', error.message);
+      return res.status(401).json({
+        success: false,
+        message: 'Could not verify sign-in with the login provider'
+      });
+    }
+
+    const subject = String(claims.sub);
+    const email = claims.email ? String(claims.email).toLowerCase() : null;
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    const linkedUser = await User.findByProvider(config.name, subject);
+
+    // Linking flow started from the profile
+    if (pending.linkUser) {
+      if (linkedUser && !linkedUser._id.equals(pending.linkUser)) {
+        return res.status(409).json({
+          success: false,
+          message: 'This provider account is already linked to another user'
+        });
+      }
+
+      const user = await User.findById(pending.linkUser);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!linkedUser) {
+        user.providers.push({ provider: config.name, subject, email });
+        await user.save();
+      }
+
+      return res.json({
+        success: true,
+        message: 'Provider linked successfully',
+        data: { providers: formatProviders(user) }
+      });
+    }
+
+    // Login flow
+    let user = linkedUser;
+    let isNewUser = false;
+
+    if (!user) {
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          message: 'The login provider did not share an email address'
+        });
+      }
+
+      user = await User.findByEmail(email);
+
+      if (user) {
+        // Only link to an existing account when the IdP vouches for the email
+        if (!emailVerified) {
+          return res.status(409).json({
+            success: false,
+            message: 'An account with this email already exists. Log in with your password and link this provider from your profile.'
+          });
+        }
+        user.providers.push({ provider: config.name, subject, email });
+      } else {
+        user = new User({
+          name: String(claims.name || claims.given_name || email.split('@')[0]).slice(0, 50),
+          email,
+          emailVerified,
+          avatar: claims.picture || '',
+          providers: [{ provider: config.name, subject, email }]
+        });
+        isNewUser = true;
+      }
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
+
+    // The provider replaces the password, not the second factor
+    if (user.twoFactor && user.twoFactor.enabled) {
+      await user.save();
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+    await LoginThrottle.clearAccount(user.email);
+
+    // Start session
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user._id, req);
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      isNewUser,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified
+      }
+    });
+
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during social login'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/oidc/:provider
+// @desc    Unlink a provider from current user
+// @access  Private
+router.delete('/:provider', [auth, blockImpersonation], async (req, res) => {
+  try {
+    const provider = req.params.provider.toLowerCase();
+
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.providers.some(p => p.provider === provider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider is not linked to your account'
+      });
+    }
+
+    // Keep at least one way to log in
+    if (!user.password && user.providers.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password before unlinking your only login provider'
+      });
+    }
+
+    user.providers = user.providers.filter(p => p.provider !== provider);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Provider unlinked successfully',
+      data: { providers: formatProviders(user) }
+    });
+  } catch (error) {
+    console.error('OIDC unlink error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlinking provider'
+    });
+  }
+});
+
+module.exports = router;
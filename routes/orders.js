@@ -1,48 +1,29 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
-const { auth, adminAuth } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission, requireVerifiedEmail, blockImpersonation } = require('../middleware/auth');
+const { sendEmailInBackground } = require('../utils/mailer');
+const { CheckoutError, checkoutValidation, orderItemsValidation, placeOrder } = require('../utils/checkout');
+const { quoteOrder, compareWithQuote } = require('../utils/pricing');
+const { releaseReservation, releaseForStatus, commitReservation } = require('../utils/inventory');
+const { queueOrderBackInStockAlerts } = require('../jobs/backInStock');
 
 const router = express.Router();
 
 // @route   POST /api/orders
-// @desc    Create a new order
+// @desc    Create a new order. Prices come from the server quote; the totals
+//          the client shows the shopper must match it.
 // @access  Private
 router.post('/', [
   auth,
-  body('orderItems')
-    .isArray({ min: 1 })
-    .withMessage('Order must contain at least one item'),
-  body('shippingAddress.firstName')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('First name must be between 2 and 50 characters'),
-  body('shippingAddress.lastName')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Last name must be between 2 and 50 characters'),
-  body('shippingAddress.email')
-    .isEmail()
-    .withMessage('Please provide a valid email'),
-  body('shippingAddress.phone')
-    .isMobilePhone()
-    .withMessage('Please provide a valid phone number'),
-  body('shippingAddress.address')
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Address must be between 5 and 200 characters'),
-  body('shippingAddress.city')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('City must be between 2 and 50 characters'),
-  body('shippingAddress.zipCode')
-    .trim()
-    .isLength({ min: 5, max: 10 })
-    .withMessage('Zip code must be between 5 and 10 characters'),
-  body('paymentMethod')
-    .isIn(['stripe', 'paypal', 'cash_on_delivery'])
-    .withMessage('Please select a valid payment method')
+  requireVerifiedEmail('orders'),
+  ...orderItemsValidation,
+  ...checkoutValidation,
+  body('couponCode').optional({ values: 'falsy' }).isString().trim(),
+  body('totalPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Total price is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -55,91 +36,31 @@ router.post('/', [
       });
     }
 
-    const {
-      orderItems,
-      shippingAddress,
-      paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
-      couponCode,
-      discountAmount
-    } = req.body;
-
-    // Validate order items and check stock
-    const validatedItems = [];
-    let calculatedItemsPrice = 0;
-
-    for (const item of orderItems) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product not found: ${item.name}`
-        });
-      }
-
-      if (!product.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: `Product is not available: ${product.name}`
-        });
-      }
-
-      if (product.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.stock}`
-        });
-      }
+    const { orderItems, shippingAddress, shippingMethod, paymentMethod, couponCode } = req.body;
 
-      validatedItems.push({
-        product: product._id,
-        name: product.name,
-        image: product.images[0]?.url || '',
-        price: product.price,
-        quantity: item.quantity,
-        size: item.size || 'One Size',
-        color: item.color || 'Default'
-      });
+    // Price the order on the server (validates items and stock)
+    const quote = await quoteOrder(
+      { items: orderItems, couponCode, shippingAddress, shippingMethod },
+      { userId: req.user.userId }
+    );
 
-      calculatedItemsPrice += product.price * item.quantity;
-    }
-
-    // Validate pricing (basic validation)
-    const expectedItemsPrice = Math.round(calculatedItemsPrice * 100) / 100;
-    if (Math.abs(itemsPrice - expectedItemsPrice) > 0.01) {
+    const mismatches = compareWithQuote(quote, req.body);
+    if (mismatches.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Price mismatch detected'
+        message: 'Price mismatch detected',
+        mismatches,
+        quote
       });
     }
 
     // Create order
-    const order = new Order({
-      user: req.user.userId,
-      orderItems: validatedItems,
+    const savedOrder = await placeOrder(req.user.userId, {
+      quote,
       shippingAddress,
-      paymentMethod,
-      itemsPrice: expectedItemsPrice,
-      taxPrice: taxPrice || 0,
-      shippingPrice: shippingPrice || 0,
-      totalPrice: totalPrice || expectedItemsPrice,
-      discountAmount: discountAmount || 0,
-      couponCode: couponCode || ''
+      paymentMethod
     });
 
-    const savedOrder = await order.save();
-
-    // Update product stock
-    for (const item of validatedItems) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { stock: -item.quantity } }
-      );
-    }
-
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
@@ -147,6 +68,13 @@ router.post('/', [
     });
 
   } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
     console.error('Create order error:', error);
     res.status(500).json({
       success: false,
@@ -219,8 +147,8 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if user owns this order or is admin
-    if (order.user._id.toString() !== req.user.userId && req.user.role !== 'admin') {
+    // Check if user owns this order or may view all orders
+    if (order.user._id.toString() !== req.user.userId && !req.user.permissions.includes('orders:read')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -250,7 +178,7 @@ router.get('/:id', auth, async (req, res) => {
 // @route   PUT /api/orders/:id/pay
 // @desc    Update order to paid
 // @access  Private
-router.put('/:id/pay', auth, async (req, res) => {
+router.put('/:id/pay', [auth, blockImpersonation], async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
 
@@ -276,6 +204,21 @@ router.put('/:id/pay', auth, async (req, res) => {
       });
     }
 
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has been cancelled'
+      });
+    }
+
+    // The stock hold may have expired while the customer was paying
+    if (!(await commitReservation(order))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in this order are no longer in stock'
+      });
+    }
+
     // Update order
     order.isPaid = true;
     order.paidAt = new Date();
@@ -333,26 +276,26 @@ router.put('/:id/cancel', auth, async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (['shipped', 'delivered', 'cancelled'].includes(order.status)) {
+    if (['shipped', 'delivered', 'cancelled', 'refunded'].includes(order.status)) {
       return res.status(400).json({
         success: false,
         message: `Cannot cancel order with status: ${order.status}`
       });
     }
 
+    // Restore product stock (unless an expired hold already did)
+    const restocked = await releaseReservation(order);
+
     // Update order status
     order.updateStatus('cancelled', req.body.reason || 'Cancelled by customer');
 
-    // Restore product stock
-    for (const item of order.orderItems) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { stock: item.quantity } }
-      );
-    }
-
     const updatedOrder = await order.save();
 
+    // Restocked items may have people waiting for them
+    if (restocked) {
+      queueOrderBackInStockAlerts(order);
+    }
+
     res.json({
       success: true,
       message: 'Order cancelled successfully',
@@ -377,7 +320,7 @@ router.put('/:id/cancel', auth, async (req, res) => {
 // @route   GET /api/orders/admin/all
 // @desc    Get all orders (Admin only)
 // @access  Private/Admin
-router.get('/admin/all', [auth, adminAuth], async (req, res) => {
+router.get('/admin/all', [auth, requirePermission('orders:read')], async (req, res) => {
   try {
     const { page = 1, limit = 20, status, search } = req.query;
 
@@ -437,7 +380,7 @@ router.get('/admin/all', [auth, adminAuth], async (req, res) => {
 // @access  Private/Admin
 router.put('/:id/status', [
   auth,
-  adminAuth,
+  requirePermission('orders:fulfill'),
   body('status')
     .isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'])
     .withMessage('Please provide a valid status'),
@@ -467,6 +410,12 @@ router.put('/:id/status', [
       });
     }
 
+    const before = AuditLog.snapshot(order);
+
+    // Restore product stock for cancellations and unshipped refunds (unless
+    // an expired hold already did)
+    const restocked = await releaseForStatus(order, status);
+
     // Update order
     order.updateStatus(status, note);
     
@@ -475,6 +424,27 @@ router.put('/:id/status', [
 
     const updatedOrder = await order.save();
 
+    await AuditLog.record(req, 'order.status_update', {
+      targetType: 'Order',
+      target: updatedOrder,
+      label: updatedOrder.orderNumber,
+      before,
+      after: updatedOrder,
+      metadata: { note }
+    });
+
+    // Restocked items may have people waiting for them
+    if (restocked) {
+      queueOrderBackInStockAlerts(order);
+    }
+
+    if (['shipped', 'delivered'].includes(status)) {
+      sendEmailInBackground(updatedOrder.shippingAddress.email, 'shippingUpdate', {
+        name: updatedOrder.shippingAddress.firstName,
+        order: updatedOrder
+      });
+    }
+
     res.json({
       success: true,
       message: 'Order status updated successfully',
@@ -2,15 +2,21 @@ const express = require('express');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
-const { auth } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const { commitReservation, releaseForStatus } = require('../utils/inventory');
+const { queueOrderBackInStockAlerts } = require('../jobs/backInStock');
+const { auth, requirePermission, blockImpersonation } = require('../middleware/auth');
 
 const router = express.Router();
 
+const STOCK_UNAVAILABLE_NOTE = 'Payment received after the stock hold expired and items had sold out; refund required';
+
 // @route   POST /api/payments/create-payment-intent
 // @desc    Create Stripe payment intent
 // @access  Private
 router.post('/create-payment-intent', [
   auth,
+  blockImpersonation,
   body('amount')
     .isFloat({ min: 0.5 })
     .withMessage('Amount must be at least $0.50'),
@@ -58,6 +64,13 @@ router.post('/create-payment-intent', [
       });
     }
 
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has been cancelled'
+      });
+    }
+
     // Verify amount matches order total
     const orderAmount = Math.round(order.totalPrice * 100); // Convert to cents
     const requestAmount = Math.round(amount * 100);
@@ -105,6 +118,7 @@ router.post('/create-payment-intent', [
 // @access  Private
 router.post('/confirm-payment', [
   auth,
+  blockImpersonation,
   body('paymentIntentId')
     .notEmpty()
     .withMessage('Payment intent ID is required'),
@@ -166,10 +180,18 @@ router.post('/confirm-payment', [
       });
     }
 
+    // The stock hold may have expired while the customer was paying. The
+    // money is taken either way, so a sold out order is kept for a refund.
+    const stocked = await commitReservation(order);
+
     // Update order as paid
     order.isPaid = true;
     order.paidAt = new Date();
-    order.updateStatus('processing', 'Payment received via Stripe');
+    if (stocked) {
+      order.updateStatus('processing', 'Payment received via Stripe');
+    } else {
+      order.updateStatus('cancelled', STOCK_UNAVAILABLE_NOTE);
+    }
     order.paymentResult = {
       id: paymentIntent.id,
       status: paymentIntent.status,
@@ -179,6 +201,18 @@ router.post('/confirm-payment', [
 
     await order.save();
 
+    if (!stocked) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment received, but some items sold out before it arrived. The order has been cancelled and will be refunded.',
+        data: {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          paymentStatus: 'completed'
+        }
+      });
+    }
+
     res.json({
       success: true,
       message: 'Payment confirmed successfully',
@@ -226,9 +260,15 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
         if (orderId) {
           const order = await Order.findById(orderId);
           if (order && !order.isPaid) {
+            const stocked = await commitReservation(order);
             order.isPaid = true;
             order.paidAt = new Date();
-            order.updateStatus('processing', 'Payment confirmed via webhook');
+            if (stocked) {
+              order.updateStatus('processing', 'Payment confirmed via webhook');
+            } else {
+              order.updateStatus('cancelled', STOCK_UNAVAILABLE_NOTE);
+              console.error('Paid order is out of stock and needs a refund:', order.orderNumber);
+            }
             order.paymentResult = {
               id: paymentIntent.id,
               status: paymentIntent.status,
@@ -249,7 +289,7 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
         const failedOrderId = failedPayment.metadata.orderId;
         if (failedOrderId) {
           const failedOrder = await Order.findById(failedOrderId);
-          if (failedOrder) {
+          if (failedOrder && failedOrder.status !== 'cancelled') {
             failedOrder.updateStatus('pending', 'Payment failed');
             await failedOrder.save();
             console.log('Order marked as payment failed:', failedOrder.orderNumber);
@@ -280,6 +320,8 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 // @access  Private/Admin
 router.post('/refund', [
   auth,
+  blockImpersonation,
+  requirePermission('payments:refund'),
   body('orderId')
     .isMongoId()
     .withMessage('Please provide a valid order ID'),
@@ -293,14 +335,6 @@ router.post('/refund', [
     .withMessage('Reason cannot be more than 500 characters')
 ], async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
     // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -351,10 +385,32 @@ router.post('/refund', [
       }
     });
 
+    // Restore product stock if the order never shipped
+    const before = AuditLog.snapshot(order);
+    const restocked = await releaseForStatus(order, 'refunded');
+
     // Update order status
     order.updateStatus('refunded', `Refund processed: $${(refundAmount / 100).toFixed(2)} - ${reason}`);
     await order.save();
 
+    await AuditLog.record(req, 'order.refund', {
+      targetType: 'Order',
+      target: order,
+      label: order.orderNumber,
+      before,
+      after: order,
+      metadata: {
+        refundId: refund.id,
+        amount: refundAmount / 100,
+        reason
+      }
+    });
+
+    // Restocked items may have people waiting for them
+    if (restocked) {
+      queueOrderBackInStockAlerts(order);
+    }
+
     res.json({
       success: true,
       message: 'Refund processed successfully',
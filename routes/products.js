@@ -1,10 +1,58 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Product = require('../models/Product');
-const { auth, adminAuth } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { queuePriceDropAlerts } = require('../jobs/priceDrops');
+const { queueBackInStockAlerts } = require('../jobs/backInStock');
 
 const router = express.Router();
 
+// Validation rules for a product's size/color variants
+const variantValidation = [
+  body('variants')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Variants must be a list of at most 100'),
+  body('variants.*.size')
+    .optional()
+    .isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'One Size'])
+    .withMessage('Please select a valid variant size'),
+  body('variants.*.color')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Variant color must be between 1 and 50 characters'),
+  body('variants.*.sku')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 40 })
+    .withMessage('Variant SKU must be between 3 and 40 characters'),
+  body('variants.*.stock')
+    .isInt({ min: 0 })
+    .withMessage('Variant stock must be a non-negative integer'),
+  body('variants.*.price')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Variant price must be a positive number'),
+  body('variants.*.images')
+    .optional()
+    .isArray()
+    .withMessage('Variant images must be a list'),
+  body('variants.*.isActive')
+    .optional()
+    .isBoolean()
+];
+
+// Mongoose errors caused by the request rather than the server
+const productSaveError = (error) => {
+  if (error.name === 'ValidationError') return error.message;
+  if (error.code === 11000 && error.keyPattern && error.keyPattern['variants.sku']) {
+    return 'Variant SKU is already in use';
+  }
+  return null;
+};
+
 // @route   GET /api/products
 // @desc    Get all products with filtering, sorting, and pagination
 // @access  Public
@@ -200,7 +248,7 @@ router.get('/:id', async (req, res) => {
 // @access  Private/Admin
 router.post('/', [
   auth,
-  adminAuth,
+  requirePermission('products:write'),
   body('name')
     .trim()
     .isLength({ min: 2, max: 100 })
@@ -215,9 +263,12 @@ router.post('/', [
   body('category')
     .isIn(['T-Shirts', 'Handkerchiefs', 'Socks', 'Gloves', 'Accessories'])
     .withMessage('Please select a valid category'),
+  // Products with variants take their stock from them
   body('stock')
+    .if(body('variants').not().isArray({ min: 1 }))
     .isInt({ min: 0 })
     .withMessage('Stock must be a non-negative integer'),
+  ...variantValidation,
   body('productCode')
     .trim()
     .isLength({ min: 3, max: 20 })
@@ -264,6 +315,13 @@ router.post('/', [
     const product = new Product(productData);
     await product.save();
 
+    await AuditLog.record(req, 'product.create', {
+      targetType: 'Product',
+      target: product,
+      label: product.sku,
+      after: product
+    });
+
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
@@ -272,6 +330,13 @@ router.post('/', [
 
   } catch (error) {
     console.error('Create product error:', error);
+    const message = productSaveError(error);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while creating product'
@@ -284,7 +349,7 @@ router.post('/', [
 // @access  Private/Admin
 router.put('/:id', [
   auth,
-  adminAuth,
+  requirePermission('products:write'),
   body('name')
     .optional()
     .trim()
@@ -302,7 +367,8 @@ router.put('/:id', [
   body('stock')
     .optional()
     .isInt({ min: 0 })
-    .withMessage('Stock must be a non-negative integer')
+    .withMessage('Stock must be a non-negative integer'),
+  ...variantValidation
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -323,17 +389,39 @@ router.put('/:id', [
       });
     }
 
+    const before = AuditLog.snapshot(product);
+    const previousPrice = product.price;
+
     // Update product
     Object.keys(req.body).forEach(key => {
-      product[key] = req.body[key];
+      if (key === 'variants') {
+        product.setVariants(req.body.variants);
+      } else {
+        product[key] = req.body[key];
+      }
     });
 
-    await product.save();
+    const updatedProduct = 'variants' in req.body ? await product.saveVariants() : await product.save();
+
+    if (updatedProduct.price < previousPrice) {
+      queuePriceDropAlerts(updatedProduct, previousPrice);
+    }
+    if (['stock', 'sizes', 'colors', 'variants', 'isActive'].some(key => key in req.body)) {
+      queueBackInStockAlerts(product._id);
+    }
+
+    await AuditLog.record(req, 'product.update', {
+      targetType: 'Product',
+      target: updatedProduct,
+      label: updatedProduct.sku,
+      before,
+      after: updatedProduct
+    });
 
     res.json({
       success: true,
       message: 'Product updated successfully',
-      data: product
+      data: updatedProduct
     });
 
   } catch (error) {
@@ -344,6 +432,13 @@ router.put('/:id', [
         message: 'Product not found'
       });
     }
+    const message = productSaveError(error);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while updating product'
@@ -354,7 +449,7 @@ router.put('/:id', [
 // @route   DELETE /api/products/:id
 // @desc    Delete a product (Admin only)
 // @access  Private/Admin
-router.delete('/:id', [auth, adminAuth], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('products:write')], async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
@@ -365,9 +460,18 @@ router.delete('/:id', [auth, adminAuth], async (req, res) => {
     }
 
     // Soft delete - just mark as inactive
+    const before = AuditLog.snapshot(product);
     product.isActive = false;
     await product.save();
 
+    await AuditLog.record(req, 'product.delete', {
+      targetType: 'Product',
+      target: product,
+      label: product.sku,
+      before,
+      after: product
+    });
+
     res.json({
       success: true,
       message: 'Product deleted successfully'
@@ -393,6 +497,7 @@ router.delete('/:id', [auth, adminAuth], async (req, res) => {
 // @access  Private
 router.post('/:id/reviews', [
   auth,
+  requireVerifiedEmail('reviews'),
   body('rating')
     .isInt({ min: 1, max: 5 })
     .withMessage('Rating must be between 1 and 5'),
@@ -0,0 +1,70 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const { optionalAuth } = require('../middleware/auth');
+const { CheckoutError, buildOrderItems } = require('../utils/checkout');
+const { cartWeight, getShippingRates } = require('../utils/shipping');
+
+const router = express.Router();
+
+// @route   GET /api/shipping/rates
+// @desc    Shipping options for the current cart (user, or guest via
+//          X-Cart-Token) to an address
+// @access  Public
+router.get('/rates', [
+  optionalAuth,
+  query('country').trim().notEmpty().withMessage('Country is required'),
+  query('state').optional().trim(),
+  query('zipCode').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cart = req.user
+      ? await Cart.findOne({ user: req.user.userId })
+      : await Cart.findByGuestToken(req.get('x-cart-token'));
+
+    const { orderItems, itemsPrice } = cart && cart.items.length > 0
+      ? await buildOrderItems(cart.items)
+      : { orderItems: [], itemsPrice: 0 };
+
+    const { country, state, zipCode } = req.query;
+    const rates = await getShippingRates({
+      lines: orderItems,
+      subtotal: itemsPrice,
+      shippingAddress: { country, state, zipCode }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        rates,
+        ships: rates.length > 0,
+        weight: cartWeight(orderItems),
+        subtotal: itemsPrice
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get shipping rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching shipping rates'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ShippingZone = require('../models/ShippingZone');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ALLOWED_FIELDS = ['name', 'countries', 'states', 'methods', 'isActive'];
+
+const zoneValidation = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    field('countries').isArray({ min: 1 }).withMessage('At least one country is required'),
+    body('states').optional().isArray().withMessage('States must be an array'),
+    body('methods').optional().isArray().withMessage('Methods must be an array'),
+    body('methods.*.code').trim().notEmpty().withMessage('Method code is required'),
+    body('methods.*.name').trim().notEmpty().withMessage('Method name is required'),
+    body('methods.*.basis').optional().isIn(['weight', 'subtotal']).withMessage('Basis must be weight or subtotal'),
+    body('methods.*.rates').isArray({ min: 1 }).withMessage('Each method needs at least one rate'),
+    body('methods.*.rates.*.price').isFloat({ min: 0 }).withMessage('Rate price must be a positive number'),
+    body('methods.*.freeShippingThreshold').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Free shipping threshold must be a positive number'),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+const pick = (source) => Object.fromEntries(
+  Object.entries(source).filter(([key]) => ALLOWED_FIELDS.includes(key))
+);
+
+// Method codes must be unique within a zone
+const duplicateMethod = (methods = []) => {
+  const codes = methods.map(method => String(method.code).trim().toLowerCase());
+  return codes.find((code, index) => codes.indexOf(code) !== index);
+};
+
+// @route   GET /api/admin/shipping-zones
+// @desc    Get shipping zones
+// @access  Private/Admin
+router.get('/', [auth, requirePermission('shipping:write')], async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: zones
+    });
+  } catch (error) {
+    console.error('Get shipping zones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching shipping zones'
+    });
+  }
+});
+
+// @route   POST /api/admin/shipping-zones
+// @desc    Create a shipping zone with its methods and rate tables
+// @access  Private/Admin
+router.post('/', [auth, requirePermission('shipping:write'), ...zoneValidation(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const duplicate = duplicateMethod(req.body.methods);
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: `Shipping method ${duplicate} is listed twice`
+      });
+    }
+
+    const zone = new ShippingZone({
+      ...pick(req.body),
+      createdBy: req.user.userId
+    });
+
+    await zone.save();
+
+    await AuditLog.record(req, 'shipping_zone.create', {
+      targetType: 'ShippingZone',
+      target: zone,
+      label: zone.name,
+      after: zone
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping zone created successfully',
+      data: zone
+    });
+  } catch (error) {
+    console.error('Create shipping zone error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating shipping zone'
+    });
+  }
+});
+
+// @route   PUT /api/admin/shipping-zones/:id
+// @desc    Update a shipping zone (methods are replaced as a whole)
+// @access  Private/Admin
+router.put('/:id', [auth, requirePermission('shipping:write'), ...zoneValidation(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const duplicate = duplicateMethod(req.body.methods);
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: `Shipping method ${duplicate} is listed twice`
+      });
+    }
+
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    const before = AuditLog.snapshot(zone);
+
+    Object.assign(zone, pick(req.body));
+    await zone.save();
+
+    await AuditLog.record(req, 'shipping_zone.update', {
+      targetType: 'ShippingZone',
+      target: zone,
+      label: zone.name,
+      before,
+      after: zone
+    });
+
+    res.json({
+      success: true,
+      message: 'Shipping zone updated successfully',
+      data: zone
+    });
+  } catch (error) {
+    console.error('Update shipping zone error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating shipping zone'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/shipping-zones/:id
+// @desc    Delete a shipping zone
+// @access  Private/Admin
+router.delete('/:id', [auth, requirePermission('shipping:write')], async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    await zone.deleteOne();
+
+    await AuditLog.record(req, 'shipping_zone.delete', {
+      targetType: 'ShippingZone',
+      target: zone,
+      label: zone.name,
+      before: zone
+    });
+
+    res.json({
+      success: true,
+      message: 'Shipping zone deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete shipping zone error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting shipping zone'
+    });
+  }
+});
+
+module.exports = router;
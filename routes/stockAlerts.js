@@ -0,0 +1,188 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const StockSubscription = require('../models/StockSubscription');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { clientUrl, sendEmailInBackground } = require('../utils/mailer');
+const { variantName } = require('../jobs/backInStock');
+
+const router = express.Router();
+
+const formatSubscription = (subscription) => ({
+  id: subscription._id,
+  product: subscription.product,
+  size: subscription.size,
+  color: subscription.color,
+  status: subscription.status,
+  createdAt: subscription.createdAt,
+  notifiedAt: subscription.notifiedAt
+});
+
+// @route   POST /api/stock-alerts
+// @desc    Ask to be emailed when a sold-out product size/color is back
+// @access  Public (guests must give an email)
+router.post('/', [
+  optionalAuth,
+  body('productId')
+    .isMongoId()
+    .withMessage('Please provide a valid product ID'),
+  body('size').optional().isString().trim(),
+  body('color').optional().isString().trim(),
+  body('email')
+    .if((value, { req }) => !req.user)
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.body.productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const options = product.resolveOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error
+      });
+    }
+
+    if (product.variantStock(options) > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${variantName(product, options)} is in stock`
+      });
+    }
+
+    let email = req.body.email;
+    if (req.user) {
+      const user = await User.findById(req.user.userId).select('email');
+      email = user.email;
+    }
+
+    const existing = await StockSubscription.findOne({
+      product: product._id,
+      ...options,
+      email: email.toLowerCase(),
+      status: 'active'
+    });
+    if (existing) {
+      return res.json({
+        success: true,
+        message: "You're already on the list for this item",
+        data: formatSubscription(existing)
+      });
+    }
+
+    const subscription = await StockSubscription.create({
+      product: product._id,
+      ...options,
+      user: req.user ? req.user.userId : undefined,
+      email
+    });
+
+    sendEmailInBackground(subscription.email, 'stockAlertConfirmation', {
+      productName: variantName(product, options),
+      cancelUrl: clientUrl(`/stock-alerts/${subscription._id}/cancel/${subscription.sign()}`)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "We'll email you when it's back in stock",
+      data: formatSubscription(subscription)
+    });
+
+  } catch (error) {
+    console.error('Create stock alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating stock alert'
+    });
+  }
+});
+
+// @route   GET /api/stock-alerts
+// @desc    Get current user's stock alerts
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const subscriptions = await StockSubscription.find({
+      user: req.user.userId,
+      status: { $ne: 'cancelled' }
+    })
+      .populate('product', 'name slug price images stock isActive')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: subscriptions.map(subscription => ({
+        ...formatSubscription(subscription),
+        product: subscription.product
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get stock alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching stock alerts'
+    });
+  }
+});
+
+// @route   DELETE /api/stock-alerts/:id
+// @desc    Cancel a stock alert (owner, or anyone with the token from the email)
+// @access  Public (token or owner required)
+router.delete('/:id', optionalAuth, async (req, res) => {
+  try {
+    const subscription = await StockSubscription.findById(req.params.id);
+
+    const isOwner = subscription && req.user && subscription.user &&
+      subscription.user.toString() === req.user.userId;
+    if (!subscription || (!isOwner && !subscription.verifyToken(req.query.token))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock alert not found'
+      });
+    }
+
+    if (subscription.status === 'active') {
+      await subscription.cancel();
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock alert cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel stock alert error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock alert not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling stock alert'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TaxRule = require('../models/TaxRule');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ALLOWED_FIELDS = ['name', 'country', 'state', 'zipPrefix', 'rate', 'categoryRates', 'inclusive', 'taxShipping', 'isActive'];
+
+const ruleValidation = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    field('country').trim().notEmpty().withMessage('Country is required'),
+    body('state').optional().isString().trim(),
+    body('zipPrefix').optional().isString().trim().isLength({ max: 10 }).withMessage('Zip prefix is too long'),
+    field('rate').isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+    body('categoryRates').optional().isArray().withMessage('Category rates must be an array'),
+    body('categoryRates.*.rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+    body('inclusive').optional().isBoolean(),
+    body('taxShipping').optional().isBoolean(),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+const pick = (source) => Object.fromEntries(
+  Object.entries(source).filter(([key]) => ALLOWED_FIELDS.includes(key))
+);
+
+// @route   GET /api/admin/tax-rules
+// @desc    Get tax rules
+// @access  Private/Admin
+router.get('/', [auth, requirePermission('tax:write')], async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.country) query.country = req.query.country;
+    if (req.query.isActive) query.isActive = req.query.isActive === 'true';
+
+    const rules = await TaxRule.find(query).sort({ country: 1, state: 1, zipPrefix: 1 });
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get tax rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tax rules'
+    });
+  }
+});
+
+// @route   POST /api/admin/tax-rules
+// @desc    Create a tax rule
+// @access  Private/Admin
+router.post('/', [auth, requirePermission('tax:write'), ...ruleValidation(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = new TaxRule({
+      ...pick(req.body),
+      createdBy: req.user.userId
+    });
+
+    await rule.save();
+
+    await AuditLog.record(req, 'tax_rule.create', {
+      targetType: 'TaxRule',
+      target: rule,
+      label: rule.jurisdiction,
+      after: rule
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Create tax rule error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating tax rule'
+    });
+  }
+});
+
+// @route   PUT /api/admin/tax-rules/:id
+// @desc    Update a tax rule
+// @access  Private/Admin
+router.put('/:id', [auth, requirePermission('tax:write'), ...ruleValidation(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await TaxRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    const before = AuditLog.snapshot(rule);
+
+    Object.assign(rule, pick(req.body));
+    await rule.save();
+
+    await AuditLog.record(req, 'tax_rule.update', {
+      targetType: 'TaxRule',
+      target: rule,
+      label: rule.jurisdiction,
+      before,
+      after: rule
+    });
+
+    res.json({
+      success: true,
+      message: 'Tax rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Update tax rule error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating tax rule'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/tax-rules/:id
+// @desc    Delete a tax rule (orders keep their tax breakdown)
+// @access  Private/Admin
+router.delete('/:id', [auth, requirePermission('tax:write')], async (req, res) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    await rule.deleteOne();
+
+    await AuditLog.record(req, 'tax_rule.delete', {
+      targetType: 'TaxRule',
+      target: rule,
+      label: rule.jurisdiction,
+      before: rule
+    });
+
+    res.json({
+      success: true,
+      message: 'Tax rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tax rule error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting tax rule'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,24 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, adminAuth, adminOrOwner } = require('../middleware/auth');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const AuditLog = require('../models/AuditLog');
+const DataExport = require('../models/DataExport');
+const { auth, requirePermission, requirePermissionOrOwner, blockImpersonation } = require('../middleware/auth');
+const { getRoleNames, isStaffRole, canManageRole } = require('../utils/permissions');
+const { confirmIdentity } = require('../utils/authTokens');
+const { apiUrl, clientUrl, sendEmailInBackground } = require('../utils/mailer');
+const { queueDataExport, exportPath } = require('../jobs/dataExport');
+const { COOLING_OFF_DAYS } = require('../jobs/accountDeletion');
 
 const router = express.Router();
 
 // @route   GET /api/users
 // @desc    Get all users (Admin only)
 // @access  Private/Admin
-router.get('/', [auth, adminAuth], async (req, res) => {
+router.get('/', [auth, requirePermission('users:manage')], async (req, res) => {
   try {
     const { page = 1, limit = 10, search = '', role = '', status = '' } = req.query;
     
@@ -62,7 +72,7 @@ router.get('/', [auth, adminAuth], async (req, res) => {
 // @route   GET /api/users/:id
 // @desc    Get user by ID
 // @access  Private/Admin or Owner
-router.get('/:id', [auth, adminOrOwner], async (req, res) => {
+router.get('/:id', [auth, requirePermissionOrOwner('users:manage')], async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     
@@ -92,10 +102,11 @@ router.get('/:id', [auth, adminOrOwner], async (req, res) => {
 // @access  Private/Admin
 router.put('/:id/role', [
   auth,
-  adminAuth,
+  blockImpersonation,
+  requirePermission('users:manage'),
   body('role')
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin')
+    .custom(value => getRoleNames().includes(value))
+    .withMessage(() => `Role must be one of: ${getRoleNames().join(', ')}`)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -127,9 +138,25 @@ router.put('/:id/role', [
       });
     }
 
+    if (!canManageRole(req.user.permissions, user.role) || !canManageRole(req.user.permissions, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only assign or change roles whose permissions you hold'
+      });
+    }
+
+    const before = AuditLog.snapshot(user);
     user.role = role;
     await user.save();
 
+    await AuditLog.record(req, 'user.role_update', {
+      targetType: 'User',
+      target: user,
+      label: user.email,
+      before,
+      after: user
+    });
+
     res.json({
       success: true,
       message: `User role updated to ${role} successfully`,
@@ -157,7 +184,7 @@ router.put('/:id/role', [
 // @access  Private/Admin
 router.put('/:id/status', [
   auth,
-  adminAuth,
+  requirePermission('users:manage'),
   body('isActive')
     .isBoolean()
     .withMessage('Status must be a boolean value')
@@ -192,9 +219,25 @@ router.put('/:id/status', [
       });
     }
 
+    if (!canManageRole(req.user.permissions, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change the status of an account with permissions you do not hold'
+      });
+    }
+
+    const before = AuditLog.snapshot(user);
     user.isActive = isActive;
     await user.save();
 
+    await AuditLog.record(req, isActive ? 'user.activate' : 'user.deactivate', {
+      targetType: 'User',
+      target: user,
+      label: user.email,
+      before,
+      after: user
+    });
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -220,7 +263,7 @@ router.put('/:id/status', [
 // @route   DELETE /api/users/:id
 // @desc    Delete user (Admin only)
 // @access  Private/Admin
-router.delete('/:id', [auth, adminAuth], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('users:manage')], async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -240,11 +283,29 @@ router.delete('/:id', [auth, adminAuth], async (req, res) => {
       });
     }
 
-    // Instead of hard delete, we'll deactivate the user
+    if (!canManageRole(req.user.permissions, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot delete an account with permissions you do not hold'
+      });
+    }
+
+    const before = AuditLog.snapshot(user);
+
+    // Instead of hard delete, we'll deactivate the user. Personal data is only
+    // erased through the scheduled deletion at /me/deletion.
     user.isActive = false;
     user.email = `deleted_${Date.now()}_${user.email}`;
     await user.save();
 
+    await AuditLog.record(req, 'user.delete', {
+      targetType: 'User',
+      target: user,
+      label: user.email,
+      before,
+      after: user
+    });
+
     res.json({
       success: true,
       message: 'User deleted successfully'
@@ -262,18 +323,20 @@ router.delete('/:id', [auth, adminAuth], async (req, res) => {
 // @route   GET /api/users/stats/overview
 // @desc    Get user statistics (Admin only)
 // @access  Private/Admin
-router.get('/stats/overview', [auth, adminAuth], async (req, res) => {
+router.get('/stats/overview', [auth, requirePermission('users:manage')], async (req, res) => {
   try {
     const [
       totalUsers,
       activeUsers,
       adminUsers,
+      regularUsers,
       newUsersThisMonth,
       userGrowth
     ] = await Promise.all([
       User.countDocuments(),
       User.countDocuments({ isActive: true }),
       User.countDocuments({ role: 'admin' }),
+      User.countDocuments({ role: 'user' }),
       User.countDocuments({
         createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
       }),
@@ -296,7 +359,8 @@ router.get('/stats/overview', [auth, adminAuth], async (req, res) => {
         activeUsers,
         inactiveUsers: totalUsers - activeUsers,
         adminUsers,
-        regularUsers: totalUsers - adminUsers,
+        staffUsers: totalUsers - adminUsers - regularUsers,
+        regularUsers,
         newUsersThisMonth,
         userGrowth: userGrowth.reverse()
       }
@@ -311,4 +375,610 @@ router.get('/stats/overview', [auth, adminAuth], async (req, res) => {
   }
 });
 
+// ============================================
+// PERSONAL DATA EXPORT
+// ============================================
+
+const formatExport = (dataExport) => ({
+  id: dataExport._id,
+  format: dataExport.format,
+  status: dataExport.status,
+  fileSize: dataExport.fileSize,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  downloadUrl: dataExport.status === 'ready' ? dataExport.getDownloadUrl(apiUrl('')) : null
+});
+
+// @route   POST /api/users/me/export
+// @desc    Request a copy of all personal data (built in the background)
+// @access  Private
+router.post('/me/export', [
+  auth,
+  blockImpersonation,
+  body('format')
+    .optional()
+    .isIn(['zip', 'json'])
+    .withMessage('Format must be zip or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const inProgress = await DataExport.findInProgress(req.user.userId);
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export is already being prepared',
+        data: formatExport(inProgress)
+      });
+    }
+
+    const dataExport = await DataExport.create({
+      user: req.user.userId,
+      format: req.body.format || 'zip'
+    });
+
+    queueDataExport(dataExport._id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Your export is being prepared. We will email you a download link when it is ready.',
+      data: formatExport(dataExport)
+    });
+
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting data export'
+    });
+  }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Get current user's data exports
+// @access  Private
+router.get('/me/export', [auth, blockImpersonation], async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user.userId })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      data: exports.map(formatExport)
+    });
+
+  } catch (error) {
+    console.error('Get data exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching data exports'
+    });
+  }
+});
+
+// @route   GET /api/users/me/export/:id/download
+// @desc    Download a data export (signed, expiring link)
+// @access  Public (signature required)
+router.get('/me/export/:id/download', async (req, res) => {
+  try {
+    const { expires, signature } = req.query;
+
+    const dataExport = await DataExport.findById(req.params.id);
+    if (!dataExport || !dataExport.verifySignature(expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    if (dataExport.status !== 'ready') {
+      return res.status(404).json({
+        success: false,
+        message: 'Export is not available'
+      });
+    }
+
+    dataExport.downloadCount += 1;
+    await dataExport.save();
+
+    res.download(exportPath(dataExport.fileName), `inksoul-data-export.${dataExport.format}`, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Send data export error:', error);
+        res.status(404).json({
+          success: false,
+          message: 'Export is not available'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Download data export error:', error);
+    if (error.name === 'CastError') {
+      return res.status(403).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading data export'
+    });
+  }
+});
+
+// ============================================
+// ACCOUNT DELETION
+// ============================================
+
+const formatDeletion = (user) => ({
+  scheduled: !!(user.deletion && user.deletion.scheduledFor),
+  requestedAt: user.deletion ? user.deletion.requestedAt : null,
+  scheduledFor: user.deletion ? user.deletion.scheduledFor : null
+});
+
+// @route   POST /api/users/me/deletion
+// @desc    Request deletion of current user's account (after a cooling-off period)
+// @access  Private
+router.post('/me/deletion', [
+  auth,
+  blockImpersonation,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (isStaffRole(user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff accounts must be removed by an administrator'
+      });
+    }
+
+    // Password, or a recent sign-in for accounts without one
+    const identityError = await confirmIdentity(user, req.body.password, req);
+    if (identityError) {
+      return res.status(400).json({
+        success: false,
+        message: identityError
+      });
+    }
+
+    if (user.deletion && user.deletion.scheduledFor) {
+      return res.status(409).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        data: formatDeletion(user)
+      });
+    }
+
+    user.deletion = {
+      requestedAt: new Date(),
+      scheduledFor: new Date(Date.now() + COOLING_OFF_DAYS * 24 * 60 * 60 * 1000),
+      reason: req.body.reason || ''
+    };
+    await user.save();
+
+    sendEmailInBackground(user.email, 'accountDeletionScheduled', {
+      name: user.name,
+      scheduledFor: user.deletion.scheduledFor,
+      url: clientUrl('/account/deletion')
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Your account will be deleted on ${user.deletion.scheduledFor.toISOString()}. You can cancel until then.`,
+      data: formatDeletion(user)
+    });
+
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting account deletion'
+    });
+  }
+});
+
+// @route   GET /api/users/me/deletion
+// @desc    Get current user's pending deletion, if any
+// @access  Private
+router.get('/me/deletion', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatDeletion(user)
+    });
+
+  } catch (error) {
+    console.error('Get account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching account deletion'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/deletion
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.delete('/me/deletion', [auth, blockImpersonation], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.deletion || !user.deletion.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled'
+      });
+    }
+
+    user.deletion = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled',
+      data: formatDeletion(user)
+    });
+
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling account deletion'
+    });
+  }
+});
+
+// ============================================
+// WISHLIST
+// ============================================
+
+const WISHLIST_PRODUCT_FIELDS = 'name slug price comparePrice images stock isActive category';
+
+const formatWishlistItem = (product) => ({
+  product: product._id,
+  name: product.name,
+  slug: product.slug,
+  category: product.category,
+  image: product.images[0]?.url || '',
+  price: product.price,
+  comparePrice: product.comparePrice,
+  available: product.isActive,
+  inStock: product.isActive && product.stock > 0,
+  stock: product.stock
+});
+
+// Send the user's wishlist with current price and stock. Products that have
+// since been deleted are left out.
+const sendWishlist = async (res, userId, { status = 200, message } = {}) => {
+  const user = await User.findById(userId).populate('wishlist', WISHLIST_PRODUCT_FIELDS);
+  const items = user.wishlist.filter(Boolean).map(formatWishlistItem);
+
+  res.status(status).json({
+    success: true,
+    ...(message && { message }),
+    data: {
+      items,
+      count: items.length,
+      shareUrl: user.wishlistShareToken ? clientUrl(`/wishlists/${user.wishlistShareToken}`) : null
+    }
+  });
+};
+
+const productIdParam = param('productId')
+  .isMongoId()
+  .withMessage('Please provide a valid product ID');
+
+// @route   GET /api/users/me/wishlist
+// @desc    Get current user's wishlist with current price and stock
+// @access  Private
+router.get('/me/wishlist', auth, async (req, res) => {
+  try {
+    await sendWishlist(res, req.user.userId);
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wishlist'
+    });
+  }
+});
+
+// @route   POST /api/users/me/wishlist
+// @desc    Add a product to the wishlist
+// @access  Private
+router.post('/me/wishlist', [
+  auth,
+  body('productId')
+    .isMongoId()
+    .withMessage('Please provide a valid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.body.productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    await User.updateOne(
+      { _id: req.user.userId },
+      { $addToSet: { wishlist: product._id } }
+    );
+
+    await sendWishlist(res, req.user.userId, { status: 201, message: 'Added to wishlist' });
+
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating wishlist'
+    });
+  }
+});
+
+// @route   POST /api/users/me/wishlist/share
+// @desc    Turn on the public share link for the wishlist
+// @access  Private
+router.post('/me/wishlist/share', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user.wishlistShareToken) {
+      user.wishlistShareToken = crypto.randomBytes(16).toString('hex');
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Wishlist sharing enabled',
+      data: {
+        token: user.wishlistShareToken,
+        shareUrl: clientUrl(`/wishlists/${user.wishlistShareToken}`)
+      }
+    });
+
+  } catch (error) {
+    console.error('Share wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sharing wishlist'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/wishlist/share
+// @desc    Turn off the share link (old links stop working)
+// @access  Private
+router.delete('/me/wishlist/share', auth, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user.userId },
+      { $unset: { wishlistShareToken: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Wishlist sharing disabled'
+    });
+
+  } catch (error) {
+    console.error('Unshare wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating wishlist sharing'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/wishlist/:productId
+// @desc    Remove a product from the wishlist
+// @access  Private
+router.delete('/me/wishlist/:productId', [auth, productIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await User.updateOne(
+      { _id: req.user.userId, wishlist: req.params.productId },
+      { $pull: { wishlist: req.params.productId } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product is not in your wishlist'
+      });
+    }
+
+    await sendWishlist(res, req.user.userId, { message: 'Removed from wishlist' });
+
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating wishlist'
+    });
+  }
+});
+
+// @route   POST /api/users/me/wishlist/:productId/move-to-cart
+// @desc    Move a wishlist product (size + color) into the cart
+// @access  Private
+router.post('/me/wishlist/:productId/move-to-cart', [
+  auth,
+  productIdParam,
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 99 })
+    .withMessage('Quantity must be between 1 and 99'),
+  body('size').optional().isString().trim(),
+  body('color').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ _id: req.user.userId, wishlist: req.params.productId }).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product is not in your wishlist'
+      });
+    }
+
+    const product = await Product.findById(req.params.productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const options = product.resolveOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error
+      });
+    }
+
+    const quantity = parseInt(req.body.quantity) || 1;
+    const cart = await Cart.findOrCreateForUser(req.user.userId);
+    const existing = cart.findLine({ product: product._id, ...options });
+
+    const available = product.availableStock(options);
+    if (available < (existing ? existing.quantity : 0) + quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient stock for ${product.name}. Available: ${available}`
+      });
+    }
+
+    cart.addItem({ product: product._id, ...options, quantity, price: product.priceFor(options) });
+    cart.markActive();
+    await cart.save();
+
+    await User.updateOne(
+      { _id: req.user.userId },
+      { $pull: { wishlist: product._id } }
+    );
+
+    await sendWishlist(res, req.user.userId, { message: 'Moved to cart' });
+
+  } catch (error) {
+    console.error('Move wishlist item to cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moving item to cart'
+    });
+  }
+});
+
+// @route   GET /api/users/wishlists/:token
+// @desc    View a shared wishlist
+// @access  Public
+router.get('/wishlists/:token', async (req, res) => {
+  try {
+    const user = /^[a-f0-9]{32}$/.test(req.params.token)
+      ? await User.findOne({ wishlistShareToken: req.params.token, isActive: true, deletedAt: null })
+        .populate('wishlist', WISHLIST_PRODUCT_FIELDS)
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wishlist not found'
+      });
+    }
+
+    // Only what a visitor needs: first name and products still on sale
+    const items = user.wishlist
+      .filter(product => product && product.isActive)
+      .map(formatWishlistItem)
+      .map(({ stock, ...item }) => item);
+
+    res.json({
+      success: true,
+      data: {
+        owner: user.name.split(' ')[0],
+        items,
+        count: items.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get shared wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wishlist'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,11 @@ require('dotenv').config();
 
 const app = express();
 
+// Trust the reverse proxy (Render, Railway) so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // CORS configuration
 const corsOptions = {
   origin: process.env.CLIENT_URL || '*',
@@ -18,10 +23,14 @@ app.use(cors(corsOptions));
 // Security middleware
 app.use(helmet());
 
-// Rate limiting
+// Request IDs (used in audit log entries)
+app.use(require('./middleware/requestId'));
+
+// Rate limiting (coarse abuse protection; login brute-force is handled per
+// account and per IP in routes/auth.js)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.RATE_LIMIT_MAX) || 1000, // limit each IP per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use('/api/', limiter);
@@ -34,10 +43,18 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/uploads', express.static('uploads'));
 
 // Routes
+app.use('/api/auth/oidc', require('./routes/oidc'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/products', require('./routes/products'));
+app.use('/api/cart', require('./routes/cart'));
+app.use('/api/stock-alerts', require('./routes/stockAlerts'));
+app.use('/api/checkout', require('./routes/checkout'));
+app.use('/api/shipping', require('./routes/shipping'));
 app.use('/api/orders', require('./routes/orders'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/admin/api-keys', require('./routes/apiKeys'));
+app.use('/api/admin/tax-rules', require('./routes/taxRules'));
+app.use('/api/admin/shipping-zones', require('./routes/shippingZones'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/designs', require('./routes/designs'));
@@ -137,6 +154,10 @@ app.get('/api/health/detailed', async (req, res) => {
       routes: [
         '/api/auth',
         '/api/products',
+        '/api/cart',
+        '/api/stock-alerts',
+        '/api/checkout',
+        '/api/shipping',
         '/api/orders',
         '/api/users',
         '/api/admin',
@@ -232,6 +253,9 @@ const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/inksoul');
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Background jobs need the database
+    require('./jobs').startJobs();
   } catch (error) {
     console.error('Database connection error:', error);
     console.log('Please make sure MongoDB is running or use MongoDB Atlas');
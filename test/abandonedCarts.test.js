@@ -0,0 +1,130 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database: carts, coupons and users live in in-memory collections
+mongoose.set('bufferCommands', false);
+
+const User = require('../models/User');
+const Cart = require('../models/Cart');
+const Coupon = require('../models/Coupon');
+const Product = require('../models/Product');
+const Notification = require('../models/Notification');
+const { processAbandonedCarts } = require('../jobs/abandonedCarts');
+const { captureEmails, flush, mockCollection } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+let user;
+let carts;
+let coupons;
+let products;
+let emails;
+
+beforeEach(async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  delete process.env.ABANDONED_CART_REMINDER_HOURS;
+  delete process.env.ABANDONED_CART_COUPON_PERCENT;
+  emails = captureEmails();
+
+  user = new User({ name: 'Jane Customer', email: 'jane@example.com', password: 'x', role: 'user' });
+  mockCollection(t, User, [user.toObject()]);
+  mockCollection(t, Notification);
+  carts = mockCollection(t, Cart);
+  coupons = mockCollection(t, Coupon);
+  products = mockCollection(t, Product, [
+    { _id: new mongoose.Types.ObjectId(), name: 'Black Tee', price: 25, stock: 10, isActive: true, variants: [], images: [] }
+  ]);
+});
+
+const addCart = (fields = {}) => {
+  const cart = new Cart({
+    user: user._id,
+    items: [{ product: products[0]._id, quantity: 2, price: 25 }],
+    lastActivityAt: new Date(),
+    ...fields
+  });
+  carts.push(cart.toObject());
+};
+
+// Let `hours` pass, run the job and return the reminders it emailed
+const remindAfter = async (t, hours) => {
+  t.mock.timers.tick(hours * HOUR);
+  const before = emails.length;
+  await processAbandonedCarts();
+  await flush();
+  return emails.slice(before);
+};
+
+test('reminders follow the schedule and the last one carries a coupon', async (t) => {
+  addCart();
+
+  assert.strictEqual((await remindAfter(t, 0.5)).length, 0);
+  assert.strictEqual((await remindAfter(t, 0.5)).length, 1);
+  assert.strictEqual((await remindAfter(t, 1)).length, 0);
+  assert.strictEqual(coupons.length, 0);
+
+  assert.strictEqual((await remindAfter(t, 22)).length, 1);
+  const [last] = await remindAfter(t, 48);
+
+  assert.strictEqual(coupons.length, 1);
+  assert.ok(coupons[0].assignedTo.equals(user._id));
+  assert.strictEqual(coupons[0].maxUses, 1);
+  assert.strictEqual(coupons[0].value, 10);
+  assert.ok(last.text.includes(coupons[0].code));
+  assert.strictEqual(carts[0].recovery.couponCode, coupons[0].code);
+
+  assert.strictEqual((await remindAfter(t, 100)).length, 0);
+});
+
+test('a cart idle past several steps gets one reminder', async (t) => {
+  addCart();
+
+  assert.strictEqual((await remindAfter(t, 30)).length, 1);
+  assert.strictEqual(carts[0].recovery.reminderCount, 2);
+});
+
+test('reminders leave the cart untouched and start over after activity', async (t) => {
+  addCart();
+  const { lastActivityAt } = carts[0];
+  products[0].price = 30;
+
+  await remindAfter(t, 1);
+  assert.strictEqual(carts[0].items[0].price, 25);
+  assert.deepStrictEqual(carts[0].lastActivityAt, lastActivityAt);
+
+  const cart = await Cart.findOne({ user: user._id });
+  cart.markActive();
+  await cart.save();
+
+  assert.strictEqual((await remindAfter(t, 0.5)).length, 0);
+  assert.strictEqual((await remindAfter(t, 0.5)).length, 1);
+});
+
+test('guest carts, empty carts and unavailable items are not reminded', async (t) => {
+  addCart({ user: undefined, guestTokenHash: 'x' });
+  addCart({ user: new mongoose.Types.ObjectId(), items: [] });
+  addCart();
+  products[0].isActive = false;
+
+  assert.strictEqual((await remindAfter(t, 2)).length, 0);
+});
+
+test('orders placed soon after a reminder are attributed to it', async (t) => {
+  const cart = new Cart({ user: user._id });
+  assert.strictEqual(cart.getRecoveryAttribution(), null);
+
+  cart.recovery = { reminderCount: 3, lastReminderAt: new Date(), couponCode: 'BACK-1234' };
+  t.mock.timers.tick(2 * 24 * HOUR);
+
+  assert.deepStrictEqual(cart.getRecoveryAttribution('back-1234'), {
+    source: 'abandoned_cart',
+    reminderCount: 3,
+    remindedAt: cart.recovery.lastReminderAt,
+    couponCode: 'BACK-1234'
+  });
+  assert.strictEqual(cart.getRecoveryAttribution('OTHER').couponCode, '');
+
+  t.mock.timers.tick(6 * 24 * HOUR);
+  assert.strictEqual(cart.getRecoveryAttribution('BACK-1234'), null);
+});
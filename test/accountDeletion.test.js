@@ -0,0 +1,115 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+delete process.env.ROLES_CONFIG_PATH;
+
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Design = require('../models/Design');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const LoginThrottle = require('../models/LoginThrottle');
+const DataExport = require('../models/DataExport');
+const Cart = require('../models/Cart');
+const StockSubscription = require('../models/StockSubscription');
+const AuditLog = require('../models/AuditLog');
+const { getRolePermissions } = require('../utils/permissions');
+const { anonymizeUser } = require('../jobs/accountDeletion');
+const usersRouter = require('../routes/users');
+const { captureEmails, flush, mockResponse, routeHandler } = require('./helpers');
+
+const deleteUser = routeHandler(usersRouter, 'delete', '/:id');
+const requestDeletion = routeHandler(usersRouter, 'post', '/me/deletion');
+
+let user;
+let emails;
+
+beforeEach((t) => {
+  emails = captureEmails();
+  user = new User({ name: 'Jane Customer', email: 'jane@example.com', password: 'x', role: 'user' });
+
+  t.mock.method(User, 'findById', async (id) => (id.toString() === user._id.toString() ? user : null));
+  t.mock.method(User, 'updateOne', async () => ({ matchedCount: 1 }));
+  t.mock.method(User.prototype, 'save', async function() { return this; });
+  [Order, Product, Design, ApiKey, AuditLog].forEach(Model => t.mock.method(Model, 'updateMany', async () => ({})));
+  [Design, Notification, Cart, StockSubscription, DataExport].forEach(Model => t.mock.method(Model, 'deleteMany', async () => ({})));
+  t.mock.method(DataExport, 'find', async () => []);
+  t.mock.method(Session, 'revokeAllForUser', async () => ({}));
+  t.mock.method(LoginThrottle, 'clearAccount', async () => ({}));
+  t.mock.method(AuditLog, 'record', async () => {});
+});
+
+const caller = (role) => ({
+  userId: new mongoose.Types.ObjectId().toString(),
+  role,
+  permissions: getRolePermissions(role)
+});
+
+test('anonymizing an account strips audit entries about it to a skeleton', async () => {
+  await anonymizeUser(user._id);
+
+  const redaction = AuditLog.updateMany.mock.calls[0].arguments;
+  assert.deepStrictEqual(redaction[0], { 'target.type': 'User', 'target.id': user._id });
+  assert.deepStrictEqual(redaction[1], { $set: { 'target.label': '', changes: [], metadata: {} } });
+
+  const { $set, $unset } = User.updateOne.mock.calls[0].arguments[1];
+  assert.strictEqual($set.name, 'Deleted User');
+  assert.strictEqual($set.email, `deleted-${user._id}@deleted.invalid`);
+  assert.strictEqual($unset.password, 1);
+
+  await flush();
+  assert.deepStrictEqual(emails.map(email => email.to), ['jane@example.com']);
+});
+
+test('admin deletion deactivates the account instead of erasing it', async () => {
+  const res = mockResponse();
+  await deleteUser({ user: caller('admin'), params: { id: user._id.toString() } }, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(user.isActive, false);
+  assert.match(user.email, /^deleted_\d+_jane@example\.com$/);
+  assert.strictEqual(user.name, 'Jane Customer');
+  assert.strictEqual(User.updateOne.mock.callCount(), 0);
+  assert.strictEqual(AuditLog.record.mock.calls[0].arguments[1], 'user.delete');
+});
+
+test('accounts with permissions the caller lacks cannot be deleted', async () => {
+  user.role = 'admin';
+  const res = mockResponse();
+  await deleteUser({ user: caller('warehouse'), params: { id: user._id.toString() } }, res);
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(user.isActive, true);
+  assert.strictEqual(user.email, 'jane@example.com');
+});
+
+test('accounts without a password schedule deletion only right after signing in', async (t) => {
+  user.password = undefined;
+  const session = new Session({ user: user._id, refreshTokenHash: 'x', expiresAt: new Date(Date.now() + 60000) });
+  User.findById.mock.mockImplementation(() => ({ select: async () => user }));
+  t.mock.method(Session, 'findById', async () => session);
+
+  const request = async () => {
+    const res = mockResponse();
+    await requestDeletion({
+      user: { userId: user._id.toString(), role: 'user', sessionId: session._id.toString() },
+      body: {}
+    }, res);
+    return res;
+  };
+
+  session.createdAt = new Date(Date.now() - 60 * 60 * 1000);
+  const stale = await request();
+  assert.strictEqual(stale.statusCode, 400);
+  assert.match(stale.body.message, /sign in again/);
+  assert.strictEqual(user.deletion.scheduledFor, undefined);
+
+  session.createdAt = new Date();
+  const fresh = await request();
+  assert.strictEqual(fresh.statusCode, 202);
+  assert.ok(user.deletion.scheduledFor);
+});
@@ -0,0 +1,154 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database: keys live in an in-memory collection
+mongoose.set('bufferCommands', false);
+
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+const { getRolePermissions } = require('../utils/permissions');
+const apiKeysRouter = require('../routes/apiKeys');
+const { mockCollection, mockResponse, routeHandler } = require('./helpers');
+
+const createKey = routeHandler(apiKeysRouter, 'post', '/');
+const rotateKey = routeHandler(apiKeysRouter, 'post', '/:id/rotate');
+const revokeKey = routeHandler(apiKeysRouter, 'delete', '/:id');
+
+let admin;
+
+beforeEach((t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  admin = new User({ name: 'Ada Admin', email: 'ada@example.com', password: 'x', role: 'admin' });
+
+  mockCollection(t, ApiKey);
+  t.mock.method(User, 'findById', async (id) => (admin._id.equals(id) ? admin : null));
+  t.mock.method(AuditLog, 'record', async () => {});
+});
+
+const asAdmin = (fields) => ({
+  user: { userId: admin._id.toString(), role: 'admin', permissions: getRolePermissions('admin') },
+  ...fields
+});
+
+const create = async (body, req = asAdmin()) => {
+  const res = mockResponse();
+  await createKey({ ...req, body: { name: 'Warehouse sync', ...body } }, res);
+  return res;
+};
+
+// The key rate limiter calls next() after auth has returned, so wait for
+// either next() or a response
+const passes = (middleware, req, res) => new Promise((resolve, reject) => {
+  for (const method of ['json', 'send']) {
+    const respond = res[method];
+    res[method] = (body) => {
+      resolve(false);
+      return respond(body);
+    };
+  }
+  Promise.resolve(middleware(req, res, (error) => (error ? reject(error) : resolve(true)))).catch(reject);
+});
+
+// Authenticate with a key on a route guarded by `permission` (or by nothing);
+// resolves with the status the request would get past auth
+const callWithKey = async (key, permission) => {
+  const guards = permission ? [requirePermission(permission)] : [];
+  const req = {
+    ip: '10.0.0.1',
+    header: (name) => (name === 'x-api-key' ? key : undefined),
+    route: { stack: guards.map(handle => ({ handle })) }
+  };
+  const res = mockResponse();
+
+  for (const middleware of [auth, ...guards]) {
+    if (!(await passes(middleware, req, res))) return res.statusCode;
+  }
+  return 200;
+};
+
+test('a key works only within its scopes', async () => {
+  const { key } = (await create({ scopes: ['orders:read'] })).body.data;
+
+  assert.strictEqual(await callWithKey(key, 'orders:read'), 200);
+  assert.strictEqual(await callWithKey(key, 'products:write'), 403);
+  assert.strictEqual(await callWithKey(key, null), 403);
+  assert.strictEqual(await callWithKey(key.slice(0, -1) + 'x', 'orders:read'), 401);
+});
+
+test('scopes the creator does not have cannot be granted', async () => {
+  const res = await create({ scopes: ['orders:read', 'products:write'] }, {
+    user: { userId: admin._id.toString(), role: 'warehouse', permissions: getRolePermissions('warehouse') }
+  });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.match(res.body.message, /products:write/);
+});
+
+test('keys with scopes the caller does not have cannot be rotated or revoked', async () => {
+  const { apiKey, key } = (await create({ scopes: ['orders:read', 'users:manage'] })).body.data;
+  const keyManager = {
+    user: { userId: new mongoose.Types.ObjectId().toString(), role: 'key_manager', permissions: ['api_keys:manage', 'orders:read'] },
+    params: { id: apiKey.id.toString() }
+  };
+
+  const rotated = mockResponse();
+  await rotateKey({ ...keyManager, body: {} }, rotated);
+  assert.strictEqual(rotated.statusCode, 403);
+  assert.match(rotated.body.message, /users:manage/);
+  assert.strictEqual(rotated.body.data, undefined);
+
+  const revoked = mockResponse();
+  await revokeKey({ ...keyManager, body: {} }, revoked);
+  assert.strictEqual(revoked.statusCode, 403);
+
+  assert.strictEqual(await callWithKey(key, 'users:manage'), 200);
+});
+
+test('a key loses the scopes its creator loses', async () => {
+  const { key } = (await create({ scopes: ['orders:read', 'products:write'] })).body.data;
+
+  admin.role = 'warehouse';
+
+  assert.strictEqual(await callWithKey(key, 'orders:read'), 200);
+  assert.strictEqual(await callWithKey(key, 'products:write'), 403);
+});
+
+test('after rotation the old key works only for the grace period', async (t) => {
+  const { apiKey, key: oldKey } = (await create({ scopes: ['orders:read'] })).body.data;
+
+  const res = mockResponse();
+  await rotateKey(asAdmin({ params: { id: apiKey.id.toString() }, body: { graceMinutes: 10 } }), res);
+  const newKey = res.body.data.key;
+
+  assert.strictEqual(await callWithKey(oldKey, 'orders:read'), 200);
+  assert.strictEqual(await callWithKey(newKey, 'orders:read'), 200);
+
+  t.mock.timers.tick(11 * 60 * 1000);
+  assert.strictEqual(await callWithKey(oldKey, 'orders:read'), 401);
+  assert.strictEqual(await callWithKey(newKey, 'orders:read'), 200);
+});
+
+test('each key has its own rate limit', async () => {
+  const slow = (await create({ scopes: ['orders:read'], rateLimit: 2 })).body.data.key;
+  const other = (await create({ scopes: ['orders:read'], rateLimit: 2 })).body.data.key;
+
+  assert.strictEqual(await callWithKey(slow, 'orders:read'), 200);
+  assert.strictEqual(await callWithKey(slow, 'orders:read'), 200);
+  assert.strictEqual(await callWithKey(slow, 'orders:read'), 429);
+  assert.strictEqual(await callWithKey(other, 'orders:read'), 200);
+});
+
+test('revoked and expired keys are rejected', async (t) => {
+  const revoked = (await create({ scopes: ['orders:read'] })).body.data;
+  const expiring = (await create({ scopes: ['orders:read'], expiresInDays: 1 })).body.data;
+
+  await revokeKey(asAdmin({ params: { id: revoked.apiKey.id.toString() } }), mockResponse());
+  assert.strictEqual(await callWithKey(revoked.key, 'orders:read'), 401);
+
+  assert.strictEqual(await callWithKey(expiring.key, 'orders:read'), 200);
+  t.mock.timers.tick(24 * 60 * 60 * 1000);
+  assert.strictEqual(await callWithKey(expiring.key, 'orders:read'), 401);
+});
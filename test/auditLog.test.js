@@ -0,0 +1,144 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { find } = require('mingo');
+
+mongoose.set('bufferCommands', false);
+
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const adminRouter = require('../routes/admin');
+const { mockResponse, routeHandler } = require('./helpers');
+
+const auditLog = routeHandler(adminRouter, 'get', '/audit-log');
+
+const req = { user: { userId: new mongoose.Types.ObjectId().toString(), role: 'admin' }, ip: '10.0.0.1', get: () => undefined };
+
+beforeEach((t) => {
+  t.mock.method(AuditLog, 'create', async (entry) => entry);
+});
+
+const changedFields = async (before, after) => {
+  const entry = await AuditLog.record(req, 'user.update', { targetType: 'User', target: after, before, after });
+  return entry.changes.map(change => change.field);
+};
+
+test('user secrets and link tokens stay out of the changes', async () => {
+  const user = new User({ name: 'Jane Customer', email: 'jane@example.com', password: 'x', role: 'user' });
+  const before = AuditLog.snapshot(user);
+
+  user.name = 'Jane Doe';
+  user.wishlistShareToken = 'share-token';
+  user.magicLinkToken = 'hashed-link';
+  user.magicLinkFingerprint = 'device-fingerprint';
+  user.magicLinkExpires = new Date();
+  user.emailVerificationToken = 'hashed-verification';
+  user.emailVerificationExpires = new Date();
+  user.passwordResetToken = 'hashed-reset';
+  user.passwordResetExpires = new Date();
+
+  assert.deepStrictEqual(await changedFields(before, user), ['name']);
+});
+
+test('API key hashes stay out of the changes', async () => {
+  const apiKey = new ApiKey({
+    name: 'Warehouse sync',
+    prefix: 'abcdef123456',
+    keyHash: 'current-hash',
+    previousKeyHash: 'previous-hash',
+    scopes: ['orders:read'],
+    createdBy: new mongoose.Types.ObjectId(),
+    expiresAt: new Date()
+  });
+
+  const fields = await changedFields({}, apiKey);
+
+  assert.ok(fields.includes('scopes'));
+  assert.ok(!fields.includes('keyHash'));
+  assert.ok(!fields.includes('previousKeyHash'));
+});
+
+test('actions are attributed to the signed-in admin, not the impersonated user', async () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const entry = await AuditLog.record({
+    user: { userId, role: 'user', impersonatedBy: req.user.userId },
+    ip: '10.0.0.2',
+    get: (name) => (name === 'User-Agent' ? 'curl/8' : undefined),
+    id: 'req-1'
+  }, 'order.status_update', { targetType: 'Order', targetId: userId, metadata: { note: 'x' } });
+
+  assert.strictEqual(entry.actor, req.user.userId);
+  assert.strictEqual(entry.actorRole, '');
+  assert.strictEqual(entry.impersonatedUser, userId);
+  assert.strictEqual(entry.userAgent, 'curl/8');
+  assert.strictEqual(entry.requestId, 'req-1');
+  assert.deepStrictEqual(entry.changes, []);
+});
+
+test('a failure to record does not fail the action', async (t) => {
+  AuditLog.create.mock.mockImplementation(async () => { throw new Error('write failed'); });
+  t.mock.method(console, 'error', () => {});
+
+  assert.strictEqual(await AuditLog.record(req, 'user.update', { targetType: 'User' }), null);
+});
+
+// Stored entries, queried the way the listing route chains its queries
+const storeEntries = (t, entries) => {
+  const query = (filter) => {
+    let cursor = find(entries, filter);
+    const chain = {
+      sort: (sort) => { cursor = cursor.sort(sort); return chain; },
+      skip: (skip) => { cursor = cursor.skip(skip); return chain; },
+      limit: (limit) => { cursor = cursor.limit(limit); return chain; },
+      populate: () => chain,
+      then: (resolve, reject) => Promise.resolve(cursor.all()).then(resolve, reject)
+    };
+    return chain;
+  };
+  t.mock.method(AuditLog, 'find', query);
+  t.mock.method(AuditLog, 'countDocuments', async (filter) => find(entries, filter).all().length);
+};
+
+const logEntry = (action, fields = {}) => ({
+  actor: { _id: 'a1', email: 'ada@example.com' },
+  actorRole: 'admin',
+  action,
+  target: { type: 'Order', id: 'o1', label: '' },
+  changes: [],
+  metadata: {},
+  ip: '10.0.0.1',
+  requestId: '',
+  createdAt: new Date('2026-01-01T00:00:00Z'),
+  ...fields
+});
+
+const listAuditLog = async (query) => {
+  const res = mockResponse();
+  await auditLog({ user: req.user, query }, res);
+  return res;
+};
+
+test('a trailing wildcard lists every action of a kind', async (t) => {
+  storeEntries(t, [logEntry('order.refund'), logEntry('order.status_update'), logEntry('orders_export'), logEntry('user.delete')]);
+
+  const res = await listAuditLog({ action: 'order.*' });
+
+  assert.deepStrictEqual(res.body.data.entries.map(e => e.action), ['order.refund', 'order.status_update']);
+  assert.strictEqual(res.body.data.pagination.total, 2);
+});
+
+test('the CSV export quotes cells and neutralises formulas', async (t) => {
+  storeEntries(t, [logEntry('product.update', {
+    target: { type: 'Product', id: 'p1', label: '=HYPERLINK("http://evil")' },
+    changes: [{ field: 'name', before: 'Tee, black', after: 'Tee' }]
+  })]);
+
+  const res = await listAuditLog({ format: 'csv' });
+  const [header, row] = res.body.trim().split('\n');
+
+  assert.match(res.headers['content-type'], /text\/csv/);
+  assert.ok(header.startsWith('timestamp,actor_id,actor_email'));
+  assert.ok(row.includes(`"'=HYPERLINK(""http://evil"")"`));
+  assert.ok(row.includes('"[{""field"":""name"",""before"":""Tee, black"",""after"":""Tee""}]"'));
+});
@@ -0,0 +1,165 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { aggregate } = require('mingo');
+
+// No database: subscriptions and products live in in-memory collections
+mongoose.set('bufferCommands', false);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Product = require('../models/Product');
+const StockSubscription = require('../models/StockSubscription');
+const Notification = require('../models/Notification');
+const { processBackInStockAlerts } = require('../jobs/backInStock');
+const stockAlertsRouter = require('../routes/stockAlerts');
+const { captureEmails, flush, mockCollection, mockResponse, routeHandler } = require('./helpers');
+
+const subscribe = routeHandler(stockAlertsRouter, 'post', '/');
+const cancelAlert = routeHandler(stockAlertsRouter, 'delete', '/:id');
+
+const MINUTE = 60 * 1000;
+
+let products;
+let subscriptions;
+let notifications;
+let emails;
+
+beforeEach((t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  emails = captureEmails();
+  products = mockCollection(t, Product);
+  subscriptions = mockCollection(t, StockSubscription);
+  notifications = mockCollection(t, Notification);
+  t.mock.method(StockSubscription, 'aggregate', async (pipeline) => aggregate(subscriptions, pipeline));
+});
+
+const addProduct = (stock, variants = []) => {
+  const id = new mongoose.Types.ObjectId();
+  products.push({
+    _id: id,
+    name: 'Black Tee',
+    price: 25,
+    stock,
+    isActive: true,
+    sizes: [],
+    colors: [],
+    images: [],
+    variants: variants.map(variant => ({ _id: new mongoose.Types.ObjectId(), isActive: true, ...variant }))
+  });
+  return id;
+};
+
+// `count` subscribers, a minute apart, oldest first
+const addSubscribers = (productId, count, fields = {}) => {
+  for (let i = 0; i < count; i++) {
+    const subscription = new StockSubscription({ product: productId, email: `shopper${subscriptions.length}@example.com`, ...fields });
+    subscription.createdAt = new Date(Date.now() - (count - i) * MINUTE);
+    subscriptions.push(subscription.toObject());
+  }
+};
+
+const restock = (productId, stock) => {
+  products.find(product => product._id.equals(productId)).stock = stock;
+};
+
+const sendAlerts = async (productId) => {
+  const notified = await processBackInStockAlerts(productId);
+  await flush();
+  return notified;
+};
+
+const alerted = () => emails.filter(email => /back in stock/i.test(email.subject)).map(email => email.to);
+
+test('a restock alerts the oldest subscribers, a few per unit', async () => {
+  const tee = addProduct(0);
+  addSubscribers(tee, 5);
+
+  assert.strictEqual(await sendAlerts(tee), 0);
+
+  restock(tee, 1);
+  assert.strictEqual(await sendAlerts(tee), 3);
+
+  assert.deepStrictEqual(alerted(), ['shopper0@example.com', 'shopper1@example.com', 'shopper2@example.com']);
+  assert.deepStrictEqual(subscriptions.map(subscription => subscription.status),
+    ['notified', 'notified', 'notified', 'active', 'active']);
+});
+
+test('the next batch waits for the interval', async (t) => {
+  const tee = addProduct(1);
+  addSubscribers(tee, 5);
+
+  await sendAlerts(tee);
+  t.mock.timers.tick(30 * MINUTE);
+  assert.strictEqual(await sendAlerts(tee), 0);
+
+  t.mock.timers.tick(30 * MINUTE);
+  assert.strictEqual(await sendAlerts(tee), 2);
+  assert.strictEqual(alerted().length, 5);
+});
+
+test('overlapping runs alert each subscriber once', async () => {
+  const tee = addProduct(10);
+  addSubscribers(tee, 4);
+
+  await Promise.all([sendAlerts(tee), sendAlerts(tee)]);
+
+  assert.strictEqual(alerted().length, 4);
+  assert.strictEqual(new Set(alerted()).size, 4);
+});
+
+test('only subscribers to the restocked variant are alerted', async () => {
+  const tee = addProduct(0, [{ size: 'M', color: 'Black', stock: 2 }, { size: 'L', color: 'Black', stock: 0 }]);
+  addSubscribers(tee, 1, { size: 'M', color: 'Black' });
+  addSubscribers(tee, 1, { size: 'L', color: 'Black' });
+
+  assert.strictEqual(await sendAlerts(tee), 1);
+  assert.deepStrictEqual(alerted(), ['shopper0@example.com']);
+});
+
+test('signed-in subscribers also get a notification', async () => {
+  const tee = addProduct(1);
+  const userId = new mongoose.Types.ObjectId();
+  addSubscribers(tee, 1, { user: userId });
+
+  await sendAlerts(tee);
+
+  assert.strictEqual(notifications.length, 1);
+  assert.ok(notifications[0].user.equals(userId));
+  assert.strictEqual(notifications[0].type, 'back_in_stock');
+});
+
+test('guests subscribe once and can cancel with the emailed link', async () => {
+  const tee = addProduct(0);
+  const request = { body: { productId: tee.toString(), email: 'guest@example.com' } };
+
+  const created = mockResponse();
+  await subscribe(request, created);
+  assert.strictEqual(created.statusCode, 201);
+  const again = mockResponse();
+  await subscribe(request, again);
+  assert.strictEqual(again.statusCode, 200);
+  assert.strictEqual(subscriptions.length, 1);
+
+  await flush();
+  const [, id, token] = emails[0].text.match(/stock-alerts\/([a-f0-9]{24})\/cancel\/([a-f0-9]{64})/);
+
+  const forged = mockResponse();
+  await cancelAlert({ params: { id }, query: { token: 'f'.repeat(64) } }, forged);
+  assert.strictEqual(forged.statusCode, 404);
+
+  await cancelAlert({ params: { id }, query: { token } }, mockResponse());
+  assert.strictEqual(subscriptions[0].status, 'cancelled');
+
+  restock(tee, 1);
+  assert.strictEqual(await sendAlerts(tee), 0);
+});
+
+test('in-stock items cannot be subscribed to', async () => {
+  const tee = addProduct(3);
+
+  const res = mockResponse();
+  await subscribe({ body: { productId: tee.toString(), email: 'guest@example.com' } }, res);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(subscriptions.length, 0);
+});
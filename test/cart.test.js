@@ -0,0 +1,118 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database: carts and products live in in-memory collections
+mongoose.set('bufferCommands', false);
+
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const cartRouter = require('../routes/cart');
+const { mockCollection, mockResponse, routeHandler } = require('./helpers');
+
+const getCart = routeHandler(cartRouter, 'get', '/');
+const addItem = routeHandler(cartRouter, 'post', '/items');
+
+let products;
+let carts;
+
+beforeEach((t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  products = mockCollection(t, Product);
+  carts = mockCollection(t, Cart);
+});
+
+const addProduct = (name, price, stock) => {
+  const id = new mongoose.Types.ObjectId();
+  products.push({ _id: id, name, price, stock, isActive: true, variants: [], images: [] });
+  return id;
+};
+
+// A shopper: signed in as `userId`, or a guest holding `cartToken`
+const request = ({ userId, cartToken } = {}, fields = {}) => ({
+  ...(userId && { user: { userId: userId.toString(), role: 'user' } }),
+  get: (name) => (name.toLowerCase() === 'x-cart-token' ? cartToken : undefined),
+  ...fields
+});
+
+const add = async (shopper, productId, quantity) => {
+  const res = mockResponse();
+  await addItem(request(shopper, { body: { productId: productId.toString(), quantity } }), res);
+  return res;
+};
+
+const view = async (shopper) => {
+  const res = mockResponse();
+  await getCart(request(shopper), res);
+  return res.body.data;
+};
+
+test('a guest cart is reached only with its token', async () => {
+  const tee = addProduct('Black Tee', 25, 10);
+
+  const added = await add({}, tee, 2);
+  assert.strictEqual(added.statusCode, 201);
+  const { cartToken } = added.body.data;
+  assert.match(cartToken, /^[a-f0-9]{64}$/);
+  assert.notStrictEqual(carts[0].guestTokenHash, cartToken);
+  assert.ok(carts[0].expiresAt > new Date());
+
+  assert.strictEqual((await view({ cartToken })).itemCount, 2);
+  assert.strictEqual((await view({ cartToken: 'f'.repeat(64) })).itemCount, 0);
+  assert.strictEqual((await view({})).itemCount, 0);
+
+  // The token is only handed out when the cart is created
+  assert.strictEqual((await add({ cartToken }, tee, 1)).body.data.cartToken, undefined);
+  assert.strictEqual((await view({ cartToken })).itemCount, 3);
+});
+
+test('signing in moves the guest cart into the user\'s cart', async () => {
+  const tee = addProduct('Black Tee', 25, 10);
+  const mug = addProduct('Mug', 12, 10);
+  const userId = new mongoose.Types.ObjectId();
+
+  await add({ userId }, tee, 1);
+  const { cartToken } = (await add({}, tee, 2)).body.data;
+  await add({ cartToken }, mug, 1);
+
+  const merged = await view({ userId, cartToken });
+
+  assert.deepStrictEqual(merged.items.map(item => [item.name, item.quantity]), [['Black Tee', 3], ['Mug', 1]]);
+  assert.strictEqual(merged.itemsPrice, 87);
+  assert.strictEqual(carts.length, 1);
+  assert.strictEqual((await view({ cartToken })).itemCount, 0);
+});
+
+test('a guest cart is merged only once', async () => {
+  const tee = addProduct('Black Tee', 25, 10);
+  const { cartToken } = (await add({}, tee, 2)).body.data;
+
+  await view({ userId: new mongoose.Types.ObjectId(), cartToken });
+  const other = await view({ userId: new mongoose.Types.ObjectId(), cartToken });
+
+  assert.strictEqual(other.itemCount, 0);
+});
+
+test('lines are checked against the live price and stock', async () => {
+  const tee = addProduct('Black Tee', 25, 10);
+  const { cartToken } = (await add({}, tee, 4)).body.data;
+
+  products[0].price = 30;
+  products[0].stock = 3;
+  const { issues, items } = await view({ cartToken });
+
+  assert.deepStrictEqual(issues.map(issue => issue.code), ['price_changed', 'insufficient_stock']);
+  assert.strictEqual(items[0].price, 30);
+  assert.deepStrictEqual((await view({ cartToken })).issues.map(issue => issue.code), ['insufficient_stock']);
+});
+
+test('more than the available stock cannot be added', async () => {
+  const tee = addProduct('Black Tee', 25, 3);
+  const { cartToken } = (await add({}, tee, 2)).body.data;
+
+  const res = await add({ cartToken }, tee, 2);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.match(res.body.message, /Available: 3/);
+  assert.strictEqual((await view({ cartToken })).itemCount, 2);
+});
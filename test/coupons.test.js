@@ -0,0 +1,79 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database: coupons live in an in-memory collection
+mongoose.set('bufferCommands', false);
+
+const Coupon = require('../models/Coupon');
+const { mockCollection } = require('./helpers');
+
+let coupons;
+
+beforeEach((t) => {
+  coupons = mockCollection(t, Coupon);
+});
+
+const addCoupon = (fields = {}) => {
+  const coupon = new Coupon({
+    code: 'SAVE10',
+    type: 'percentage',
+    value: 10,
+    startDate: new Date(Date.now() - 60000),
+    expiresAt: new Date(Date.now() + 60000),
+    source: 'abandoned_cart',
+    ...fields
+  });
+  coupons.push(coupon.toObject());
+  return coupon._id;
+};
+
+const stored = (id) => coupons.find(coupon => coupon._id.equals(id));
+
+const redeemMany = (couponId, userIds) => Promise.all(
+  userIds.map(userId => Coupon.redeem(couponId, userId, 50))
+);
+
+test('concurrent orders never use a coupon more than maxUses', async () => {
+  const coupon = addCoupon({ maxUses: 3 });
+
+  const usages = await redeemMany(coupon, Array.from({ length: 8 }, () => new mongoose.Types.ObjectId()));
+
+  assert.strictEqual(usages.filter(Boolean).length, 3);
+  assert.strictEqual(stored(coupon).usedCount, 3);
+});
+
+test('concurrent orders from one customer stay within maxUsesPerUser', async () => {
+  const coupon = addCoupon({ maxUsesPerUser: 2 });
+  const customer = new mongoose.Types.ObjectId();
+
+  const usages = await redeemMany(coupon, Array(5).fill(customer.toString()));
+
+  assert.strictEqual(usages.filter(Boolean).length, 2);
+  assert.strictEqual(stored(coupon).usedBy.length, 2);
+
+  // Other customers have their own allowance
+  assert.ok(await Coupon.redeem(coupon, new mongoose.Types.ObjectId(), 50));
+});
+
+test('expired, future and inactive coupons are not redeemed', async () => {
+  const customer = new mongoose.Types.ObjectId();
+
+  assert.strictEqual(await Coupon.redeem(addCoupon({ code: 'OLD', expiresAt: new Date(Date.now() - 1000) }), customer, 50), null);
+  assert.strictEqual(await Coupon.redeem(addCoupon({ code: 'SOON', startDate: new Date(Date.now() + 60000) }), customer, 50), null);
+  assert.strictEqual(await Coupon.redeem(addCoupon({ code: 'OFF', isActive: false }), customer, 50), null);
+  assert.ok(coupons.every(coupon => coupon.usedCount === 0));
+});
+
+test('releasing a use gives it back to the customer', async () => {
+  const coupon = addCoupon({ maxUses: 1 });
+  const customer = new mongoose.Types.ObjectId();
+
+  const usage = await Coupon.redeem(coupon, customer, 50);
+  assert.strictEqual(await Coupon.redeem(coupon, customer, 50), null);
+
+  await Coupon.release(coupon, usage);
+
+  assert.strictEqual(stored(coupon).usedCount, 0);
+  assert.ok(await Coupon.redeem(coupon, customer, 50));
+});
@@ -0,0 +1,170 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+
+// No database: records live in in-memory collections, files in a temp dir
+mongoose.set('bufferCommands', false);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.DATA_EXPORT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Design = require('../models/Design');
+const Notification = require('../models/Notification');
+const Coupon = require('../models/Coupon');
+const DataExport = require('../models/DataExport');
+const StockSubscription = require('../models/StockSubscription');
+const { EXPORT_DIR, processDataExport, cleanupExpiredExports } = require('../jobs/dataExport');
+const usersRouter = require('../routes/users');
+const { captureEmails, flush, mockCollection, mockResponse, routeHandler } = require('./helpers');
+
+const requestExport = routeHandler(usersRouter, 'post', '/me/export');
+const downloadExport = routeHandler(usersRouter, 'get', '/me/export/:id/download');
+
+after(() => fs.rmSync(EXPORT_DIR, { recursive: true, force: true }));
+
+let user;
+let dataExports;
+let emails;
+
+beforeEach(async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  emails = captureEmails();
+
+  user = new User({ name: 'Jane Customer', email: 'jane@example.com', password: 'secret-hash', role: 'user' });
+  const other = new mongoose.Types.ObjectId();
+
+  mockCollection(t, User, [user.toObject()]);
+  mockCollection(t, Order, [
+    { _id: new mongoose.Types.ObjectId(), user: user._id, orderNumber: 'ORD-1', shippingAddress: { city: 'Chicago' } },
+    { _id: new mongoose.Types.ObjectId(), user: other, orderNumber: 'ORD-2', shippingAddress: { city: 'Boston' } }
+  ]);
+  mockCollection(t, Product, [{
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Black Tee',
+    reviews: [{ user: user._id, rating: 5, comment: 'Great' }, { user: other, rating: 1, comment: 'Meh' }]
+  }]);
+  mockCollection(t, Design);
+  mockCollection(t, Notification);
+  mockCollection(t, Coupon, [{
+    _id: new mongoose.Types.ObjectId(),
+    code: 'WELCOME10',
+    usedBy: [{ user: user._id, orderValue: 40 }, { user: other, orderValue: 90 }]
+  }]);
+  mockCollection(t, StockSubscription);
+  dataExports = mockCollection(t, DataExport);
+});
+
+const asUser = (fields) => ({ user: { userId: user._id.toString(), role: 'user' }, ...fields });
+
+// The job writes a real file, so wait (up to a few seconds) for its I/O
+const until = async (done) => {
+  const start = performance.now();
+  while (!done() && performance.now() - start < 5000) await flush();
+};
+
+// Queue an export and wait until the link has been emailed
+const exportData = async (format) => {
+  const res = mockResponse();
+  await requestExport(asUser({ body: { format } }), res);
+  assert.strictEqual(res.statusCode, 202);
+  await until(() => emails.length > 0 || dataExports[0].status === 'failed');
+  return res.body.data;
+};
+
+const download = async (url) => {
+  const { searchParams, pathname } = new URL(url);
+  const res = mockResponse();
+  await new Promise((resolve) => {
+    res.download = (file) => {
+      res.file = file;
+      resolve();
+    };
+    downloadExport({
+      params: { id: pathname.split('/')[5] },
+      query: Object.fromEntries(searchParams)
+    }, res).then(() => res.body && resolve());
+  });
+  return res;
+};
+
+const emailedUrl = () => emails[0].text.match(/http\S+download\S+/)[0];
+
+test('the export holds the user\'s own data and no secrets', async () => {
+  await exportData('json');
+
+  const { file } = await download(emailedUrl());
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  assert.strictEqual(data.profile.email, 'jane@example.com');
+  assert.strictEqual(data.profile.password, undefined);
+  assert.deepStrictEqual(data.orders.map(order => order.orderNumber), ['ORD-1']);
+  assert.deepStrictEqual(data.addresses.shipping.map(address => address.city), ['Chicago']);
+  assert.deepStrictEqual(data.reviews.map(review => review.comment), ['Great']);
+  assert.deepStrictEqual(data.couponUsages.map(usage => usage.orderValue), [40]);
+});
+
+test('ZIP exports have a file per section', async () => {
+  await exportData('zip');
+
+  const { file } = await download(emailedUrl());
+  const archive = fs.readFileSync(file);
+
+  // First entry, read from its local header
+  const nameLength = archive.readUInt16LE(26);
+  const compressedSize = archive.readUInt32LE(18);
+  const start = 30 + nameLength;
+  assert.strictEqual(archive.subarray(30, start).toString(), 'export.json');
+  const meta = JSON.parse(zlib.inflateRawSync(archive.subarray(start, start + compressedSize)));
+  assert.ok(meta.sections.includes('orders'));
+  assert.ok(archive.includes('orders.json'));
+});
+
+test('only one export is prepared at a time', async () => {
+  await DataExport.create({ user: user._id, format: 'zip' });
+
+  const res = mockResponse();
+  await requestExport(asUser({ body: {} }), res);
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(dataExports.length, 1);
+});
+
+test('download links only work unaltered and until they expire', async (t) => {
+  await exportData('json');
+  const url = emailedUrl();
+
+  assert.strictEqual((await download(url.replace(/signature=\w+/, `signature=${'0'.repeat(64)}`))).statusCode, 403);
+  assert.strictEqual((await download(url.replace(/expires=\d+/, 'expires=9999999999'))).statusCode, 403);
+  assert.ok((await download(url)).file);
+  assert.strictEqual(dataExports[0].downloadCount, 1);
+
+  t.mock.timers.tick(48 * 60 * 60 * 1000 + 1000);
+  assert.strictEqual((await download(url)).statusCode, 403);
+});
+
+test('expired exports are deleted with their files', async (t) => {
+  await exportData('json');
+  const file = path.join(EXPORT_DIR, dataExports[0].fileName);
+  assert.ok(fs.existsSync(file));
+
+  t.mock.timers.tick(48 * 60 * 60 * 1000);
+  assert.strictEqual(await cleanupExpiredExports(), 1);
+
+  assert.strictEqual(dataExports.length, 0);
+  assert.ok(!fs.existsSync(file));
+});
+
+test('an export is only processed once', async () => {
+  const dataExport = await DataExport.create({ user: user._id, format: 'json' });
+
+  await Promise.all([processDataExport(dataExport._id), processDataExport(dataExport._id)]);
+  await flush();
+
+  assert.strictEqual(emails.length, 1);
+});
@@ -0,0 +1,116 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+// No database: users and sessions live in in-memory collections
+mongoose.set('bufferCommands', false);
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authRouter = require('../routes/auth');
+const { captureEmails, flush, mockCollection, mockResponse, routeHandler } = require('./helpers');
+
+const changeEmail = routeHandler(authRouter, 'post', '/change-email');
+const confirmChange = routeHandler(authRouter, 'post', '/change-email/confirm/:token');
+const revertChange = routeHandler(authRouter, 'post', '/change-email/revert/:token');
+
+const PASSWORD = 'Correct-Horse-9';
+
+let user;
+let users;
+let sessions;
+let emails;
+
+beforeEach(async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  emails = captureEmails();
+  users = mockCollection(t, User);
+  sessions = mockCollection(t, Session);
+
+  user = new User({ name: 'Jane Customer', email: 'jane@example.com', role: 'user', emailVerified: true });
+  user.password = bcrypt.hashSync(PASSWORD, 4);
+  await user.save();
+  await Session.create({ user: user._id, refreshTokenHash: 'x', expiresAt: new Date(Date.now() + 60000) });
+});
+
+const stored = () => users.find(document => document._id.equals(user._id));
+
+// Request a change and return the tokens from the two emails
+const requestChange = async (newEmail, password = PASSWORD) => {
+  const res = mockResponse();
+  await changeEmail({ user: { userId: user._id.toString(), role: 'user' }, body: { newEmail, password } }, res);
+  await flush();
+  if (res.statusCode !== 200) return { res };
+
+  const tokenIn = (to, path) => emails.find(email => email.to === to).text.match(new RegExp(`${path}/([a-f0-9]{64})`))[1];
+  return {
+    res,
+    confirmToken: tokenIn(newEmail, 'confirm-email-change'),
+    revertToken: tokenIn('jane@example.com', 'revert-email-change')
+  };
+};
+
+const follow = async (handler, token) => {
+  const res = mockResponse();
+  await handler({ params: { token } }, res);
+  return res;
+};
+
+test('the email changes only once the new address confirms', async () => {
+  const { confirmToken } = await requestChange('new@example.com');
+  assert.strictEqual(stored().email, 'jane@example.com');
+
+  const res = await follow(confirmChange, confirmToken);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(stored().email, 'new@example.com');
+  assert.strictEqual(stored().emailVerified, true);
+  assert.strictEqual((await follow(confirmChange, confirmToken)).statusCode, 400);
+});
+
+test('a change needs the current password', async () => {
+  const { res } = await requestChange('new@example.com', 'wrong');
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(emails.length, 0);
+  assert.strictEqual(stored().emailChange, undefined);
+});
+
+test('confirmation links expire after a day', async (t) => {
+  const { confirmToken } = await requestChange('new@example.com');
+
+  t.mock.timers.tick(24 * 60 * 60 * 1000 + 1);
+
+  assert.strictEqual((await follow(confirmChange, confirmToken)).statusCode, 400);
+  assert.strictEqual(stored().email, 'jane@example.com');
+});
+
+test('the old address can undo a confirmed change and sign everyone out', async () => {
+  const { confirmToken, revertToken } = await requestChange('new@example.com');
+  await follow(confirmChange, confirmToken);
+
+  const res = await follow(revertChange, revertToken);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(stored().email, 'jane@example.com');
+  assert.strictEqual(stored().emailVerified, true);
+  assert.ok(sessions.every(session => session.revokedAt));
+  assert.strictEqual((await follow(revertChange, revertToken)).statusCode, 400);
+});
+
+test('undoing a pending change stops it from being confirmed', async () => {
+  const { confirmToken, revertToken } = await requestChange('new@example.com');
+
+  assert.strictEqual((await follow(revertChange, revertToken)).statusCode, 200);
+  assert.strictEqual((await follow(confirmChange, confirmToken)).statusCode, 400);
+  assert.strictEqual(stored().email, 'jane@example.com');
+});
+
+test('an address taken in the meantime is not applied', async () => {
+  const { confirmToken } = await requestChange('new@example.com');
+  await User.create({ name: 'Someone Else', email: 'new@example.com', password: 'x', role: 'user' });
+
+  assert.strictEqual((await follow(confirmChange, confirmToken)).statusCode, 400);
+  assert.strictEqual(stored().email, 'jane@example.com');
+});
@@ -0,0 +1,108 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database: users and sessions live in in-memory collections
+mongoose.set('bufferCommands', false);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { requireVerifiedEmail } = require('../middleware/auth');
+const authRouter = require('../routes/auth');
+const { captureEmails, mockCollection, mockResponse, routeHandler, runMiddleware } = require('./helpers');
+
+const resendVerification = routeHandler(authRouter, 'post', '/resend-verification');
+const verifyEmail = routeHandler(authRouter, 'get', '/verify-email/:token');
+
+let users;
+let emails;
+
+beforeEach((t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+  delete process.env.EMAIL_VERIFICATION_EXPIRES_HOURS;
+  emails = captureEmails();
+  users = mockCollection(t, User);
+  mockCollection(t, Session);
+});
+
+const addUser = async () => {
+  const user = new User({ name: 'Jane Customer', email: 'jane@example.com', password: 'x', role: 'user' });
+  await user.save();
+  return user;
+};
+
+// Request a verification email and return the token from its link
+const emailedToken = async (email) => {
+  const res = mockResponse();
+  await resendVerification({ body: { email } }, res);
+  assert.strictEqual(res.statusCode, 200);
+  return emails[emails.length - 1].text.match(/verify-email\/([a-f0-9]{64})/)[1];
+};
+
+const verify = async (token) => {
+  const res = mockResponse();
+  await verifyEmail({ params: { token }, get: () => undefined }, res);
+  return res;
+};
+
+test('only a hash of the emailed token is stored and it works once', async () => {
+  await addUser();
+  const token = await emailedToken('jane@example.com');
+
+  assert.notStrictEqual(users[0].emailVerificationToken, token);
+  assert.ok(!JSON.stringify(users[0]).includes(token));
+
+  const res = await verify(token);
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.token);
+  assert.strictEqual(users[0].emailVerified, true);
+
+  assert.strictEqual((await verify(token)).statusCode, 400);
+});
+
+test('verification links expire', async (t) => {
+  process.env.EMAIL_VERIFICATION_EXPIRES_HOURS = '2';
+  await addUser();
+  const token = await emailedToken('jane@example.com');
+
+  t.mock.timers.tick(2 * 60 * 60 * 1000 + 1);
+
+  assert.strictEqual((await verify(token)).statusCode, 400);
+  assert.strictEqual(users[0].emailVerified, false);
+});
+
+test('a new link replaces the previous one', async () => {
+  await addUser();
+  const first = await emailedToken('jane@example.com');
+  const second = await emailedToken('jane@example.com');
+
+  assert.strictEqual((await verify(first)).statusCode, 400);
+  assert.strictEqual((await verify(second)).statusCode, 200);
+});
+
+test('unverified users are blocked only from the configured actions', async () => {
+  const unverified = { user: { userId: 'u1', emailVerified: false } };
+  const verified = { user: { userId: 'u2', emailVerified: true } };
+
+  assert.strictEqual(await runMiddleware(requireVerifiedEmail('orders'), unverified), true);
+
+  process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'orders, reviews';
+  const res = mockResponse();
+  assert.strictEqual(await runMiddleware(requireVerifiedEmail('orders'), unverified, res), false);
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.code, 'EMAIL_NOT_VERIFIED');
+
+  assert.strictEqual(await runMiddleware(requireVerifiedEmail('orders'), verified), true);
+  assert.strictEqual(await runMiddleware(requireVerifiedEmail('designs'), unverified), true);
+});
+
+test('a gate can apply to some requests only', async () => {
+  process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'designs';
+  const publishing = requireVerifiedEmail('designs', req => req.body.isPublic === true);
+  const user = { userId: 'u1', emailVerified: false };
+
+  assert.strictEqual(await runMiddleware(publishing, { user, body: { isPublic: false } }), true);
+  assert.strictEqual(await runMiddleware(publishing, { user, body: { isPublic: true } }), false);
+});
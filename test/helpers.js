@@ -0,0 +1,192 @@
+// Shared helpers for calling middleware and route handlers without a server
+
+const mongoose = require('mongoose');
+const { find, updateMany, updateOne } = require('mingo');
+const { setTransport } = require('../utils/mailer');
+
+// Response double that records the status and JSON body
+const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    }
+  };
+  return res;
+};
+
+// Run a middleware; resolves with true if it called next()
+const runMiddleware = (middleware, req, res = mockResponse()) => new Promise((resolve, reject) => {
+  Promise.resolve(middleware(req, res, (error) => (error ? reject(error) : resolve(true))))
+    .then(() => resolve(false), reject);
+});
+
+// The final handler of a route, i.e. what runs after its middleware
+const routeHandler = (router, method, path) => {
+  const layer = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  if (!layer) throw new Error(`No ${method.toUpperCase()} ${path} route`);
+  const stack = layer.route.stack;
+  return stack[stack.length - 1].handle;
+};
+
+// Deliver emails into an array instead of sending them
+const captureEmails = () => {
+  const sent = [];
+  setTransport({ send: async (message) => { sent.push(message); } });
+  return sent;
+};
+
+// Wait for fire-and-forget work (background emails, queued jobs) to run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Back a model with an in-memory collection for one test. Filters and
+// updates, operators or pipelines, run through mingo's query engine, and
+// each update applies to one document in a single step like MongoDB's. Every
+// call waits a tick first, as a round trip to the database would, so
+// concurrent callers interleave. Returns the stored documents.
+const mockCollection = (t, Model, documents = []) => {
+  // Replace the ids at a top-level path with the referenced documents, found
+  // through the referenced model (which needs mocking too)
+  const populate = async (result, path, lean) => {
+    const schemaType = Model.schema.path(path);
+    const ref = schemaType && (schemaType.options.ref || schemaType.caster?.options.ref);
+    if (!ref) return;
+
+    for (const document of [result].flat().filter(Boolean)) {
+      const ids = [document[path]].flat().filter(Boolean);
+      const query = mongoose.model(ref).find({ _id: { $in: ids } });
+      const found = await (lean ? query.lean() : query);
+      const byId = (id) => found.find(referenced => referenced._id.equals(id)) || null;
+      document[path] = Array.isArray(document[path]) ? ids.map(byId).filter(Boolean) : byId(document[path]);
+    }
+  };
+
+  // Chainable like a Mongoose query, and runs when awaited
+  const query = (lookup) => {
+    const options = { populate: [] };
+    const chain = {
+      select: () => chain,
+      populate: (path) => options.populate.push(path) && chain,
+      lean: () => Object.assign(options, { lean: true }) && chain,
+      sort: (sort) => Object.assign(options, { sort }) && chain,
+      limit: (limit) => Object.assign(options, { limit }) && chain,
+      then: (resolve, reject) => flush()
+        .then(async () => {
+          const result = await lookup(options);
+          for (const path of options.populate) await populate(result, path, options.lean);
+          return result;
+        })
+        .then(resolve, reject)
+    };
+    return chain;
+  };
+  // Filters and updates are cast to the schema types first, as Mongoose does
+  const cast = (filter) => new mongoose.Query({}, {}, Model, Model.collection).cast(Model, filter);
+  const castUpdate = (update) => (Array.isArray(update)
+    ? update
+    : new mongoose.Query({}, {}, Model, Model.collection)._castUpdate(update));
+  const stored = (id) => documents.find(document => document._id.equals(id));
+  const hydrate = (document) => (document ? Model.hydrate(document) : null);
+
+  t.mock.method(Model, 'findById', (id) => query(() => hydrate(stored(id))));
+  t.mock.method(Model, 'find', (filter) => query(({ sort, limit, lean }) => {
+    let cursor = find(documents, cast(filter));
+    if (sort) cursor = cursor.sort(sort);
+    if (limit) cursor = cursor.limit(limit);
+    return lean ? cursor.all().map(document => ({ ...document })) : cursor.all().map(hydrate);
+  }));
+  t.mock.method(Model, 'findOne', (filter) => query(() => hydrate(find(documents, cast(filter)).all()[0])));
+  t.mock.method(Model, 'create', async (fields) => {
+    const document = new Model(fields);
+    await document.save();
+    return document;
+  });
+  t.mock.method(Model, 'updateOne', async (filter, update) => {
+    await flush();
+    return updateOne(documents, cast(filter), castUpdate(update));
+  });
+  t.mock.method(Model, 'updateMany', async (filter, update) => {
+    await flush();
+    return updateMany(documents, cast(filter), castUpdate(update));
+  });
+  // Resolves with the document before the update, or after it with
+  // { new: true }. An upsert starts from the filter's plain field values,
+  // and $setOnInsert only applies to it.
+  t.mock.method(Model, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    await flush();
+    const conditions = cast(filter);
+    // Pipeline updates are passed through as they are
+    const { $setOnInsert, ...changes } = Array.isArray(update) ? {} : castUpdate(update);
+    const apply = Array.isArray(update) ? update : changes;
+    const [match] = find(documents, conditions).all();
+    if (match) {
+      const original = hydrate(match);
+      if (Object.keys(apply).length > 0) updateOne(documents, conditions, apply);
+      return options.new ? hydrate(stored(match._id)) : original;
+    }
+    if (!options.upsert) return null;
+
+    const inserted = Object.fromEntries(Object.entries(conditions).filter(([key]) => !key.startsWith('$')));
+    inserted._id = inserted._id || new mongoose.Types.ObjectId();
+    documents.push(inserted);
+    const insert = $setOnInsert ? { ...changes, $set: { ...changes.$set, ...$setOnInsert } } : apply;
+    if (Object.keys(insert).length > 0) updateOne(documents, { _id: inserted._id }, insert);
+    return options.new ? hydrate(stored(inserted._id)) : null;
+  });
+  t.mock.method(Model, 'deleteOne', async (filter) => {
+    await flush();
+    const [match] = find(documents, cast(filter)).all();
+    if (match) documents.splice(documents.indexOf(match), 1);
+    return { deletedCount: match ? 1 : 0 };
+  });
+  t.mock.method(Model.prototype, 'deleteOne', function() {
+    return Model.deleteOne({ _id: this._id });
+  });
+  // Writes only the changed paths, like Mongoose (a path inside another
+  // changed path is written with it)
+  t.mock.method(Model.prototype, 'save', async function() {
+    await flush();
+    if (this.isNew && this.initializeTimestamps) this.initializeTimestamps();
+    const document = this.toObject();
+    if (this.isNew) {
+      documents.push(document);
+    } else {
+      const paths = this.directModifiedPaths();
+      const changes = paths
+        .filter(path => !paths.some(parent => path.startsWith(`${parent}.`)))
+        .map(path => [path, path.split('.').reduce((value, key) => value?.[key], document)]);
+      updateOne(documents, { _id: this._id }, { $set: Object.fromEntries(changes) });
+    }
+    this.isNew = false;
+    return this;
+  });
+
+  return documents;
+};
+
+module.exports = {
+  captureEmails,
+  flush,
+  mockCollection,
+  mockResponse,
+  runMiddleware,
+  routeHandler
+};
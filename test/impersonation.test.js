@@ -0,0 +1,123 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const mongoose = require('mongoose');
+
+// No database: sessions live in an in-memory collection
+mongoose.set('bufferCommands', false);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { auth, blockImpersonation } = require('../middleware/auth');
+const { getRolePermissions } = require('../utils/permissions');
+const adminRouter = require('../routes/admin');
+const authRouter = require('../routes/auth');
+const usersRouter = require('../routes/users');
+const { mockCollection, mockResponse, routeHandler, runMiddleware } = require('./helpers');
+
+const impersonate = routeHandler(adminRouter, 'post', '/impersonate/:userId');
+
+let staff;
+let customer;
+
+beforeEach((t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  staff = new User({ name: 'Sam Support', email: 'sam@example.com', password: 'x', role: 'admin' });
+  customer = new User({ name: 'Jane Customer', email: 'jane@example.com', password: 'x', role: 'user' });
+
+  mockCollection(t, Session);
+  t.mock.method(User, 'findById', async (id) => [staff, customer].find(user => user._id.equals(id)) || null);
+  t.mock.method(AuditLog, 'record', async () => {});
+});
+
+const start = async (target, caller = {}) => {
+  const res = mockResponse();
+  await impersonate({
+    user: { userId: staff._id.toString(), role: 'admin', permissions: getRolePermissions('admin'), ...caller },
+    params: { userId: target._id.toString() },
+    body: { reason: 'Ticket 42' },
+    ip: '10.0.0.1',
+    get: () => undefined
+  }, res);
+  return res;
+};
+
+// Run the auth middleware with a token; resolves with the request and a
+// response that can emit 'finish'
+const authenticate = async (token) => {
+  const req = {
+    method: 'GET',
+    originalUrl: '/api/orders',
+    header: (name) => (name === 'Authorization' ? `Bearer ${token}` : undefined)
+  };
+  const res = mockResponse();
+  const events = new EventEmitter();
+  res.on = events.on.bind(events);
+  res.emit = events.emit.bind(events);
+  const passed = await runMiddleware(auth, req, res);
+  return { passed, req, res };
+};
+
+test('staff act as the customer without any privileges', async () => {
+  const res = await start(customer);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.refreshToken, undefined);
+
+  const { passed, req } = await authenticate(res.body.token);
+  assert.ok(passed);
+  assert.strictEqual(req.user.userId, customer._id.toString());
+  assert.strictEqual(req.user.impersonatedBy, staff._id.toString());
+  assert.deepStrictEqual(req.user.permissions, []);
+});
+
+test('every impersonated request is audit logged', async () => {
+  const { token } = (await start(customer)).body;
+  const { res } = await authenticate(token);
+
+  res.emit('finish');
+
+  const [, action, { targetId, metadata }] = AuditLog.record.mock.calls.at(-1).arguments;
+  assert.strictEqual(action, 'impersonation.request');
+  assert.strictEqual(targetId, customer._id.toString());
+  assert.deepStrictEqual(metadata, { method: 'GET', path: '/api/orders', statusCode: 200 });
+});
+
+test('the impersonation session ends after a short time', async (t) => {
+  const { token } = (await start(customer)).body;
+
+  t.mock.timers.tick(16 * 60 * 1000);
+
+  const { passed, res } = await authenticate(token);
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 401);
+});
+
+test('staff accounts, yourself and API keys cannot impersonate', async () => {
+  const otherStaff = new User({ name: 'Wes Warehouse', email: 'wes@example.com', password: 'x', role: 'warehouse' });
+  User.findById.mock.mockImplementation(async (id) => [staff, customer, otherStaff].find(user => user._id.equals(id)) || null);
+
+  assert.strictEqual((await start(otherStaff)).statusCode, 403);
+  assert.strictEqual((await start(staff)).statusCode, 400);
+  assert.strictEqual((await start(customer, { apiKeyId: new mongoose.Types.ObjectId().toString() })).statusCode, 403);
+  assert.strictEqual(Session.create.mock.callCount(), 0);
+});
+
+test('sensitive account actions are blocked while impersonating', async () => {
+  const res = mockResponse();
+  const passed = await runMiddleware(blockImpersonation, { user: { impersonatedBy: staff._id.toString() } }, res);
+
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.code, 'IMPERSONATION_FORBIDDEN');
+
+  const guarded = (router, method, path) => router.stack
+    .find(layer => layer.route && layer.route.path === path && layer.route.methods[method])
+    .route.stack.some(layer => layer.handle === blockImpersonation);
+
+  assert.ok(guarded(authRouter, 'put', '/change-password'));
+  assert.ok(guarded(authRouter, 'delete', '/sessions'));
+  assert.ok(guarded(usersRouter, 'delete', '/me/deletion'));
+});
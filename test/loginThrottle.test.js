@@ -0,0 +1,122 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+// No database: throttle entries and sessions live in in-memory collections
+mongoose.set('bufferCommands', false);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const authRouter = require('../routes/auth');
+const { captureEmails, flush, mockCollection, mockResponse, routeHandler } = require('./helpers');
+
+const login = routeHandler(authRouter, 'post', '/login');
+const unlockAccount = routeHandler(authRouter, 'post', '/unlock-account/:token');
+
+const PASSWORD = 'Correct-Horse-9';
+
+let user;
+let throttles;
+let emails;
+
+beforeEach((t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  emails = captureEmails();
+  user = new User({ name: 'Jane Customer', email: 'jane@example.com', role: 'user', emailVerified: true });
+  user.password = bcrypt.hashSync(PASSWORD, 4);
+
+  throttles = mockCollection(t, LoginThrottle);
+  mockCollection(t, Session);
+  t.mock.method(User, 'findByEmail', (email) => ({ select: async () => (email === user.email ? user : null) }));
+  t.mock.method(User.prototype, 'save', async function() { return this; });
+});
+
+const attempt = async (password, { email = user.email, ip = '10.0.0.1' } = {}) => {
+  const res = mockResponse();
+  await login({ body: { email, password }, ip, get: () => undefined }, res);
+  return res;
+};
+
+const waitSeconds = (t, seconds) => t.mock.timers.tick(seconds * 1000);
+
+const account = () => throttles.find(entry => entry.scope === 'account');
+
+test('after the free attempts each failure doubles the wait', async (t) => {
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await attempt('wrong')).statusCode, 401);
+  }
+
+  // Attempts while throttled count too
+  const blocked = await attempt(PASSWORD);
+  assert.strictEqual(blocked.statusCode, 429);
+  assert.strictEqual(blocked.body.retryAfter, 2);
+  assert.strictEqual(blocked.headers['retry-after'], '2');
+
+  waitSeconds(t, 1);
+  assert.strictEqual((await attempt(PASSWORD)).statusCode, 429);
+
+  waitSeconds(t, 4);
+  assert.strictEqual((await attempt(PASSWORD)).statusCode, 200);
+});
+
+test('parallel guesses are throttled like guesses in a row', async () => {
+  const results = await Promise.all(Array.from({ length: 10 }, () => attempt('wrong')));
+
+  assert.strictEqual(results.filter(res => res.statusCode === 401).length, 3);
+  assert.strictEqual(results.filter(res => res.statusCode === 429).length, 7);
+  assert.strictEqual(account().failedAttempts, 10);
+});
+
+test('repeated failures lock the account until the emailed link is used', async (t) => {
+  for (let i = 0; i < 10; i++) {
+    waitSeconds(t, 300);
+    await attempt('wrong');
+  }
+  await flush();
+
+  waitSeconds(t, 300);
+  const locked = await attempt(PASSWORD);
+  assert.strictEqual(locked.statusCode, 423);
+  assert.strictEqual(emails.length, 1);
+  assert.strictEqual(emails[0].to, user.email);
+
+  const token = emails[0].text.match(/unlock-account\/([a-f0-9]{64})/)[1];
+  const forged = mockResponse();
+  await unlockAccount({ params: { token: 'f'.repeat(64) } }, forged);
+  assert.strictEqual(forged.statusCode, 400);
+
+  const unlocked = mockResponse();
+  await unlockAccount({ params: { token } }, unlocked);
+  assert.strictEqual(unlocked.statusCode, 200);
+
+  // The address tried often enough to wait out its own backoff
+  waitSeconds(t, 300);
+  assert.strictEqual((await attempt(PASSWORD)).statusCode, 200);
+});
+
+test('a successful login forgets the account failures', async () => {
+  await attempt('wrong');
+  await attempt('wrong');
+  assert.strictEqual(account().failedAttempts, 2);
+
+  const res = await attempt(PASSWORD);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.refreshToken);
+  assert.strictEqual(account(), undefined);
+  // The successful attempt is not held against the address
+  assert.strictEqual(throttles.find(entry => entry.scope === 'ip').failedAttempts, 2);
+});
+
+test('one address guessing at many accounts is slowed down', async () => {
+  for (const email of ['a@example.com', 'b@example.com', 'c@example.com']) {
+    assert.strictEqual((await attempt('guess', { email })).statusCode, 401);
+  }
+
+  assert.strictEqual((await attempt('guess', { email: 'd@example.com' })).statusCode, 429);
+  assert.strictEqual((await attempt(PASSWORD, { ip: '10.0.0.2' })).statusCode, 200);
+});
@@ -0,0 +1,106 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database: users, sessions and throttles live in in-memory collections
+mongoose.set('bufferCommands', false);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const authRouter = require('../routes/auth');
+const { captureEmails, flush, mockCollection, mockResponse, routeHandler } = require('./helpers');
+
+const requestLink = routeHandler(authRouter, 'post', '/magic-link');
+const verifyLink = routeHandler(authRouter, 'post', '/magic-link/verify');
+
+let users;
+let emails;
+
+beforeEach(async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  delete process.env.MAGIC_LINK_EXPIRES_MINUTES;
+  emails = captureEmails();
+  users = mockCollection(t, User);
+  mockCollection(t, Session);
+  mockCollection(t, LoginThrottle);
+
+  await User.create({ name: 'Jane Customer', email: 'jane@example.com', password: 'x', role: 'user' });
+});
+
+const request = (body, headers = {}) => ({
+  body,
+  ip: '10.0.0.1',
+  get: (name) => headers[name.toLowerCase()]
+});
+
+// Ask for a link and return the token it carries
+const emailedToken = async (body = {}, headers) => {
+  const res = mockResponse();
+  await requestLink(request({ email: 'jane@example.com', ...body }, headers), res);
+  await flush();
+  assert.strictEqual(res.statusCode, 200);
+  const email = emails[emails.length - 1];
+  return email && email.text.match(/magic-link\/([a-f0-9]{64})/)[1];
+};
+
+const verify = async (token, body = {}, headers) => {
+  const res = mockResponse();
+  await verifyLink(request({ token, ...body }, headers), res);
+  return res;
+};
+
+test('a link signs in once and verifies the email', async () => {
+  const token = await emailedToken();
+  assert.notStrictEqual(users[0].magicLinkToken, token);
+
+  const res = await verify(token);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.token);
+  assert.strictEqual(users[0].emailVerified, true);
+  assert.strictEqual((await verify(token)).statusCode, 400);
+});
+
+test('links expire', async (t) => {
+  process.env.MAGIC_LINK_EXPIRES_MINUTES = '5';
+  const token = await emailedToken();
+
+  t.mock.timers.tick(5 * 60 * 1000 + 1);
+
+  assert.strictEqual((await verify(token)).statusCode, 400);
+});
+
+test('a link requested with a device ID only works on that device', async () => {
+  const device = { 'user-agent': 'Firefox' };
+  const token = await emailedToken({ deviceId: 'laptop' }, device);
+
+  assert.strictEqual((await verify(token, {}, device)).statusCode, 400);
+  assert.strictEqual((await verify(token, { deviceId: 'phone' }, device)).statusCode, 400);
+  assert.strictEqual((await verify(token, { deviceId: 'laptop' }, { 'user-agent': 'Chrome' })).statusCode, 400);
+  assert.strictEqual((await verify(token, { deviceId: 'laptop' }, device)).statusCode, 200);
+});
+
+test('only one link is sent per minute', async (t) => {
+  const first = await emailedToken();
+  await emailedToken();
+  assert.strictEqual(emails.length, 1);
+
+  t.mock.timers.tick(61 * 1000);
+  const second = await emailedToken();
+
+  assert.strictEqual(emails.length, 2);
+  assert.strictEqual((await verify(first)).statusCode, 400);
+  assert.strictEqual((await verify(second)).statusCode, 200);
+});
+
+test('unknown addresses get the same answer and no email', async () => {
+  const res = mockResponse();
+  await requestLink(request({ email: 'nobody@example.com' }), res);
+  await flush();
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.loginUrl, undefined);
+  assert.strictEqual(emails.length, 0);
+});
@@ -0,0 +1,89 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const User = require('../models/User');
+const authRouter = require('../routes/auth');
+const { sendEmail, setTransport } = require('../utils/mailer');
+const { createTransport } = require('../utils/mailer/transports');
+const { captureEmails, flush, mockResponse, routeHandler } = require('./helpers');
+
+const forgotPassword = routeHandler(authRouter, 'post', '/forgot-password');
+
+let emails;
+
+beforeEach(() => {
+  emails = captureEmails();
+  delete process.env.EXPOSE_TOKEN_URLS;
+});
+
+afterEach(() => {
+  delete process.env.EMAIL_OUTBOX_DIR;
+});
+
+test('templates render the link and escape what the user typed', async () => {
+  await sendEmail('jane@example.com', 'passwordReset', {
+    name: '<script>alert(1)</script>',
+    url: 'http://localhost:3000/reset-password/abc'
+  });
+
+  const [message] = emails;
+  assert.strictEqual(message.to, 'jane@example.com');
+  assert.strictEqual(message.from, 'InkSoul <no-reply@inksoul.com>');
+  assert.ok(message.subject);
+  assert.ok(message.html.includes('&lt;script&gt;'));
+  assert.ok(!message.html.includes('<script>'));
+  assert.ok(message.text.includes('http://localhost:3000/reset-password/abc'));
+});
+
+test('unknown templates and transports are rejected', async () => {
+  await assert.rejects(sendEmail('jane@example.com', 'noSuchTemplate'), /Unknown email template: noSuchTemplate/);
+  assert.throws(() => createTransport('pigeon'), /Unknown email transport: pigeon/);
+});
+
+test('the file transport writes each message to the outbox', async (t) => {
+  const outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  t.after(() => fs.rmSync(outbox, { recursive: true, force: true }));
+  process.env.EMAIL_OUTBOX_DIR = outbox;
+  setTransport(createTransport('file'));
+
+  await sendEmail('jane@example.com', 'verifyEmail', { name: 'Jane', url: 'http://localhost:3000/verify-email/abc' });
+
+  const files = fs.readdirSync(outbox);
+  assert.strictEqual(files.length, 1);
+  const written = JSON.parse(fs.readFileSync(path.join(outbox, files[0]), 'utf8'));
+  assert.strictEqual(written.to, 'jane@example.com');
+  assert.ok(written.text.includes('http://localhost:3000/verify-email/abc'));
+});
+
+test('reset links are emailed and only echoed back when allowed', async (t) => {
+  const user = new User({ name: 'Jane Customer', email: 'jane@example.com', password: 'x', role: 'user' });
+  t.mock.method(User, 'findByEmail', async (email) => (email === user.email ? user : null));
+  t.mock.method(User.prototype, 'save', async function() { return this; });
+
+  const res = mockResponse();
+  await forgotPassword({ body: { email: user.email } }, res);
+  await flush();
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.resetUrl, undefined);
+  assert.strictEqual(emails.length, 1);
+  assert.match(emails[0].text, /reset-password\/[a-f0-9]{64}/);
+
+  process.env.EXPOSE_TOKEN_URLS = 'true';
+  const exposed = mockResponse();
+  await forgotPassword({ body: { email: user.email } }, exposed);
+  assert.match(exposed.body.resetUrl, /reset-password\/[a-f0-9]{64}/);
+
+  // Unknown addresses get the same answer and no email
+  const unknown = mockResponse();
+  await forgotPassword({ body: { email: 'nobody@example.com' } }, unknown);
+  await flush();
+  assert.strictEqual(unknown.body.message, res.body.message);
+  assert.strictEqual(emails.length, 2);
+});
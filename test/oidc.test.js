@@ -0,0 +1,83 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const oidc = require('../utils/oidc');
+const oidcRouter = require('../routes/oidc');
+const { mockResponse, routeHandler } = require('./helpers');
+
+const startLink = routeHandler(oidcRouter, 'post', '/:provider/link');
+const callback = routeHandler(oidcRouter, 'post', '/:provider/callback');
+
+const provider = { name: 'google' };
+
+let owner;
+let states;
+
+beforeEach((t) => {
+  owner = new User({ name: 'Link Owner', email: 'owner@example.com', password: 'x', role: 'user' });
+  states = [];
+
+  t.mock.method(User, 'findById', async (id) => (owner._id.equals(id) ? owner : null));
+  t.mock.method(User, 'findByProvider', async () => null);
+  t.mock.method(User.prototype, 'save', async function() { return this; });
+  t.mock.method(OAuthState, 'create', async (fields) => { states.push(new OAuthState(fields)); });
+  t.mock.method(OAuthState, 'consume', async (state) => {
+    const index = states.findIndex(pending => pending.state === state);
+    return index === -1 ? null : states.splice(index, 1)[0];
+  });
+  t.mock.method(oidc, 'buildAuthorizationUrl', async (config, params) => `https://idp.example.com/?state=${params.state}`);
+  t.mock.method(oidc, 'exchangeCode', async () => ({ sub: 'google-123', email: 'someone@example.com', email_verified: true }));
+});
+
+const session = () => ({
+  userId: owner._id.toString(),
+  role: 'user',
+  sessionId: new mongoose.Types.ObjectId().toString()
+});
+
+const link = async (user) => {
+  const res = mockResponse();
+  await startLink({ user, oidcProvider: provider, params: { provider: 'google' } }, res);
+  return res.body.data.state;
+};
+
+const complete = async (user, state) => {
+  const res = mockResponse();
+  await callback({ user, oidcProvider: provider, params: { provider: 'google' }, body: { code: 'code', state } }, res);
+  return res;
+};
+
+test('a link request can only be completed by the session that started it', async () => {
+  const state = await link(session());
+
+  // The link URL sent to someone else, who signs in to the provider
+  const res = await complete(undefined, state);
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(owner.providers.length, 0);
+  assert.strictEqual(oidc.exchangeCode.mock.callCount(), 0);
+});
+
+test('another session of the same account cannot complete the link', async () => {
+  const state = await link(session());
+
+  const res = await complete(session(), state);
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(owner.providers.length, 0);
+});
+
+test('the starting session links the provider', async () => {
+  const starter = session();
+  const state = await link(starter);
+
+  const res = await complete(starter, state);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(owner.providers.map(p => [p.provider, p.subject]), [['google', 'google-123']]);
+});
@@ -0,0 +1,79 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { checkPassword, getPolicy } = require('../utils/passwordPolicy');
+const authRouter = require('../routes/auth');
+const { mockResponse, routeHandler } = require('./helpers');
+
+const changePassword = routeHandler(authRouter, 'put', '/change-password');
+
+const reasonsFor = (password, user) => checkPassword(password, user).reasons.map(reason => reason.code);
+
+test('a long enough password mixing character classes passes', () => {
+  assert.deepStrictEqual(checkPassword('Tangerine-Bicycle-42'), { valid: true, reasons: [] });
+});
+
+test('short and single class passwords are rejected', () => {
+  assert.deepStrictEqual(reasonsFor('Ab1'), ['too_short']);
+  assert.deepStrictEqual(reasonsFor('tangerinebicycle'), ['too_simple']);
+});
+
+test('passwords past the bcrypt limit are rejected by bytes, not characters', () => {
+  assert.deepStrictEqual(reasonsFor('Aa1' + 'x'.repeat(69)), []);
+  assert.deepStrictEqual(reasonsFor('Aa1' + 'é'.repeat(40)), ['too_long']);
+});
+
+test('passwords containing the name or email are rejected', () => {
+  const user = { name: 'Jane Customer', email: 'jsmith@example.com' };
+
+  assert.deepStrictEqual(reasonsFor('Customer-2026', user), ['contains_personal_info']);
+  assert.deepStrictEqual(reasonsFor('JSmith!rocks', user), ['contains_personal_info']);
+  assert.deepStrictEqual(reasonsFor('Tangerine-Bicycle-42', user), []);
+});
+
+test('breached passwords are rejected, capitalised or not', () => {
+  assert.deepStrictEqual(reasonsFor('Password1'), ['breached']);
+  assert.deepStrictEqual(reasonsFor('QWERTY123'), ['breached']);
+});
+
+test('the policy follows the environment', (t) => {
+  t.after(() => {
+    delete process.env.PASSWORD_MIN_LENGTH;
+    delete process.env.PASSWORD_CHECK_BREACHED;
+  });
+  process.env.PASSWORD_MIN_LENGTH = '12';
+  process.env.PASSWORD_CHECK_BREACHED = 'false';
+
+  assert.strictEqual(getPolicy().minLength, 12);
+  assert.deepStrictEqual(reasonsFor('Password1'), ['too_short']);
+});
+
+let user;
+
+beforeEach((t) => {
+  user = new User({ name: 'Jane Customer', email: 'jane@example.com', role: 'user' });
+  user.password = bcrypt.hashSync('Correct-Horse-9', 4);
+
+  t.mock.method(User, 'findById', () => ({ select: async () => user }));
+  t.mock.method(User.prototype, 'save', async function() { return this; });
+  t.mock.method(Session, 'revokeAllForUser', async () => {});
+});
+
+test('changing to a password against the policy lists every reason', async () => {
+  const res = mockResponse();
+  await changePassword({
+    user: { userId: user._id.toString(), role: 'user' },
+    body: { currentPassword: 'Correct-Horse-9', newPassword: 'jane' }
+  }, res);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.deepStrictEqual(res.body.reasons.map(reason => reason.code), ['too_short', 'too_simple', 'contains_personal_info']);
+  assert.strictEqual(User.prototype.save.mock.callCount(), 0);
+  assert.ok(await user.comparePassword('Correct-Horse-9'));
+});
@@ -0,0 +1,103 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+// The custom role from the example in utils/permissions.js, loaded once at
+// startup like ROLES_CONFIG_PATH is in production
+const rolesPath = path.join(os.tmpdir(), `roles-${process.pid}.json`);
+fs.writeFileSync(rolesPath, JSON.stringify({ support: ['orders:read', 'users:manage'], bogus: ['nope'] }));
+process.env.ROLES_CONFIG_PATH = rolesPath;
+delete process.env.REQUIRE_ADMIN_2FA;
+
+const { getRolePermissions, hasPermission, canManageRole } = require('../utils/permissions');
+const { requirePermission } = require('../middleware/auth');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const usersRouter = require('../routes/users');
+const { mockResponse, runMiddleware, routeHandler } = require('./helpers');
+
+before(() => fs.unlinkSync(rolesPath));
+
+const updateRole = routeHandler(usersRouter, 'put', '/:id/role');
+
+const caller = (role) => ({
+  userId: new mongoose.Types.ObjectId().toString(),
+  role,
+  permissions: getRolePermissions(role)
+});
+
+let target;
+
+beforeEach((t) => {
+  target = new User({ name: 'Target User', email: 'target@example.com', password: 'x', role: 'user' });
+  t.mock.method(User, 'findById', async (id) => (id === target._id.toString() ? target : null));
+  t.mock.method(User.prototype, 'save', async function() { return this; });
+  t.mock.method(AuditLog, 'record', async () => {});
+});
+
+const changeRole = async (by, role, id = target._id.toString()) => {
+  const res = mockResponse();
+  await updateRole({ user: by, params: { id }, body: { role } }, res);
+  return res;
+};
+
+test('roles from ROLES_CONFIG_PATH keep only known permissions', () => {
+  assert.deepStrictEqual(getRolePermissions('support'), ['orders:read', 'users:manage']);
+  assert.deepStrictEqual(getRolePermissions('bogus'), []);
+  assert.ok(hasPermission('admin', 'system:admin'));
+  assert.ok(!hasPermission('user', 'orders:read'));
+});
+
+test('requirePermission lets through only roles that grant the permission', async () => {
+  const allowed = await runMiddleware(requirePermission('orders:fulfill'), { user: caller('warehouse') });
+  assert.strictEqual(allowed, true);
+
+  const res = mockResponse();
+  const denied = await runMiddleware(requirePermission('orders:fulfill'), { user: caller('support') }, res);
+  assert.strictEqual(denied, false);
+  assert.strictEqual(res.statusCode, 403);
+  assert.match(res.body.message, /orders:fulfill/);
+});
+
+test('a role can only be handed out by someone holding all its permissions', () => {
+  assert.ok(canManageRole(getRolePermissions('admin'), 'support'));
+  assert.ok(canManageRole(getRolePermissions('support'), 'support'));
+  assert.ok(!canManageRole(getRolePermissions('support'), 'admin'));
+  assert.ok(!canManageRole(getRolePermissions('support'), 'warehouse'));
+});
+
+test('support staff cannot promote anyone to admin', async () => {
+  const res = await changeRole(caller('support'), 'admin');
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(target.role, 'user');
+  assert.strictEqual(AuditLog.record.mock.callCount(), 0);
+});
+
+test('support staff cannot demote an admin', async () => {
+  target.role = 'admin';
+  const res = await changeRole(caller('support'), 'user');
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(target.role, 'admin');
+});
+
+test('nobody can change their own role', async () => {
+  const admin = caller('admin');
+  const res = await changeRole(admin, 'user', admin.userId);
+
+  assert.strictEqual(res.statusCode, 400);
+});
+
+test('admins can assign any role, and the change is audited', async () => {
+  const res = await changeRole(caller('admin'), 'warehouse');
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(target.role, 'warehouse');
+  assert.strictEqual(AuditLog.record.mock.calls[0].arguments[1], 'user.role_update');
+});
@@ -0,0 +1,144 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database: the model lookups pricing makes are mocked per test
+mongoose.set('bufferCommands', false);
+
+const Product = require('../models/Product');
+const ShippingZone = require('../models/ShippingZone');
+const TaxRule = require('../models/TaxRule');
+const { CheckoutError } = require('../utils/checkout');
+const { quoteOrder } = require('../utils/pricing');
+const { calculateTax } = require('../utils/tax');
+
+const shirt = new Product({
+  name: 'Shirt',
+  description: 'A plain cotton shirt',
+  price: 20,
+  category: 'T-Shirts',
+  productCode: 'SHIRT',
+  sku: 'SHIRT-1',
+  stock: 50,
+  weight: 0.25,
+  createdBy: new mongoose.Types.ObjectId()
+});
+
+const items = [{ product: shirt._id.toString(), quantity: 2 }];
+
+const address = { country: 'US', state: 'CA', zipCode: '94105' };
+
+const usZone = new ShippingZone({
+  name: 'United States',
+  countries: ['US'],
+  methods: [
+    { code: 'standard', name: 'Standard', basis: 'weight', rates: [{ min: 0, max: 5, price: 5 }, { min: 5, price: 12 }] },
+    { code: 'express', name: 'Express', basis: 'subtotal', rates: [{ min: 0, price: 15 }] }
+  ]
+});
+
+let zones;
+let taxRules;
+
+beforeEach((t) => {
+  zones = [usZone];
+  taxRules = [];
+  t.mock.method(Product, 'findById', async (id) => (id.toString() === shirt._id.toString() ? shirt : null));
+  t.mock.method(ShippingZone, 'find', async () => zones);
+  t.mock.method(ShippingZone, 'exists', async () => zones.length > 0);
+  t.mock.method(TaxRule, 'find', async () => taxRules);
+});
+
+const rejectsWith = (promise, message) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof CheckoutError);
+  assert.strictEqual(error.statusCode, 400);
+  assert.match(error.message, message);
+  return true;
+});
+
+test('orders without a full shipping address are rejected', async () => {
+  await rejectsWith(quoteOrder({ items }), /shipping address/);
+  await rejectsWith(quoteOrder({ items, shippingAddress: { zipCode: '94105' } }), /shipping address/);
+  await rejectsWith(quoteOrder({ items, shippingAddress: { country: 'US', zipCode: '94105' } }), /shipping address/);
+});
+
+test('an estimate may leave the address out', async () => {
+  const quote = await quoteOrder({ items }, { estimate: true });
+
+  assert.strictEqual(quote.itemsPrice, 40);
+  assert.strictEqual(quote.shippingPrice, 0);
+  assert.strictEqual(quote.shippingMethod, null);
+  assert.strictEqual(quote.totalPrice, 40);
+});
+
+test('the cheapest zone rate is picked unless a method is asked for', async () => {
+  const standard = await quoteOrder({ items, shippingAddress: address });
+  assert.strictEqual(standard.shippingMethod.code, 'standard');
+  assert.strictEqual(standard.shippingPrice, 5);
+  assert.strictEqual(standard.totalPrice, 45);
+  assert.deepStrictEqual(standard.shippingRates.map(rate => rate.method), ['standard', 'express']);
+
+  const express = await quoteOrder({ items, shippingAddress: address, shippingMethod: 'Express' });
+  assert.strictEqual(express.shippingMethod.code, 'express');
+  assert.strictEqual(express.shippingPrice, 15);
+});
+
+test('addresses outside every zone are not shipped to', async () => {
+  await rejectsWith(
+    quoteOrder({ items, shippingAddress: { country: 'FR', state: 'IDF', zipCode: '75001' } }),
+    /don't ship to FR/
+  );
+  await rejectsWith(
+    quoteOrder({ items, shippingAddress: address, shippingMethod: 'overnight' }),
+    /not available/
+  );
+});
+
+const taxRule = (fields) => new TaxRule({ name: fields.name || 'Tax', ...fields });
+
+test('matching tax rules stack and are broken down per jurisdiction', async () => {
+  taxRules = [
+    taxRule({ name: 'California', country: 'US', state: 'CA', rate: 7.25, taxShipping: true }),
+    taxRule({ name: 'San Francisco', country: 'US', state: 'CA', zipPrefix: '941', rate: 1.375 }),
+    taxRule({ name: 'Texas', country: 'US', state: 'TX', rate: 6.25 })
+  ];
+
+  const quote = await quoteOrder({ items, shippingAddress: address });
+
+  assert.deepStrictEqual(
+    quote.taxBreakdown.map(entry => [entry.jurisdiction, entry.amount, entry.shippingTax]),
+    [['US-CA', 3.26, 0.36], ['US-CA-941', 0.55, 0]]
+  );
+  assert.strictEqual(quote.taxPrice, 3.81);
+  assert.strictEqual(quote.shippingTax, 0.36);
+  assert.strictEqual(quote.totalPrice, 48.81);
+  assert.deepStrictEqual(quote.lines[0].taxes.map(tax => tax.jurisdiction), ['US-CA', 'US-CA-941']);
+});
+
+test('inclusive tax is taken out of the price, not added', async () => {
+  zones = [new ShippingZone({
+    name: 'Germany',
+    countries: ['DE'],
+    methods: [{ code: 'standard', name: 'Standard', rates: [{ min: 0, price: 0 }] }]
+  })];
+  taxRules = [taxRule({ name: 'VAT', country: 'DE', rate: 19, inclusive: true })];
+
+  const quote = await quoteOrder({ items, shippingAddress: { country: 'DE', state: 'BE', zipCode: '10115' } });
+
+  assert.strictEqual(quote.taxPrice, 6.39);
+  assert.strictEqual(quote.taxIncluded, 6.39);
+  assert.strictEqual(quote.totalPrice, 40);
+});
+
+test('an order is not taxed at 0 when the jurisdiction is unknown', async () => {
+  zones = [];
+  taxRules = [taxRule({ name: 'California', country: 'US', state: 'CA', rate: 7.25 })];
+
+  await rejectsWith(
+    calculateTax({ lines: [], shippingAddress: { country: 'US', zipCode: '94105' } }),
+    /country and state/
+  );
+
+  const estimate = await calculateTax({ lines: [], shippingAddress: { country: 'US' }, estimate: true });
+  assert.strictEqual(estimate.taxPrice, 0);
+});
@@ -0,0 +1,164 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database: products live in an in-memory collection
+mongoose.set('bufferCommands', false);
+
+const Product = require('../models/Product');
+const AuditLog = require('../models/AuditLog');
+const StockSubscription = require('../models/StockSubscription');
+const { getRolePermissions } = require('../utils/permissions');
+const { reserveStock } = require('../utils/inventory');
+const productsRouter = require('../routes/products');
+const { flush, mockCollection, mockResponse, routeHandler } = require('./helpers');
+
+const updateProduct = routeHandler(productsRouter, 'put', '/:id');
+
+let products;
+
+beforeEach((t) => {
+  products = mockCollection(t, Product);
+  t.mock.method(AuditLog, 'record', async () => {});
+  t.mock.method(StockSubscription, 'aggregate', async () => []);
+});
+
+const addShirt = async (variants) => {
+  const shirt = new Product({
+    name: 'Shirt',
+    description: 'A plain cotton shirt',
+    price: 20,
+    category: 'T-Shirts',
+    productCode: 'SHIRT',
+    sku: 'SHIRT-1',
+    stock: 0,
+    variants,
+    createdBy: new mongoose.Types.ObjectId()
+  });
+  await shirt.validate();
+  products.push(shirt.toObject());
+  return shirt;
+};
+
+const stored = (id) => products.find(product => product._id.equals(id));
+
+const variantOf = (id, color, size) => stored(id).variants
+  .find(variant => variant.color === color && variant.size === size);
+
+const update = async (id, body) => {
+  const res = mockResponse();
+  await updateProduct({
+    user: { userId: new mongoose.Types.ObjectId().toString(), role: 'admin', permissions: getRolePermissions('admin') },
+    params: { id: id.toString() },
+    body
+  }, res);
+  // Let the queued back in stock check finish
+  await flush();
+  await flush();
+  return res;
+};
+
+test('a new product counts only its active variants', async () => {
+  const shirt = await addShirt([
+    { color: 'Black', size: 'M', stock: 4 },
+    { color: 'White', size: 'M', stock: 6, isActive: false }
+  ]);
+
+  assert.strictEqual(shirt.stock, 4);
+  assert.strictEqual(shirt.variants[0].sku, 'SHIRT-1-BLACK-M');
+});
+
+test('editing variants keeps stock sold since the product was loaded', async () => {
+  const shirt = await addShirt([
+    { color: 'Black', size: 'M', stock: 5 },
+    { color: 'White', size: 'M', stock: 3 }
+  ]);
+  const blackM = shirt.variants[0]._id;
+
+  // A checkout lands while the edit is in flight
+  const [res] = await Promise.all([
+    update(shirt._id, {
+      price: 25,
+      variants: [
+        { color: 'Black', size: 'M', price: 22 },
+        { color: 'White', size: 'M' }
+      ]
+    }),
+    reserveStock([{ product: shirt._id, variant: blackM, quantity: 2 }])
+  ]);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(stored(shirt._id).price, 25);
+  assert.strictEqual(variantOf(shirt._id, 'Black', 'M').price, 22);
+  assert.strictEqual(variantOf(shirt._id, 'Black', 'M').stock, 3);
+  assert.strictEqual(variantOf(shirt._id, 'Black', 'M')._id.toString(), blackM.toString());
+  assert.strictEqual(stored(shirt._id).stock, 6);
+  assert.strictEqual(res.body.data.stock, 6);
+});
+
+test('stock given for an existing variant is applied as a change', async () => {
+  const shirt = await addShirt([{ color: 'Black', size: 'M', stock: 5 }]);
+  const loaded = await Product.findById(shirt._id);
+
+  // Two sold after the admin opened the product showing 5; they restock to 10
+  await reserveStock([{ product: shirt._id, variant: shirt.variants[0]._id, quantity: 2 }]);
+  loaded.setVariants([{ color: 'Black', size: 'M', stock: 10 }]);
+  await loaded.saveVariants();
+
+  assert.strictEqual(variantOf(shirt._id, 'Black', 'M').stock, 8);
+  assert.strictEqual(stored(shirt._id).stock, 8);
+});
+
+test('new variants start with their stock and removed ones leave the total', async () => {
+  const shirt = await addShirt([
+    { color: 'Black', size: 'M', stock: 5 },
+    { color: 'White', size: 'M', stock: 3 }
+  ]);
+
+  const res = await update(shirt._id, {
+    variants: [
+      { color: 'Black', size: 'M' },
+      { color: 'Black', size: 'L', stock: 7 }
+    ]
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(
+    stored(shirt._id).variants.map(variant => [variant.sku, variant.stock]),
+    [['SHIRT-1-BLACK-M', 5], ['SHIRT-1-BLACK-L', 7]]
+  );
+  assert.strictEqual(stored(shirt._id).stock, 12);
+});
+
+test('deactivating a variant takes it out of the product stock', async () => {
+  const shirt = await addShirt([
+    { color: 'Black', size: 'M', stock: 5 },
+    { color: 'White', size: 'M', stock: 3 }
+  ]);
+
+  await update(shirt._id, {
+    variants: [
+      { color: 'Black', size: 'M' },
+      { color: 'White', size: 'M', isActive: false }
+    ]
+  });
+
+  assert.strictEqual(variantOf(shirt._id, 'White', 'M').stock, 3);
+  assert.strictEqual(stored(shirt._id).stock, 5);
+
+  // Stock coming back to the inactive variant stays out of the total
+  const order = [{ product: shirt._id, variant: variantOf(shirt._id, 'White', 'M')._id, quantity: 1 }];
+  assert.strictEqual((await reserveStock(order)).reserved, false);
+  await Product.adjustVariantStock(shirt._id, order[0].variant, 2);
+  assert.strictEqual(variantOf(shirt._id, 'White', 'M').stock, 5);
+  assert.strictEqual(stored(shirt._id).stock, 5);
+});
+
+test('the stock of a product with variants is not set directly', async () => {
+  const shirt = await addShirt([{ color: 'Black', size: 'M', stock: 5 }]);
+  const loaded = await Product.findById(shirt._id);
+
+  loaded.stock = 100;
+
+  await assert.rejects(loaded.validate(), /set on its variants/);
+});
@@ -0,0 +1,63 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { aggregate } = require('mingo');
+
+mongoose.set('bufferCommands', false);
+
+const Order = require('../models/Order');
+const { getRolePermissions } = require('../utils/permissions');
+const adminRouter = require('../routes/admin');
+const { mockResponse, routeHandler } = require('./helpers');
+
+const salesReport = routeHandler(adminRouter, 'get', '/reports/sales');
+
+let orders;
+
+beforeEach((t) => {
+  orders = [];
+  t.mock.method(Order, 'aggregate', async (pipeline) => aggregate(orders, pipeline));
+});
+
+const addOrder = (taxBreakdown, fields = {}) => {
+  const taxPrice = taxBreakdown.reduce((sum, entry) => sum + entry.amount, 0);
+  orders.push({
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: new Date('2026-03-10T12:00:00Z'),
+    isPaid: true,
+    itemsPrice: 100,
+    taxPrice,
+    totalPrice: 100 + taxPrice,
+    orderItems: [{ quantity: 1 }],
+    taxBreakdown,
+    ...fields
+  });
+};
+
+const report = async () => {
+  const res = mockResponse();
+  await salesReport({
+    user: { userId: new mongoose.Types.ObjectId().toString(), role: 'admin', permissions: getRolePermissions('admin') },
+    query: { startDate: '2026-03-01', endDate: '2026-03-31' }
+  }, res);
+  return res.body.data;
+};
+
+test('tax per jurisdiction counts each order once', async () => {
+  // State and city rules both in US-IL, one of them also taxing shipping
+  addOrder([
+    { jurisdiction: 'US-IL', amount: 6.25, taxableAmount: 100, shippingTax: 0 },
+    { jurisdiction: 'US-IL', amount: 2.6, taxableAmount: 110, shippingTax: 0.1 }
+  ]);
+  addOrder([{ jurisdiction: 'US-IL', amount: 6.25, taxableAmount: 100, shippingTax: 0 }]);
+  addOrder([{ jurisdiction: 'US-CA', amount: 7.25, taxableAmount: 100, shippingTax: 0 }]);
+  addOrder([{ jurisdiction: 'US-CA', amount: 7.25, taxableAmount: 100, shippingTax: 0 }], { isPaid: false });
+
+  const { taxByJurisdiction, summary } = await report();
+
+  assert.deepStrictEqual(taxByJurisdiction, [
+    { jurisdiction: 'US-CA', taxCollected: 7.25, taxableAmount: 100, shippingTax: 0, orders: 1 },
+    { jurisdiction: 'US-IL', taxCollected: 15.1, taxableAmount: 210, shippingTax: 0.1, orders: 2 }
+  ]);
+  assert.strictEqual(summary.totalOrders, 3);
+});
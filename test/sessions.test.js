@@ -0,0 +1,143 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database: sessions live in an in-memory collection
+mongoose.set('bufferCommands', false);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { auth } = require('../middleware/auth');
+const { issueAuthTokens } = require('../utils/authTokens');
+const authRouter = require('../routes/auth');
+const { mockCollection, mockResponse, routeHandler, runMiddleware } = require('./helpers');
+
+const refresh = routeHandler(authRouter, 'post', '/refresh');
+const logout = routeHandler(authRouter, 'post', '/logout');
+
+let user;
+let sessions;
+
+beforeEach((t) => {
+  user = new User({ name: 'Jane Customer', email: 'jane@example.com', password: 'x', role: 'user' });
+  sessions = mockCollection(t, Session);
+  t.mock.method(User, 'findById', async (id) => (user._id.equals(id) ? user : null));
+});
+
+const signIn = () => issueAuthTokens(user._id, {
+  ip: '127.0.0.1',
+  get: (name) => (name === 'user-agent' ? 'test-agent' : undefined)
+});
+
+const useRefreshToken = async (refreshToken) => {
+  const res = mockResponse();
+  await refresh({ body: { refreshToken } }, res);
+  return res;
+};
+
+// Run the auth middleware with an access token; resolves with req.user or
+// the rejected response
+const authenticate = async (token) => {
+  const req = { header: (name) => (name === 'Authorization' ? `Bearer ${token}` : undefined) };
+  const res = mockResponse();
+  return (await runMiddleware(auth, req, res)) ? req.user : res;
+};
+
+test('a refresh token is exchanged for a new pair once', async () => {
+  const login = await signIn();
+
+  const res = await useRefreshToken(login.refreshToken);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.notStrictEqual(res.body.refreshToken, login.refreshToken);
+  assert.strictEqual((await authenticate(res.body.token)).userId, user._id.toString());
+  assert.strictEqual((await useRefreshToken(res.body.refreshToken)).statusCode, 200);
+});
+
+test('reusing a rotated out refresh token revokes the whole session', async () => {
+  const login = await signIn();
+  const rotated = (await useRefreshToken(login.refreshToken)).body;
+
+  // Someone replays the old token
+  const replay = await useRefreshToken(login.refreshToken);
+  assert.strictEqual(replay.statusCode, 401);
+  assert.match(replay.body.message, /already been used/);
+  assert.strictEqual(sessions[0].revokedReason, 'reuse_detected');
+
+  // Neither the thief's nor the owner's newer tokens work any more
+  assert.strictEqual((await useRefreshToken(rotated.refreshToken)).statusCode, 401);
+  assert.strictEqual((await authenticate(rotated.token)).statusCode, 401);
+});
+
+test('unknown refresh tokens are rejected', async () => {
+  await signIn();
+
+  assert.strictEqual((await useRefreshToken('not-a-token')).statusCode, 401);
+});
+
+test('logging out ends the session for both tokens', async () => {
+  const login = await signIn();
+  const req = { user: await authenticate(login.token) };
+
+  await logout(req, mockResponse());
+
+  assert.strictEqual(sessions[0].revokedReason, 'logout');
+  assert.strictEqual((await authenticate(login.token)).statusCode, 401);
+  assert.strictEqual((await useRefreshToken(login.refreshToken)).statusCode, 401);
+});
+
+test('deactivated accounts cannot refresh', async () => {
+  const login = await signIn();
+  user.isActive = false;
+
+  assert.strictEqual((await useRefreshToken(login.refreshToken)).statusCode, 401);
+  assert.ok(sessions[0].revokedAt);
+});
+
+const listSessions = routeHandler(authRouter, 'get', '/sessions');
+const revokeOthers = routeHandler(authRouter, 'delete', '/sessions');
+const revokeSession = routeHandler(authRouter, 'delete', '/sessions/:id');
+
+test('sessions are listed per device with the current one marked', async () => {
+  const laptop = await signIn();
+  await signIn();
+
+  const res = mockResponse();
+  await listSessions({ user: await authenticate(laptop.token) }, res);
+
+  assert.strictEqual(res.body.data.length, 2);
+  const current = res.body.data.filter(session => session.current);
+  assert.deepStrictEqual(current.map(session => session.id.toString()), [laptop.sessionId.toString()]);
+  assert.strictEqual(current[0].userAgent, 'test-agent');
+});
+
+test('signing out other devices keeps the current one', async () => {
+  const laptop = await signIn();
+  const phone = await signIn();
+
+  const res = mockResponse();
+  await revokeOthers({ user: await authenticate(laptop.token) }, res);
+
+  assert.strictEqual(res.body.data.revoked, 1);
+  assert.strictEqual((await authenticate(laptop.token)).userId, user._id.toString());
+  assert.strictEqual((await authenticate(phone.token)).statusCode, 401);
+  assert.strictEqual((await useRefreshToken(phone.refreshToken)).statusCode, 401);
+});
+
+test('a single device can be signed out, but only by its owner', async () => {
+  const laptop = await signIn();
+  const phone = await signIn();
+  const caller = await authenticate(laptop.token);
+
+  const stranger = mockResponse();
+  await revokeSession({
+    user: { ...caller, userId: new mongoose.Types.ObjectId().toString() },
+    params: { id: phone.sessionId.toString() }
+  }, stranger);
+  assert.strictEqual(stranger.statusCode, 404);
+  assert.strictEqual((await authenticate(phone.token)).userId, user._id.toString());
+
+  await revokeSession({ user: caller, params: { id: phone.sessionId.toString() } }, mockResponse());
+  assert.strictEqual((await authenticate(phone.token)).statusCode, 401);
+});
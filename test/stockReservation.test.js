@@ -0,0 +1,371 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Stripe = require('stripe');
+
+// No database: models are backed by in-memory collections, and a query that
+// slips past them fails instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const AuditLog = require('../models/AuditLog');
+const StockSubscription = require('../models/StockSubscription');
+const { getRolePermissions } = require('../utils/permissions');
+const { reserveStock } = require('../utils/inventory');
+const { CheckoutError, placeOrder } = require('../utils/checkout');
+const { releaseExpiredReservations } = require('../jobs/stockReservations');
+const ordersRouter = require('../routes/orders');
+const paymentsRouter = require('../routes/payments');
+const { captureEmails, flush, mockCollection, mockResponse, routeHandler } = require('./helpers');
+
+const updateStatus = routeHandler(ordersRouter, 'put', '/:id/status');
+const cancelOrder = routeHandler(ordersRouter, 'put', '/:id/cancel');
+const refundPayment = routeHandler(paymentsRouter, 'post', '/refund');
+
+let products;
+let orders;
+
+beforeEach((t) => {
+  captureEmails();
+  products = mockCollection(t, Product);
+  orders = mockCollection(t, Order);
+  t.mock.method(Cart, 'findOne', async () => null);
+  t.mock.method(AuditLog, 'record', async () => {});
+  t.mock.method(StockSubscription, 'aggregate', async () => []);
+});
+
+const addProduct = (name, stock, variants = []) => {
+  const id = new mongoose.Types.ObjectId();
+  products.push({
+    _id: id,
+    name,
+    stock,
+    isActive: true,
+    variants: variants.map(variant => ({ _id: new mongoose.Types.ObjectId(), isActive: true, ...variant }))
+  });
+  return id;
+};
+
+const stored = (collection, id) => collection.find(document => document._id.equals(id));
+
+const stockOf = (product) => stored(products, product).stock;
+
+const variantOf = (product, color, size) => stored(products, product).variants
+  .find(variant => variant.color === color && variant.size === size);
+
+const quoteFor = (lines) => ({
+  lines: lines.map(({ product, quantity, variant }) => ({
+    product,
+    name: stored(products, product).name,
+    image: '',
+    price: 20,
+    quantity,
+    size: variant ? variant.size : 'M',
+    color: variant ? variant.color : 'Black',
+    variant: variant ? variant._id : undefined
+  })),
+  itemsPrice: 20,
+  taxPrice: 0,
+  shippingPrice: 0,
+  totalPrice: 20,
+  discountAmount: 0,
+  coupon: null
+});
+
+const shippingAddress = {
+  firstName: 'Test',
+  lastName: 'Buyer',
+  email: 'buyer@example.com',
+  phone: '+15555550100',
+  address: '1 Test Street',
+  city: 'Testville',
+  state: 'TS',
+  zipCode: '12345',
+  country: 'US'
+};
+
+// An order already in the database holding its stock
+const addOrder = (lines, fields = {}) => {
+  const order = new Order({
+    user: new mongoose.Types.ObjectId(),
+    orderItems: quoteFor(lines).lines,
+    shippingAddress,
+    paymentMethod: 'stripe',
+    totalPrice: 20,
+    reservation: { status: 'held', expiresAt: new Date(Date.now() - 1000) },
+    ...fields
+  });
+  orders.push(order.toObject());
+  return order._id;
+};
+
+// Products that back in stock alerts were checked for, once the queued
+// checks have run
+const alertedProducts = async () => {
+  for (let i = 0; i < 3; i++) await flush();
+  return StockSubscription.aggregate.mock.calls.map(call => call.arguments[0][0].$match.product.toString());
+};
+
+test('concurrent reservations never take more than the stock', async () => {
+  const shirt = addProduct('Last Shirts', 5);
+
+  const results = await Promise.all(
+    Array.from({ length: 20 }, () => reserveStock([{ product: shirt, quantity: 1 }]))
+  );
+
+  assert.strictEqual(results.filter(result => result.reserved).length, 5);
+  assert.strictEqual(stockOf(shirt), 0);
+
+  const failed = results.find(result => !result.reserved);
+  assert.strictEqual(failed.product, 'Last Shirts');
+  assert.strictEqual(failed.available, 0);
+});
+
+test('lines for the same product are reserved together', async () => {
+  const shirt = addProduct('Shirt', 3);
+
+  const result = await reserveStock([
+    { product: shirt, quantity: 2 },
+    { product: shirt, quantity: 2 }
+  ]);
+
+  assert.strictEqual(result.reserved, false);
+  assert.strictEqual(result.available, 3);
+  assert.strictEqual(stockOf(shirt), 3);
+});
+
+test('a failed reservation puts back what it already took', async () => {
+  const shirt = addProduct('Shirt', 10);
+  const hoodie = addProduct('Hoodie', 1);
+
+  const result = await reserveStock([
+    { product: shirt, quantity: 2 },
+    { product: hoodie, quantity: 2 }
+  ]);
+
+  assert.deepStrictEqual(result, { reserved: false, product: 'Hoodie', available: 1 });
+  assert.strictEqual(stockOf(shirt), 10);
+  assert.strictEqual(stockOf(hoodie), 1);
+});
+
+test('inactive products are not reserved', async () => {
+  const shirt = addProduct('Shirt', 10);
+  stored(products, shirt).isActive = false;
+
+  const result = await reserveStock([{ product: shirt, quantity: 1 }]);
+
+  assert.deepStrictEqual(result, { reserved: false, product: 'Shirt', available: 0 });
+  assert.strictEqual(stockOf(shirt), 10);
+});
+
+test('concurrent checkouts for the last units oversell nothing', async () => {
+  const shirt = addProduct('Last Shirts', 3);
+  const hoodie = addProduct('Hoodie', 50);
+
+  const attempts = await Promise.allSettled(
+    Array.from({ length: 10 }, () => placeOrder(new mongoose.Types.ObjectId(), {
+      quote: quoteFor([{ product: hoodie, quantity: 1 }, { product: shirt, quantity: 1 }]),
+      shippingAddress,
+      paymentMethod: 'stripe'
+    }))
+  );
+
+  const placed = attempts.filter(attempt => attempt.status === 'fulfilled').map(attempt => attempt.value);
+  const rejected = attempts.filter(attempt => attempt.status === 'rejected').map(attempt => attempt.reason);
+
+  assert.strictEqual(placed.length, 3);
+  assert.strictEqual(orders.length, 3);
+  assert.strictEqual(stockOf(shirt), 0);
+  // Losing checkouts gave their hoodie back
+  assert.strictEqual(stockOf(hoodie), 47);
+
+  rejected.forEach(error => {
+    assert.ok(error instanceof CheckoutError);
+    assert.strictEqual(error.statusCode, 409);
+  });
+
+  placed.forEach(order => {
+    assert.strictEqual(order.reservation.status, 'held');
+    assert.ok(order.reservation.expiresAt > new Date());
+  });
+});
+
+test('variants are reserved from their own stock', async () => {
+  const shirt = addProduct('Shirt', 7, [
+    { color: 'Black', size: 'M', stock: 2 },
+    { color: 'White', size: 'M', stock: 5 }
+  ]);
+  const blackM = variantOf(shirt, 'Black', 'M');
+
+  const results = await Promise.all(
+    Array.from({ length: 6 }, () => reserveStock([{ product: shirt, variant: blackM._id, quantity: 1 }]))
+  );
+
+  assert.strictEqual(results.filter(result => result.reserved).length, 2);
+  assert.strictEqual(variantOf(shirt, 'Black', 'M').stock, 0);
+  assert.strictEqual(variantOf(shirt, 'White', 'M').stock, 5);
+  assert.strictEqual(stockOf(shirt), 5);
+
+  const failed = results.find(result => !result.reserved);
+  assert.strictEqual(failed.product, 'Shirt (Black / M)');
+  assert.strictEqual(failed.available, 0);
+});
+
+test('a failed variant reservation puts back the other variants', async () => {
+  const shirt = addProduct('Shirt', 4, [
+    { color: 'Black', size: 'M', stock: 3 },
+    { color: 'Black', size: 'L', stock: 1 }
+  ]);
+
+  const result = await reserveStock([
+    { product: shirt, variant: variantOf(shirt, 'Black', 'M')._id, quantity: 2 },
+    { product: shirt, variant: variantOf(shirt, 'Black', 'L')._id, quantity: 2 }
+  ]);
+
+  assert.deepStrictEqual(result, { reserved: false, product: 'Shirt (Black / L)', available: 1 });
+  assert.strictEqual(variantOf(shirt, 'Black', 'M').stock, 3);
+  assert.strictEqual(variantOf(shirt, 'Black', 'L').stock, 1);
+  assert.strictEqual(stockOf(shirt), 4);
+});
+
+test('expired variant holds go back to the variant', async () => {
+  const shirt = addProduct('Shirt', 0, [{ color: 'Navy', size: 'XL', stock: 0 }]);
+  const order = addOrder([{ product: shirt, quantity: 2, variant: variantOf(shirt, 'Navy', 'XL') }]);
+
+  assert.strictEqual(await releaseExpiredReservations(), 1);
+  assert.strictEqual(variantOf(shirt, 'Navy', 'XL').stock, 2);
+  assert.strictEqual(stockOf(shirt), 2);
+  assert.strictEqual(stored(orders, order).status, 'cancelled');
+  assert.deepStrictEqual(await alertedProducts(), [shirt.toString()]);
+});
+
+test('cash on delivery orders commit their stock straight away', async () => {
+  const shirt = addProduct('Shirt', 2);
+
+  const order = await placeOrder(new mongoose.Types.ObjectId(), {
+    quote: quoteFor([{ product: shirt, quantity: 1 }]),
+    shippingAddress,
+    paymentMethod: 'cash_on_delivery'
+  });
+
+  assert.strictEqual(order.reservation.status, 'committed');
+  assert.strictEqual(order.reservation.expiresAt, undefined);
+  assert.strictEqual(stockOf(shirt), 1);
+});
+
+test('expired holds are released once, even by overlapping runs', async () => {
+  const shirt = addProduct('Shirt', 0);
+  const order = addOrder([{ product: shirt, quantity: 2 }]);
+
+  const released = await Promise.all([
+    releaseExpiredReservations(),
+    releaseExpiredReservations(),
+    releaseExpiredReservations()
+  ]);
+
+  assert.strictEqual(released.reduce((sum, count) => sum + count, 0), 1);
+  assert.strictEqual(stockOf(shirt), 2);
+  assert.strictEqual(stored(orders, order).status, 'cancelled');
+  assert.strictEqual(stored(orders, order).reservation.status, 'released');
+});
+
+test('orders paid after the job loaded them are not released', async () => {
+  const shirt = addProduct('Shirt', 0);
+  const order = addOrder([{ product: shirt, quantity: 1 }]);
+  const loaded = await Order.findById(order);
+
+  stored(orders, order).isPaid = true;
+  stored(orders, order).reservation.status = 'committed';
+  Order.find.mock.mockImplementationOnce(async () => [loaded]);
+
+  assert.strictEqual(await releaseExpiredReservations(), 0);
+  assert.strictEqual(stockOf(shirt), 0);
+  assert.strictEqual(stored(orders, order).status, 'pending');
+});
+
+const staff = () => ({
+  userId: new mongoose.Types.ObjectId().toString(),
+  role: 'warehouse',
+  permissions: getRolePermissions('warehouse')
+});
+
+const changeStatus = async (order, status) => {
+  const res = mockResponse();
+  await updateStatus({ user: staff(), params: { id: order.toString() }, body: { status } }, res);
+  return res;
+};
+
+test('staff cancelling an order puts its stock back once', async () => {
+  const shirt = addProduct('Shirt', 0);
+  const order = addOrder([{ product: shirt, quantity: 2 }], { reservation: { status: 'committed' } });
+
+  assert.strictEqual((await changeStatus(order, 'cancelled')).statusCode, 200);
+  assert.strictEqual(stockOf(shirt), 2);
+  assert.strictEqual(stored(orders, order).reservation.status, 'released');
+  assert.deepStrictEqual(await alertedProducts(), [shirt.toString()]);
+
+  // Refunding it afterwards doesn't restock again
+  assert.strictEqual((await changeStatus(order, 'refunded')).statusCode, 200);
+  assert.strictEqual(stockOf(shirt), 2);
+});
+
+test('refunds put stock back only for orders that never shipped', async () => {
+  const shirt = addProduct('Shirt', 0);
+  const unshipped = addOrder([{ product: shirt, quantity: 1 }], { reservation: { status: 'committed' } });
+  const shipped = addOrder([{ product: shirt, quantity: 3 }], {
+    status: 'shipped',
+    reservation: { status: 'committed' }
+  });
+
+  await changeStatus(unshipped, 'refunded');
+  assert.strictEqual(stockOf(shirt), 1);
+
+  await changeStatus(shipped, 'refunded');
+  assert.strictEqual(stockOf(shirt), 1);
+  assert.strictEqual(stored(orders, shipped).reservation.status, 'committed');
+});
+
+test('customers cannot cancel a refunded order', async () => {
+  const shirt = addProduct('Shirt', 0);
+  const customer = new mongoose.Types.ObjectId();
+  const order = addOrder([{ product: shirt, quantity: 1 }], {
+    user: customer,
+    status: 'refunded',
+    reservation: { status: 'committed' }
+  });
+
+  const res = mockResponse();
+  await cancelOrder({ user: { userId: customer.toString() }, params: { id: order.toString() }, body: {} }, res);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(stockOf(shirt), 0);
+  assert.strictEqual(stored(orders, order).status, 'refunded');
+});
+
+test('refunding the payment of an unshipped order puts its stock back', async (t) => {
+  t.mock.method(Stripe.resources.Refunds.prototype, 'create', async () => ({ id: 're_1', status: 'succeeded' }));
+  const shirt = addProduct('Shirt', 0);
+  const paid = { isPaid: true, paymentResult: { id: 'pi_1' }, reservation: { status: 'committed' } };
+  const unshipped = addOrder([{ product: shirt, quantity: 2 }], paid);
+  const shipped = addOrder([{ product: shirt, quantity: 3 }], { ...paid, status: 'shipped' });
+
+  const refund = async (order) => {
+    const res = mockResponse();
+    await refundPayment({
+      user: { userId: new mongoose.Types.ObjectId().toString(), role: 'admin', permissions: getRolePermissions('admin') },
+      body: { orderId: order.toString() }
+    }, res);
+    return res;
+  };
+
+  assert.strictEqual((await refund(unshipped)).statusCode, 200);
+  assert.strictEqual(stockOf(shirt), 2);
+  assert.strictEqual(stored(orders, unshipped).status, 'refunded');
+  assert.deepStrictEqual(await alertedProducts(), [shirt.toString()]);
+
+  assert.strictEqual((await refund(shipped)).statusCode, 200);
+  assert.strictEqual(stockOf(shirt), 2);
+  assert.strictEqual(stored(orders, shipped).reservation.status, 'committed');
+});
@@ -0,0 +1,152 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const totp = require('../utils/totp');
+const authRouter = require('../routes/auth');
+const { captureEmails, mockResponse, routeHandler } = require('./helpers');
+
+const setup2fa = routeHandler(authRouter, 'post', '/2fa/setup');
+const disable2fa = routeHandler(authRouter, 'post', '/2fa/disable');
+const changeEmail = routeHandler(authRouter, 'post', '/change-email');
+const changePassword = routeHandler(authRouter, 'put', '/change-password');
+const verifyEmail = routeHandler(authRouter, 'get', '/verify-email/:token');
+const resetPassword = routeHandler(authRouter, 'post', '/reset-password/:token');
+
+// "12345678901234567890" from the RFC 6238 test vectors
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+let user;
+let session;
+let emails;
+
+beforeEach((t) => {
+  emails = captureEmails();
+  user = new User({ name: 'Jane Customer', email: 'jane@example.com', role: 'user' });
+  session = new Session({ user: user._id, refreshTokenHash: 'x', expiresAt: new Date(Date.now() + 60000) });
+  session.createdAt = new Date();
+
+  t.mock.method(User, 'findById', () => ({ select: async () => user }));
+  t.mock.method(User, 'findByEmail', async () => null);
+  t.mock.method(User.prototype, 'save', async function() { return this; });
+  t.mock.method(Session, 'findById', async (id) => (id === session._id.toString() ? session : null));
+});
+
+const call = async (handler, body) => {
+  const res = mockResponse();
+  await handler({ user: { userId: user._id.toString(), role: user.role, sessionId: session._id.toString() }, body }, res);
+  return res;
+};
+
+test('codes match the RFC 6238 test vectors', () => {
+  assert.strictEqual(totp.generateCode(RFC_SECRET, 1), '287082');
+  assert.strictEqual(totp.generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+});
+
+test('codes from the neighbouring steps are accepted, older ones are not', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1111111109 * 1000 });
+  const step = Math.floor(1111111109 / 30);
+
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step)), step);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1)), step - 1);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2)), null);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, 'abcdef'), null);
+});
+
+test('setting up 2FA needs the password of an account that has one', async () => {
+  user.password = bcrypt.hashSync('Correct-Horse-9', 4);
+
+  assert.strictEqual((await call(setup2fa, {})).body.message, 'Password is required');
+  assert.strictEqual((await call(setup2fa, { password: 'wrong' })).body.message, 'Password is incorrect');
+  assert.strictEqual(user.twoFactor.pendingSecret, undefined);
+
+  const res = await call(setup2fa, { password: 'Correct-Horse-9' });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(user.twoFactor.pendingSecret, res.body.data.secret);
+});
+
+test('accounts without a password set up 2FA only right after signing in', async () => {
+  session.createdAt = new Date(Date.now() - 60 * 60 * 1000);
+  const stale = await call(setup2fa, {});
+  assert.strictEqual(stale.statusCode, 400);
+  assert.match(stale.body.message, /sign in again/);
+  assert.strictEqual(user.twoFactor.pendingSecret, undefined);
+
+  session.createdAt = new Date(Date.now() - 2 * 60 * 1000);
+  const fresh = await call(setup2fa, {});
+  assert.strictEqual(fresh.statusCode, 200);
+  assert.ok(user.twoFactor.pendingSecret);
+});
+
+test('accounts without a password can still turn 2FA off', async () => {
+  user.twoFactor = { enabled: true, secret: totp.generateSecret() };
+
+  const res = await call(disable2fa, { code: totp.generateCode(user.twoFactor.secret) });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(user.twoFactor.enabled, false);
+});
+
+test('accounts without a password change email only right after signing in', async () => {
+  session.createdAt = new Date(Date.now() - 60 * 60 * 1000);
+  const stale = await call(changeEmail, { newEmail: 'jane@new.example.com' });
+  assert.strictEqual(stale.statusCode, 400);
+  assert.strictEqual(emails.length, 0);
+
+  session.createdAt = new Date();
+  const fresh = await call(changeEmail, { newEmail: 'jane@new.example.com' });
+  assert.strictEqual(fresh.statusCode, 200);
+  assert.strictEqual(emails[0].to, 'jane@new.example.com');
+});
+
+test('accounts without a password set one only right after signing in', async (t) => {
+  t.mock.method(Session, 'revokeAllForUser', async () => {});
+
+  session.createdAt = new Date(Date.now() - 60 * 60 * 1000);
+  const stale = await call(changePassword, { newPassword: 'Tangerine-Bicycle-42' });
+  assert.strictEqual(stale.statusCode, 400);
+  assert.match(stale.body.message, /sign in again/);
+  assert.strictEqual(user.password, undefined);
+
+  session.createdAt = new Date();
+  const fresh = await call(changePassword, { newPassword: 'Tangerine-Bicycle-42' });
+  assert.strictEqual(fresh.statusCode, 200);
+  assert.strictEqual(user.password, 'Tangerine-Bicycle-42');
+});
+
+test('verifying the email of a 2FA account asks for the second factor', async (t) => {
+  user.twoFactor = { enabled: true, secret: totp.generateSecret() };
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(Session, 'create', async () => assert.fail('no session before the second factor'));
+
+  const res = mockResponse();
+  await verifyEmail({ params: { token: 'emailed-token' } }, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.twoFactorRequired, true);
+  assert.ok(res.body.challengeToken);
+  assert.strictEqual(res.body.token, undefined);
+  assert.strictEqual(user.emailVerified, true);
+});
+
+test('resetting the password of a 2FA account asks for the second factor', async (t) => {
+  user.twoFactor = { enabled: true, secret: totp.generateSecret() };
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(Session, 'revokeAllForUser', async () => {});
+  t.mock.method(Session, 'create', async () => assert.fail('no session before the second factor'));
+
+  const res = mockResponse();
+  await resetPassword({ params: { token: 'emailed-token' }, body: { password: 'Tangerine-Bicycle-42' } }, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.twoFactorRequired, true);
+  assert.ok(res.body.challengeToken);
+  assert.strictEqual(res.body.refreshToken, undefined);
+  assert.strictEqual(user.password, 'Tangerine-Bicycle-42');
+});
@@ -0,0 +1,144 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database: users, products and carts live in in-memory collections
+mongoose.set('bufferCommands', false);
+
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const usersRouter = require('../routes/users');
+const productsRouter = require('../routes/products');
+const { flush, mockCollection, mockResponse, routeHandler } = require('./helpers');
+
+const addToWishlist = routeHandler(usersRouter, 'post', '/me/wishlist');
+const removeFromWishlist = routeHandler(usersRouter, 'delete', '/me/wishlist/:productId');
+const moveToCart = routeHandler(usersRouter, 'post', '/me/wishlist/:productId/move-to-cart');
+const shareWishlist = routeHandler(usersRouter, 'post', '/me/wishlist/share');
+const unshareWishlist = routeHandler(usersRouter, 'delete', '/me/wishlist/share');
+const sharedWishlist = routeHandler(usersRouter, 'get', '/wishlists/:token');
+const updateProduct = routeHandler(productsRouter, 'put', '/:id');
+
+let user;
+let users;
+let products;
+let carts;
+let notifications;
+
+beforeEach((t) => {
+  user = new User({ name: 'Jane Customer', email: 'jane@example.com', password: 'x', role: 'user' });
+  users = mockCollection(t, User, [user.toObject()]);
+  products = mockCollection(t, Product);
+  carts = mockCollection(t, Cart);
+  notifications = mockCollection(t, Notification);
+  t.mock.method(AuditLog, 'record', async () => {});
+});
+
+const addProduct = (name, price, stock = 10) => {
+  const id = new mongoose.Types.ObjectId();
+  products.push({ _id: id, name, price, stock, isActive: true, variants: [], images: [], sizes: [], colors: [] });
+  return id;
+};
+
+const call = async (handler, { params = {}, body = {}, userId = user._id } = {}) => {
+  const res = mockResponse();
+  await handler({ user: { userId: userId.toString(), role: 'user' }, params, body }, res);
+  return res;
+};
+
+// Let queued alerts finish, each of their queries taking a tick
+const settle = async () => {
+  for (let i = 0; i < 10; i++) await flush();
+};
+
+const add = (productId) => call(addToWishlist, { body: { productId: productId.toString() } });
+
+test('a product is listed once with its current price and stock', async () => {
+  const tee = addProduct('Black Tee', 25, 0);
+
+  await add(tee);
+  const res = await add(tee);
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.strictEqual(res.body.data.count, 1);
+  assert.deepStrictEqual(
+    [res.body.data.items[0].name, res.body.data.items[0].price, res.body.data.items[0].inStock],
+    ['Black Tee', 25, false]
+  );
+
+  const removed = await call(removeFromWishlist, { params: { productId: tee.toString() } });
+  assert.strictEqual(removed.body.data.count, 0);
+  assert.strictEqual((await call(removeFromWishlist, { params: { productId: tee.toString() } })).statusCode, 404);
+});
+
+test('inactive products cannot be added', async () => {
+  const tee = addProduct('Black Tee', 25);
+  products[0].isActive = false;
+
+  assert.strictEqual((await add(tee)).statusCode, 404);
+  assert.deepStrictEqual(users[0].wishlist, []);
+});
+
+test('moving to the cart takes the product off the wishlist', async () => {
+  const tee = addProduct('Black Tee', 25, 3);
+  await add(tee);
+
+  const tooMany = await call(moveToCart, { params: { productId: tee.toString() }, body: { quantity: 4 } });
+  assert.strictEqual(tooMany.statusCode, 400);
+  assert.strictEqual(users[0].wishlist.length, 1);
+
+  const res = await call(moveToCart, { params: { productId: tee.toString() }, body: { quantity: 2 } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.data.count, 0);
+  assert.strictEqual(carts[0].items[0].quantity, 2);
+  assert.ok(carts[0].user.equals(user._id));
+});
+
+test('a shared wishlist shows active products and only the owner\'s first name', async () => {
+  const tee = addProduct('Black Tee', 25);
+  const mug = addProduct('Mug', 12);
+  await add(tee);
+  await add(mug);
+  products[1].isActive = false;
+
+  const { token } = (await call(shareWishlist)).body.data;
+  assert.strictEqual((await call(shareWishlist)).body.data.token, token);
+
+  const res = mockResponse();
+  await sharedWishlist({ params: { token } }, res);
+
+  assert.strictEqual(res.body.data.owner, 'Jane');
+  assert.deepStrictEqual(res.body.data.items.map(item => item.name), ['Black Tee']);
+  assert.strictEqual(res.body.data.items[0].stock, undefined);
+
+  await call(unshareWishlist);
+  const unshared = mockResponse();
+  await sharedWishlist({ params: { token } }, unshared);
+  assert.strictEqual(unshared.statusCode, 404);
+});
+
+test('a price drop notifies everyone with the product on their wishlist', async () => {
+  const tee = addProduct('Black Tee', 25);
+  const other = new User({ name: 'Sam Shopper', email: 'sam@example.com', password: 'x', role: 'user' });
+  users.push(other.toObject());
+  await add(tee);
+  await call(addToWishlist, { body: { productId: tee.toString() }, userId: other._id });
+  users[1].isActive = false;
+
+  const admin = { user: { userId: new mongoose.Types.ObjectId().toString(), role: 'admin' }, get: () => undefined };
+  await updateProduct({ ...admin, params: { id: tee.toString() }, body: { price: 30 } }, mockResponse());
+  await settle();
+  assert.strictEqual(notifications.length, 0);
+
+  await updateProduct({ ...admin, params: { id: tee.toString() }, body: { price: 20 } }, mockResponse());
+  await settle();
+
+  assert.strictEqual(notifications.length, 1);
+  assert.ok(notifications[0].user.equals(user._id));
+  assert.strictEqual(notifications[0].type, 'price_drop');
+  assert.match(notifications[0].message, /now \$20\.00 \(was \$30\.00\)/);
+});
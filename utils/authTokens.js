@@ -0,0 +1,111 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const Cart = require('../models/Cart');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const IMPERSONATION_MINUTES = parseInt(process.env.IMPERSONATION_MINUTES) || 15;
+
+// How recently an account without a password must have signed in to make
+// security changes, in place of re-entering a password
+const REAUTH_MINUTES = parseInt(process.env.REAUTH_MINUTES) || 10;
+
+// Generate short-lived JWT access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+// Generate short-lived token proving the password step of a 2FA login
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa_challenge' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Verify a 2FA challenge token, returns the user ID or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa_challenge' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Client metadata recorded on the session
+const getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip || ''
+});
+
+// Start a new session and return the access/refresh token pair. A guest
+// cart sent as X-Cart-Token is merged into the user's cart.
+const issueAuthTokens = async (userId, req) => {
+  const { session, refreshToken } = await Session.start(userId, getClientInfo(req));
+
+  const cartToken = req.get('x-cart-token');
+  if (cartToken) {
+    await Cart.mergeGuestCart(cartToken, userId).catch(error => {
+      console.error('Merge guest cart error:', error);
+    });
+  }
+
+  return {
+    token: generateAccessToken(userId, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    sessionId: session._id
+  };
+};
+
+// Start a short-lived session for a staff member acting as another user.
+// No refresh token is issued, the session ends when the token expires.
+const issueImpersonationToken = async (userId, impersonatorId, req) => {
+  const ttl = IMPERSONATION_MINUTES * 60 * 1000;
+  const { session } = await Session.start(userId, {
+    ...getClientInfo(req),
+    impersonatedBy: impersonatorId,
+    ttl
+  });
+
+  const token = jwt.sign(
+    { userId, sid: session._id, impersonatedBy: impersonatorId },
+    process.env.JWT_SECRET,
+    { expiresIn: IMPERSONATION_MINUTES * 60 }
+  );
+
+  return {
+    token,
+    expiresIn: `${IMPERSONATION_MINUTES}m`,
+    expiresAt: session.expiresAt,
+    sessionId: session._id
+  };
+};
+
+// Check it's the account holder before a security change: by password, or
+// for accounts without one (social login) by a sign-in in the last few
+// minutes. Returns an error message, or null.
+const confirmIdentity = async (user, password, req) => {
+  if (user.password) {
+    if (!password) return 'Password is required';
+    return (await user.comparePassword(password)) ? null : 'Password is incorrect';
+  }
+
+  const session = req.user.sessionId ? await Session.findById(req.user.sessionId) : null;
+  if (session && Date.now() - session.createdAt.getTime() <= REAUTH_MINUTES * 60 * 1000) {
+    return null;
+  }
+  return `Please sign in again to confirm it's you, then retry within ${REAUTH_MINUTES} minutes`;
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  getClientInfo,
+  issueAuthTokens,
+  issueImpersonationToken,
+  confirmIdentity
+};
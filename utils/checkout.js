@@ -0,0 +1,211 @@
+const { body } = require('express-validator');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const Coupon = require('../models/Coupon');
+const { sendEmailInBackground } = require('./mailer');
+const { reserveStock, releaseStock, reservationFor } = require('./inventory');
+
+// Error with an HTTP status, thrown while placing an order
+class CheckoutError extends Error {
+  constructor(message, statusCode = 400, details = undefined) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Validation rules for the shipping/payment part of a checkout request
+const checkoutValidation = [
+  body('shippingAddress.firstName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  body('shippingAddress.lastName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters'),
+  body('shippingAddress.email')
+    .isEmail()
+    .withMessage('Please provide a valid email'),
+  body('shippingAddress.phone')
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+  body('shippingAddress.address')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Address must be between 5 and 200 characters'),
+  body('shippingAddress.city')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('City must be between 2 and 50 characters'),
+  body('shippingAddress.state')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('State must be between 2 and 50 characters'),
+  body('shippingAddress.zipCode')
+    .trim()
+    .isLength({ min: 5, max: 10 })
+    .withMessage('Zip code must be between 5 and 10 characters'),
+  body('shippingAddress.country')
+    .trim()
+    .isLength({ min: 2, max: 56 })
+    .withMessage('Country must be between 2 and 56 characters'),
+  body('paymentMethod')
+    .isIn(['stripe', 'paypal', 'cash_on_delivery'])
+    .withMessage('Please select a valid payment method'),
+  body('shippingMethod').optional().isString().trim()
+];
+
+// Validation rules for the items of an order or quote
+const orderItemsValidation = [
+  body('orderItems')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Order must contain at least one item'),
+  body('orderItems.*.product')
+    .isMongoId()
+    .withMessage('Please provide a valid product ID'),
+  body('orderItems.*.quantity')
+    .isInt({ min: 1, max: 99 })
+    .withMessage('Quantity must be between 1 and 99')
+    .toInt(),
+  body('orderItems.*.size').optional().isString().trim(),
+  body('orderItems.*.color').optional().isString().trim()
+];
+
+// Check requested items against live products and build order lines at the
+// current price. Returns { orderItems, itemsPrice }.
+const buildOrderItems = async (items) => {
+  const orderItems = [];
+  let itemsPrice = 0;
+
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+    if (!product) {
+      throw new CheckoutError(`Product not found: ${item.name || item.product}`, 404);
+    }
+
+    if (!product.isActive) {
+      throw new CheckoutError(`Product is not available: ${product.name}`);
+    }
+
+    // Products with variants need a size/color that exists
+    const options = product.variants.length > 0
+      ? product.resolveOptions(item)
+      : { size: item.size || 'One Size', color: item.color || 'Default' };
+    if (options.error) {
+      throw new CheckoutError(options.error);
+    }
+
+    const available = product.availableStock(options);
+    if (available < item.quantity) {
+      throw new CheckoutError(`Insufficient stock for ${product.name}. Available: ${available}`);
+    }
+
+    const variant = product.findVariant(options);
+    const price = product.priceFor(options);
+
+    orderItems.push({
+      product: product._id,
+      name: product.name,
+      image: product.imageFor(options),
+      price,
+      quantity: item.quantity,
+      size: options.size,
+      color: options.color,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : product.sku,
+      category: product.category,
+      weight: product.weight || 0
+    });
+
+    itemsPrice += price * item.quantity;
+  }
+
+  return {
+    orderItems,
+    itemsPrice: Math.round(itemsPrice * 100) / 100
+  };
+};
+
+// Create the order from a quote (see utils/pricing.js): reserve its stock,
+// redeem its coupon and send the confirmation. Unpaid online orders hold their
+// stock until the reservation expires (see jobs/stockReservations.js). Ordered
+// lines leave the user's cart, and an order following an abandoned cart
+// reminder is attributed to it.
+const placeOrder = async (userId, { quote, shippingAddress, paymentMethod }) => {
+  const cart = await Cart.findOne({ user: userId });
+  const couponCode = quote.coupon ? quote.coupon.code : '';
+
+  const stock = await reserveStock(quote.lines);
+  if (!stock.reserved) {
+    throw new CheckoutError(
+      `Insufficient stock for ${stock.product}. Available: ${stock.available}`,
+      409,
+      { product: stock.product, available: stock.available }
+    );
+  }
+
+  const order = new Order({
+    user: userId,
+    orderItems: quote.lines,
+    shippingAddress,
+    paymentMethod,
+    itemsPrice: quote.itemsPrice,
+    taxPrice: quote.taxPrice,
+    taxIncluded: quote.taxIncluded,
+    shippingTax: quote.shippingTax,
+    taxBreakdown: quote.taxBreakdown,
+    shippingPrice: quote.shippingPrice,
+    shippingDiscount: quote.shippingDiscount,
+    shippingMethod: quote.shippingMethod,
+    totalPrice: quote.totalPrice,
+    discountAmount: quote.discountAmount,
+    couponCode,
+    recovery: cart ? cart.getRecoveryAttribution(couponCode) : null,
+    reservation: reservationFor(paymentMethod)
+  });
+
+  let couponUsage = null;
+  let savedOrder;
+  try {
+    if (quote.coupon) {
+      couponUsage = await Coupon.redeem(quote.coupon.id, userId, quote.itemsPrice);
+      if (!couponUsage) {
+        throw new CheckoutError('This coupon can no longer be used', 400, { field: 'couponCode' });
+      }
+    }
+
+    savedOrder = await order.save();
+  } catch (error) {
+    if (couponUsage) {
+      await Coupon.release(quote.coupon.id, couponUsage);
+    }
+    await releaseStock(quote.lines);
+    throw error;
+  }
+
+  const orderItems = savedOrder.orderItems;
+
+  if (cart) {
+    cart.removeOrderedItems(orderItems);
+    cart.markActive();
+    await cart.save();
+  }
+
+  sendEmailInBackground(savedOrder.shippingAddress.email, 'orderConfirmation', {
+    name: savedOrder.shippingAddress.firstName,
+    order: savedOrder
+  });
+
+  return savedOrder;
+};
+
+module.exports = {
+  CheckoutError,
+  checkoutValidation,
+  orderItemsValidation,
+  buildOrderItems,
+  placeOrder
+};
@@ -0,0 +1,134 @@
+const Product = require('../models/Product');
+
+// How long stock stays held for an order waiting on online payment
+const RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES) || 30;
+
+// Total quantity per product variant, so the same variant on several lines
+// is reserved in one step. Lines for products without variants have none.
+const quantitiesByVariant = (items) => {
+  const quantities = new Map();
+  items.forEach(item => {
+    const key = `${item.product}:${item.variant || ''}`;
+    const entry = quantities.get(key) || { product: item.product, variant: item.variant, quantity: 0 };
+    entry.quantity += item.quantity;
+    quantities.set(key, entry);
+  });
+  return [...quantities.values()];
+};
+
+// Put stock back. A variant's stock and the product total move together; a
+// variant that has since been removed has nothing to go back to.
+const releaseStock = async (items) => {
+  for (const { product, variant, quantity } of quantitiesByVariant(items)) {
+    if (variant) {
+      await Product.adjustVariantStock(product, variant, quantity);
+    } else {
+      await Product.updateOne({ _id: product }, { $inc: { stock: quantity } });
+    }
+  }
+};
+
+// Units of a product (variant) still available, for error messages
+const availableStock = async (productId, variantId) => {
+  const product = await Product.findById(productId).select('name stock isActive variants');
+  if (!product) return { product: productId.toString(), available: 0 };
+
+  const variant = variantId && product.variants.id(variantId);
+  return {
+    product: variant ? `${product.name} (${variant.color} / ${variant.size})` : product.name,
+    available: !product.isActive || (variantId && !(variant && variant.isActive))
+      ? 0
+      : Math.max(variant ? variant.stock : product.stock, 0)
+  };
+};
+
+// Take items out of stock. Each product (variant) is decremented with a
+// conditional update, so two checkouts can't both take the last unit. If any
+// is short, what was already taken is put back.
+// Returns { reserved: true } or { reserved: false, product, available }.
+const reserveStock = async (items) => {
+  const taken = [];
+
+  for (const entry of quantitiesByVariant(items)) {
+    const { product, variant, quantity } = entry;
+    const updated = variant
+      ? await Product.adjustVariantStock(product, variant, -quantity, { active: true })
+      : await Product.findOneAndUpdate(
+        { _id: product, isActive: true, stock: { $gte: quantity } },
+        { $inc: { stock: -quantity } },
+        { new: true }
+      );
+
+    if (!updated) {
+      await releaseStock(taken);
+      return { reserved: false, ...(await availableStock(product, variant)) };
+    }
+
+    taken.push(entry);
+  }
+
+  return { reserved: true };
+};
+
+// When a new order's hold on stock runs out. Cash on delivery orders don't
+// wait for payment, so their stock is committed straight away.
+const reservationFor = (paymentMethod, now = Date.now()) => (
+  paymentMethod === 'cash_on_delivery'
+    ? { status: 'committed' }
+    : { status: 'held', expiresAt: new Date(now + RESERVATION_MINUTES * 60 * 1000) }
+);
+
+// Give an order's stock back unless it already was. The status change is
+// claimed atomically, so a customer cancelling while the expiry job runs
+// can't restock twice; `conditions` narrow the claim further. Orders from
+// before reservations have none and still hold their stock. Returns whether
+// stock was released.
+const releaseReservation = async (order, conditions = {}) => {
+  const claimed = await order.constructor.updateOne(
+    { _id: order._id, 'reservation.status': { $ne: 'released' }, ...conditions },
+    { $set: { 'reservation.status': 'released' } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  order.set('reservation.status', 'released');
+  await releaseStock(order.orderItems);
+  return true;
+};
+
+// Put an order's stock back for a status it is about to move to: cancelling,
+// or refunding an order that never shipped. Shipped goods come back as
+// returns. Returns whether stock was released.
+const releaseForStatus = async (order, status) => {
+  const restocks = status === 'cancelled' ||
+    (status === 'refunded' && !['shipped', 'delivered'].includes(order.status));
+  return restocks && releaseReservation(order);
+};
+
+// Keep an order's stock once it is paid. A payment that arrives after the
+// hold was released has to take the stock again, which fails if it has sold
+// out since. Returns whether the order has its stock.
+const commitReservation = async (order) => {
+  const claimed = await order.constructor.updateOne(
+    { _id: order._id, 'reservation.status': { $ne: 'released' } },
+    { $set: { 'reservation.status': 'committed' } }
+  );
+
+  if (claimed.matchedCount === 0) {
+    const stock = await reserveStock(order.orderItems);
+    if (!stock.reserved) return false;
+    await order.constructor.updateOne({ _id: order._id }, { $set: { 'reservation.status': 'committed' } });
+  }
+
+  order.set('reservation.status', 'committed');
+  return true;
+};
+
+module.exports = {
+  RESERVATION_MINUTES,
+  reserveStock,
+  releaseStock,
+  reservationFor,
+  releaseReservation,
+  releaseForStatus,
+  commitReservation
+};
@@ -0,0 +1,63 @@
+const templates = require('./templates');
+const { createTransport } = require('./transports');
+
+// Transport is picked by EMAIL_TRANSPORT (smtp, file or console).
+// Defaults to SMTP in production and console everywhere else.
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.EMAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    transport = createTransport(name);
+  }
+  return transport;
+};
+
+// Replace the active transport (e.g. with a file transport in tests)
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+// Render a template and deliver it
+const sendEmail = async (to, templateName, data = {}) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const { subject, html, text } = template(data);
+
+  return await getTransport().send({
+    from: process.env.EMAIL_FROM || 'InkSoul <no-reply@inksoul.com>',
+    to,
+    subject,
+    html,
+    text
+  });
+};
+
+// Fire-and-forget variant for emails that must not fail the request
+const sendEmailInBackground = (to, templateName, data = {}) => {
+  sendEmail(to, templateName, data).catch(error => {
+    console.error(`Failed to send ${templateName} email to ${to}:`, error.message);
+  });
+};
+
+// Build a link into the frontend app
+const clientUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}`;
+
+// Build a link to this API (for links that are not handled by the frontend)
+const apiUrl = (path) => `${process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`}${path}`;
+
+// Whether token URLs may be echoed in API responses (local development only)
+const exposeTokenUrls = () => process.env.EXPOSE_TOKEN_URLS === 'true';
+
+module.exports = {
+  sendEmail,
+  sendEmailInBackground,
+  setTransport,
+  clientUrl,
+  apiUrl,
+  exposeTokenUrls
+};
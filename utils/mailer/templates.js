@@ -0,0 +1,186 @@
+// Email templates. Each template takes a data object and returns
+// { subject, html, text }.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatPrice = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+// Shared HTML wrapper for all messages
+const layout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; color: #222; background: #f6f6f6; padding: 24px;">
+    <div style="max-width: 560px; margin: 0 auto; background: #fff; padding: 32px; border-radius: 8px;">
+      <h2 style="margin-top: 0;">${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <p style="color: #888; font-size: 12px; margin-top: 32px;">InkSoul &middot; This is an automated message, please do not reply.</p>
+    </div>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="display: inline-block; background: #111; color: #fff; padding: 12px 20px; border-radius: 4px; text-decoration: none;">${escapeHtml(label)}</a></p>
+      <p style="font-size: 12px; color: #666;">Or copy this link into your browser:<br>${escapeHtml(url)}</p>`;
+
+const orderItemsHtml = (items = []) => `<table style="width: 100%; border-collapse: collapse;">
+        ${items.map(item => `<tr>
+          <td style="padding: 4px 0;">${escapeHtml(item.name)} (${escapeHtml(item.size)}, ${escapeHtml(item.color)}) &times; ${escapeHtml(item.quantity)}</td>
+          <td style="padding: 4px 0; text-align: right;">${formatPrice(item.price * item.quantity)}</td>
+        </tr>`).join('')}
+      </table>`;
+
+const orderItemsText = (items = []) => items
+  .map(item => `- ${item.name} (${item.size}, ${item.color}) x ${item.quantity}: ${formatPrice(item.price * item.quantity)}`)
+  .join('\n');
+
+const templates = {
+  verifyEmail: ({ name, url }) => ({
+    subject: 'Verify your InkSoul email address',
+    html: layout('Verify your email', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Thanks for signing up! Please confirm your email address.</p>
+      ${button(url, 'Verify email')}`),
+    text: `Hi ${name},\n\nThanks for signing up! Please confirm your email address:\n${url}\n`
+  }),
+
+  passwordReset: ({ name, url }) => ({
+    subject: 'Reset your InkSoul password',
+    html: layout('Reset your password', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We received a request to reset your password. This link expires in 1 hour.</p>
+      ${button(url, 'Reset password')}
+      <p>If you didn't request this, you can safely ignore this email.</p>`),
+    text: `Hi ${name},\n\nWe received a request to reset your password. This link expires in 1 hour:\n${url}\n\nIf you didn't request this, you can safely ignore this email.\n`
+  }),
+
+  magicLink: ({ name, url, minutes }) => ({
+    subject: 'Your InkSoul login link',
+    html: layout('Log in to InkSoul', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Use the button below to log in. The link can only be used once and expires in ${escapeHtml(minutes)} minutes.</p>
+      ${button(url, 'Log in')}
+      <p>If you didn't request this, you can safely ignore this email.</p>`),
+    text: `Hi ${name},\n\nUse this link to log in. It can only be used once and expires in ${minutes} minutes:\n${url}\n\nIf you didn't request this, you can safely ignore this email.\n`
+  }),
+
+  emailChangeConfirm: ({ name, newEmail, url }) => ({
+    subject: 'Confirm your new InkSoul email address',
+    html: layout('Confirm your new email', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>You asked to change your InkSoul email address to <strong>${escapeHtml(newEmail)}</strong>. The change is applied once you confirm it. This link expires in 24 hours.</p>
+      ${button(url, 'Confirm new email')}`),
+    text: `Hi ${name},\n\nYou asked to change your InkSoul email address to ${newEmail}. The change is applied once you confirm it. This link expires in 24 hours:\n${url}\n`
+  }),
+
+  emailChangeNotice: ({ name, newEmail, url }) => ({
+    subject: 'Your InkSoul email address is being changed',
+    html: layout('Email change requested', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Someone asked to change the email address on your InkSoul account to <strong>${escapeHtml(newEmail)}</strong>.</p>
+      <p>If this wasn't you, use the link below within 7 days to cancel the change (or undo it if it was already confirmed). This also signs out all devices.</p>
+      ${button(url, 'This wasn\'t me')}`),
+    text: `Hi ${name},\n\nSomeone asked to change the email address on your InkSoul account to ${newEmail}.\n\nIf this wasn't you, use this link within 7 days to cancel the change (or undo it if it was already confirmed). This also signs out all devices:\n${url}\n`
+  }),
+
+  accountLocked: ({ name, url }) => ({
+    subject: 'Your InkSoul account has been locked',
+    html: layout('Account temporarily locked', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We locked your account after several failed login attempts. It will unlock automatically after a while, or you can unlock it now.</p>
+      ${button(url, 'Unlock my account')}
+      <p>If these attempts weren't you, we recommend changing your password once you're back in.</p>`),
+    text: `Hi ${name},\n\nWe locked your account after several failed login attempts. It will unlock automatically after a while, or you can unlock it now:\n${url}\n\nIf these attempts weren't you, we recommend changing your password once you're back in.\n`
+  }),
+
+  dataExportReady: ({ name, url, expiresAt }) => ({
+    subject: 'Your InkSoul data export is ready',
+    html: layout('Your data export is ready', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>The copy of your personal data you asked for is ready to download. The link works until ${escapeHtml(new Date(expiresAt).toUTCString())}.</p>
+      ${button(url, 'Download my data')}
+      <p>If you didn't request this, please change your password.</p>`),
+    text: `Hi ${name},\n\nThe copy of your personal data you asked for is ready to download. The link works until ${new Date(expiresAt).toUTCString()}:\n${url}\n\nIf you didn't request this, please change your password.\n`
+  }),
+
+  accountDeletionScheduled: ({ name, scheduledFor, url }) => ({
+    subject: 'Your InkSoul account will be deleted',
+    html: layout('Account deletion scheduled', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We received your request to delete your InkSoul account. Your personal data will be permanently removed on <strong>${escapeHtml(new Date(scheduledFor).toUTCString())}</strong>.</p>
+      <p>Changed your mind? Log in and cancel the deletion before then.</p>
+      ${button(url, 'Keep my account')}`),
+    text: `Hi ${name},\n\nWe received your request to delete your InkSoul account. Your personal data will be permanently removed on ${new Date(scheduledFor).toUTCString()}.\n\nChanged your mind? Log in and cancel the deletion before then:\n${url}\n`
+  }),
+
+  accountDeleted: ({ name }) => ({
+    subject: 'Your InkSoul account has been deleted',
+    html: layout('Account deleted', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Your InkSoul account has been deleted and your personal data removed. Order records we must keep for accounting no longer contain your name or contact details.</p>
+      <p>Thanks for being with us.</p>`),
+    text: `Hi ${name},\n\nYour InkSoul account has been deleted and your personal data removed. Order records we must keep for accounting no longer contain your name or contact details.\n\nThanks for being with us.\n`
+  }),
+
+  abandonedCart: ({ name, items, itemsPrice, url, coupon }) => ({
+    subject: coupon ? `Your cart is waiting, with ${coupon.percent}% off` : 'You left something in your cart',
+    html: layout('Still thinking it over?', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>You left these items in your cart:</p>
+      ${orderItemsHtml(items)}
+      <p>Subtotal: <strong>${formatPrice(itemsPrice)}</strong></p>
+      ${coupon ? `<p>Use code <strong>${escapeHtml(coupon.code)}</strong> for ${escapeHtml(coupon.percent)}% off. It can be used once and expires on ${escapeHtml(new Date(coupon.expiresAt).toUTCString())}.</p>` : ''}
+      ${button(url, 'Return to my cart')}`),
+    text: `Hi ${name},\n\nYou left these items in your cart:\n\n${orderItemsText(items)}\n\nSubtotal: ${formatPrice(itemsPrice)}\n${coupon ? `\nUse code ${coupon.code} for ${coupon.percent}% off. It can be used once and expires on ${new Date(coupon.expiresAt).toUTCString()}.\n` : ''}\nReturn to your cart: ${url}\n`
+  }),
+
+  stockAlertConfirmation: ({ productName, cancelUrl }) => ({
+    subject: `We'll let you know when ${productName} is back`,
+    html: layout('Back in stock alert', `
+      <p>We'll email you once when <strong>${escapeHtml(productName)}</strong> is back in stock.</p>
+      <p style="font-size: 12px; color: #666;">Changed your mind? <a href="${escapeHtml(cancelUrl)}">Cancel this alert</a>.</p>`),
+    text: `We'll email you once when ${productName} is back in stock.\n\nChanged your mind? Cancel this alert: ${cancelUrl}\n`
+  }),
+
+  backInStock: ({ productName, url }) => ({
+    subject: `${productName} is back in stock`,
+    html: layout('Back in stock', `
+      <p>Good news: <strong>${escapeHtml(productName)}</strong> is back in stock. Quantities are limited, so don't wait too long.</p>
+      ${button(url, 'Shop now')}`),
+    text: `Good news: ${productName} is back in stock. Quantities are limited, so don't wait too long.\n\n${url}\n`
+  }),
+
+  orderConfirmation: ({ name, order }) => ({
+    subject: `Order confirmation ${order.orderNumber}`,
+    html: layout('Thanks for your order!', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We've received your order <strong>${escapeHtml(order.orderNumber)}</strong>.</p>
+      ${orderItemsHtml(order.orderItems)}
+      <p>Total: <strong>${formatPrice(order.totalPrice)}</strong></p>`),
+    text: `Hi ${name},\n\nWe've received your order ${order.orderNumber}.\n\n${orderItemsText(order.orderItems)}\n\nTotal: ${formatPrice(order.totalPrice)}\n`
+  }),
+
+  shippingUpdate: ({ name, order }) => {
+    const tracking = order.trackingNumber
+      ? `Tracking number: ${order.trackingNumber}${order.shippingCarrier ? ` (${order.shippingCarrier})` : ''}`
+      : '';
+
+    return {
+      subject: `Your order ${order.orderNumber} is ${order.status}`,
+      html: layout('Shipping update', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Your order <strong>${escapeHtml(order.orderNumber)}</strong> is now <strong>${escapeHtml(order.status)}</strong>.</p>
+      ${tracking ? `<p>${escapeHtml(tracking)}</p>` : ''}`),
+      text: `Hi ${name},\n\nYour order ${order.orderNumber} is now ${order.status}.\n${tracking ? `${tracking}\n` : ''}`
+    };
+  }
+};
+
+module.exports = templates;
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// SMTP transport backed by nodemailer
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: process.env.EMAIL_SECURE === 'true',
+    auth: process.env.EMAIL_USER ? {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+// Writes each message as a JSON file, handy for local development and tests
+const createFileTransport = () => {
+  const outboxDir = process.env.EMAIL_OUTBOX_DIR || './outbox';
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const filePath = path.join(outboxDir, `${id}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+      return { id, path: filePath };
+    }
+  };
+};
+
+// Prints messages to the console instead of delivering them
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('--- Email ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log('-------------');
+    return { id: `console-${Date.now()}` };
+  }
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+const createTransport = (name) => {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createTransport
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect client (authorization code flow with PKCE).
+//
+// Providers are listed in OIDC_PROVIDERS (e.g. "google") and configured per
+// provider with OIDC_<NAME>_ISSUER, OIDC_<NAME>_CLIENT_ID,
+// OIDC_<NAME>_CLIENT_SECRET, OIDC_<NAME>_REDIRECT_URI and optionally
+// OIDC_<NAME>_SCOPE. Endpoints come from the issuer's discovery document, so
+// any compliant IdP (including a local mock) works.
+
+const METADATA_TTL = 60 * 60 * 1000; // 1 hour
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const listProviders = () => (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+// Get provider settings, or null if the provider is not configured
+const getProviderConfig = (name) => {
+  if (!listProviders().includes(name)) return null;
+
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+  const config = {
+    name,
+    issuer: (process.env[`${prefix}ISSUER`] || '').replace(/\/+$/, ''),
+    clientId: process.env[`${prefix}CLIENT_ID`],
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+    redirectUri: process.env[`${prefix}REDIRECT_URI`] ||
+      `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback/${name}`,
+    scope: process.env[`${prefix}SCOPE`] || 'openid email profile'
+  };
+
+  return config.issuer && config.clientId ? config : null;
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+  return body;
+};
+
+// Load (and cache) the issuer's discovery document
+const getMetadata = async (config) => {
+  const cached = metadataCache.get(config.issuer);
+  if (cached && cached.fetchedAt > Date.now() - METADATA_TTL) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${config.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/+$/, '') !== config.issuer) {
+    throw new Error(`OIDC issuer mismatch: expected ${config.issuer}, got ${metadata.issuer}`);
+  }
+
+  metadataCache.set(config.issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+// Find the signing key for a token, refreshing the JWKS once on a miss
+// (providers rotate keys)
+const getSigningKey = async (metadata, kid) => {
+  const findKey = (keys) => keys.find(key => !kid || key.kid === kid);
+
+  let keys = jwksCache.get(metadata.jwks_uri);
+  let jwk = keys && findKey(keys);
+
+  if (!jwk) {
+    ({ keys } = await fetchJson(metadata.jwks_uri));
+    jwksCache.set(metadata.jwks_uri, keys);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new Error('No matching OIDC signing key found');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Create the state, nonce and PKCE verifier for a new authorization request
+const createAuthorizationParams = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+// Build the URL the user is sent to at the IdP
+const buildAuthorizationUrl = async (config, { state, nonce, codeChallenge }) => {
+  const metadata = await getMetadata(config);
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+// Exchange an authorization code and return the verified ID token claims
+const exchangeCode = async (config, { code, codeVerifier, nonce }) => {
+  const metadata = await getMetadata(config);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+  if (config.clientSecret) {
+    params.set('client_secret', config.clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: params.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('OIDC token response did not include an ID token');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw new Error('OIDC ID token is malformed');
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer: metadata.issuer,
+    audience: config.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('OIDC nonce mismatch');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  listProviders,
+  getProviderConfig,
+  createAuthorizationParams,
+  buildAuthorizationUrl,
+  exchangeCode
+};
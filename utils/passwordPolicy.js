@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CHARACTER_CLASSES = {
+  lowercase: /[a-z]/,
+  uppercase: /[A-Z]/,
+  digit: /[0-9]/,
+  symbol: /[^A-Za-z0-9]/
+};
+
+// bcrypt only uses the first 72 bytes of a password
+const MAX_LENGTH = 72;
+
+const getPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: MAX_LENGTH,
+  minCharacterClasses: parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES) || 2,
+  blockPersonalInfo: process.env.PASSWORD_BLOCK_PERSONAL_INFO !== 'false',
+  checkBreached: process.env.PASSWORD_CHECK_BREACHED !== 'false'
+});
+
+// Breached password list, indexed k-anonymity style: SHA-1 hashes are
+// grouped by their 5 character prefix and only the suffixes in that bucket
+// are compared, the same way the Have I Been Pwned range API works.
+let breachIndex = null;
+
+const loadBreachIndex = () => {
+  if (breachIndex) return breachIndex;
+
+  const listPath = process.env.PASSWORD_BREACH_LIST_PATH ||
+    path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+  breachIndex = new Map();
+
+  try {
+    const lines = fs.readFileSync(listPath, 'utf8').split('\n');
+    for (const line of lines) {
+      // Accepts plain hashes and HIBP "HASH:COUNT" lines
+      const hash = line.trim().split(':')[0].toUpperCase();
+      if (!/^[0-9A-F]{40}$/.test(hash)) continue;
+
+      const prefix = hash.slice(0, 5);
+      if (!breachIndex.has(prefix)) breachIndex.set(prefix, new Set());
+      breachIndex.get(prefix).add(hash.slice(5));
+    }
+  } catch (error) {
+    console.error('Could not load breached password list:', error.message);
+  }
+
+  return breachIndex;
+};
+
+const isInBreachList = (password) => {
+  const index = loadBreachIndex();
+
+  // Also catch capitalised variants of common passwords ("Password1")
+  return [password, password.toLowerCase()].some(candidate => {
+    const hash = crypto.createHash('sha1').update(candidate).digest('hex').toUpperCase();
+    const bucket = index.get(hash.slice(0, 5));
+    return !!bucket && bucket.has(hash.slice(5));
+  });
+};
+
+// Name parts and the email local part that must not appear in the password
+const getPersonalTokens = ({ name, email } = {}) => {
+  const tokens = [];
+  if (name) tokens.push(...String(name).toLowerCase().split(/\s+/));
+  if (email) tokens.push(String(email).toLowerCase().split('@')[0]);
+  return tokens.filter(token => token.length >= 3);
+};
+
+// Check a password against the policy. Returns { valid, reasons } where each
+// reason is { code, message }.
+const checkPassword = (password, user = {}) => {
+  const policy = getPolicy();
+  const reasons = [];
+  const value = typeof password === 'string' ? password : '';
+
+  if (value.length < policy.minLength) {
+    reasons.push({
+      code: 'too_short',
+      message: `Password must be at least ${policy.minLength} characters long`
+    });
+  }
+
+  if (Buffer.byteLength(value) > policy.maxLength) {
+    reasons.push({
+      code: 'too_long',
+      message: `Password cannot be more than ${policy.maxLength} bytes long`
+    });
+  }
+
+  const classCount = Object.values(CHARACTER_CLASSES).filter(regex => regex.test(value)).length;
+  if (classCount < policy.minCharacterClasses) {
+    reasons.push({
+      code: 'too_simple',
+      message: `Password must contain at least ${policy.minCharacterClasses} of: lowercase letters, uppercase letters, digits, symbols`
+    });
+  }
+
+  if (policy.blockPersonalInfo) {
+    const lowered = value.toLowerCase();
+    if (getPersonalTokens(user).some(token => lowered.includes(token))) {
+      reasons.push({
+        code: 'contains_personal_info',
+        message: 'Password cannot contain your name or email address'
+      });
+    }
+  }
+
+  if (policy.checkBreached && value && isInBreachList(value)) {
+    reasons.push({
+      code: 'breached',
+      message: 'This password is too common or has appeared in a data breach'
+    });
+  }
+
+  return { valid: reasons.length === 0, reasons };
+};
+
+// Response body for a rejected password
+const policyErrorResponse = (reasons) => ({
+  success: false,
+  message: 'Password does not meet the password policy',
+  reasons
+});
+
+module.exports = {
+  getPolicy,
+  checkPassword,
+  policyErrorResponse
+};
@@ -0,0 +1,80 @@
+const fs = require('fs');
+
+// Named permissions checked by requirePermission()
+const PERMISSIONS = {
+  'orders:read': 'View all customer orders',
+  'orders:fulfill': 'Update order status and tracking',
+  'payments:refund': 'Issue refunds',
+  'designs:moderate': 'Approve or reject customer designs',
+  'products:write': 'Create, edit and delete products',
+  'coupons:write': 'Create, edit and delete coupons',
+  'tax:write': 'Manage sales tax rules',
+  'shipping:write': 'Manage shipping zones, methods and rates',
+  'users:manage': 'View and manage user accounts and roles',
+  'users:impersonate': 'Sign in as a customer to see what they see',
+  'reports:read': 'View dashboard, analytics and reports',
+  'audit:read': 'View the audit log of privileged actions',
+  'api_keys:manage': 'Create, rotate and revoke API keys',
+  'system:admin': 'Maintenance operations such as seeding the database'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Built-in roles. `admin` always has every permission and `user` none.
+const DEFAULT_ROLES = {
+  user: [],
+  admin: ALL_PERMISSIONS,
+  warehouse: ['orders:read', 'orders:fulfill'],
+  design_reviewer: ['designs:moderate']
+};
+
+// Extra or overridden roles can be defined in a JSON file pointed to by
+// ROLES_CONFIG_PATH, e.g. { "support": ["orders:read", "users:manage"] }
+const loadRoles = () => {
+  const roles = { ...DEFAULT_ROLES };
+  const configPath = process.env.ROLES_CONFIG_PATH;
+
+  if (configPath) {
+    try {
+      const custom = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      Object.entries(custom).forEach(([role, permissions]) => {
+        const unknown = permissions.filter(p => !ALL_PERMISSIONS.includes(p));
+        if (unknown.length > 0) {
+          console.warn(`Role "${role}" has unknown permissions: ${unknown.join(', ')}`);
+        }
+        roles[role] = permissions.filter(p => ALL_PERMISSIONS.includes(p));
+      });
+    } catch (error) {
+      console.error('Could not load roles config:', error.message);
+    }
+  }
+
+  roles.admin = ALL_PERMISSIONS;
+  roles.user = [];
+  return roles;
+};
+
+const ROLES = loadRoles();
+
+const getRoleNames = () => Object.keys(ROLES);
+
+const getRolePermissions = (role) => ROLES[role] || [];
+
+const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+// Staff roles are those granted at least one permission
+const isStaffRole = (role) => getRolePermissions(role).length > 0;
+
+// Whoever hands out a role (or takes it away) must already hold everything it
+// grants, so no role can raise itself or anyone else above its own level
+const canManageRole = (permissions, role) =>
+  getRolePermissions(role).every(permission => permissions.includes(permission));
+
+module.exports = {
+  PERMISSIONS,
+  getRoleNames,
+  getRolePermissions,
+  hasPermission,
+  isStaffRole,
+  canManageRole
+};
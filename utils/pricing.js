@@ -0,0 +1,197 @@
+const Coupon = require('../models/Coupon');
+const { CheckoutError, buildOrderItems } = require('./checkout');
+const { calculateTax } = require('./tax');
+const { getShippingRates } = require('./shipping');
+
+// Totals a client may send with an order, checked against the quote
+const TOTAL_FIELDS = ['itemsPrice', 'discountAmount', 'shippingPrice', 'taxPrice', 'totalPrice'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Split an amount across lines in proportion to their value. The last line
+// takes the rounding difference so the shares add up exactly.
+const allocate = (amount, lines, weight = line => line.price * line.quantity) => {
+  const weights = lines.map(weight);
+  const total = weights.reduce((sum, value) => sum + value, 0);
+  if (amount <= 0 || total <= 0) return lines.map(() => 0);
+
+  const last = weights.reduce((lastIndex, value, index) => value > 0 ? index : lastIndex, -1);
+  let remaining = amount;
+  return weights.map((value, index) => {
+    if (value <= 0) return 0;
+    if (index === last) return round(remaining);
+    const share = round(amount * value / total);
+    remaining -= share;
+    return share;
+  });
+};
+
+// Look up and check a coupon code. Returns { coupon, discount } with the
+// discount spread over the lines it applies to. Free shipping coupons take
+// nothing off the items; see priceShipping().
+const priceCoupon = async (couponCode, lines, itemsPrice, userId) => {
+  const coupon = await Coupon.findByCode(couponCode);
+  if (!coupon) {
+    throw new CheckoutError('Invalid coupon code', 400, { field: 'couponCode' });
+  }
+
+  const validation = coupon.validate(itemsPrice, userId ? userId.toString() : undefined, lines);
+  if (!validation.valid) {
+    throw new CheckoutError(validation.message, 400, { field: 'couponCode' });
+  }
+
+  if (coupon.type === 'free_shipping') {
+    return { coupon, discount: 0 };
+  }
+
+  const eligibleSubtotal = coupon.getEligibleSubtotal(lines);
+  const discount = coupon.calculateDiscount(eligibleSubtotal);
+
+  const eligible = line => coupon.getEligibleSubtotal([line]) > 0;
+  const shares = allocate(discount, lines, line => eligible(line) ? line.price * line.quantity : 0);
+  lines.forEach((line, index) => { line.discount = shares[index]; });
+
+  return { coupon, discount };
+};
+
+// Whether an address has everything shipping and tax are worked out from
+const isFullAddress = (address) => !!(address && ['country', 'state', 'zipCode']
+  .every(field => String(address[field] || '').trim()));
+
+// Pick the shipping method (the cheapest unless one is asked for) and apply
+// a free shipping coupon. An estimate without a country has nothing to pick
+// yet, and leaves shipping at 0.
+const priceShipping = async ({ lines, subtotal, shippingAddress, shippingMethod, coupon }) => {
+  const rates = await getShippingRates({ lines, subtotal, shippingAddress });
+
+  if (rates.length === 0) {
+    if (shippingAddress && shippingAddress.country) {
+      throw new CheckoutError(`We don't ship to ${shippingAddress.country} yet`, 400, { field: 'shippingAddress' });
+    }
+    return { rates, selected: null, shippingPrice: 0, shippingDiscount: 0 };
+  }
+
+  const selected = shippingMethod
+    ? rates.find(rate => rate.method === String(shippingMethod).toLowerCase())
+    : rates[0];
+  if (!selected) {
+    throw new CheckoutError('That shipping method is not available for this address', 400, { field: 'shippingMethod' });
+  }
+
+  const shippingDiscount = coupon && coupon.type === 'free_shipping'
+    ? coupon.calculateDiscount(subtotal, selected.price)
+    : 0;
+
+  return {
+    rates,
+    selected,
+    shippingPrice: round(selected.price - shippingDiscount),
+    shippingDiscount
+  };
+};
+
+// Price an order on the server: current product prices, coupon discount,
+// shipping (see utils/shipping.js) and tax (see utils/tax.js). `items` are
+// { product, quantity, size, color }. Orders need a full shipping address;
+// only an `estimate` may leave it out, pricing shipping and tax at what is
+// known so far.
+const quoteOrder = async ({ items, couponCode, shippingAddress, shippingMethod }, { userId, estimate = false } = {}) => {
+  if (!estimate && !isFullAddress(shippingAddress)) {
+    throw new CheckoutError('A shipping address with country, state and zip code is required', 400, { field: 'shippingAddress' });
+  }
+
+  const { orderItems, itemsPrice } = await buildOrderItems(items);
+  const lines = orderItems.map(item => ({ ...item, discount: 0, tax: 0, taxes: [] }));
+
+  const { coupon, discount } = couponCode
+    ? await priceCoupon(couponCode, lines, itemsPrice, userId)
+    : { coupon: null, discount: 0 };
+
+  const shipping = await priceShipping({
+    lines,
+    subtotal: round(itemsPrice - discount),
+    shippingAddress,
+    shippingMethod,
+    coupon
+  });
+  const shippingPrice = shipping.shippingPrice;
+
+  const tax = await calculateTax({ lines, shippingAddress, shippingPrice, estimate });
+  const addedTax = round(tax.taxPrice - tax.taxIncluded);
+
+  return {
+    lines: lines.map(({ weight, ...line }) => ({
+      ...line,
+      lineTotal: round(line.price * line.quantity),
+      total: round(line.price * line.quantity - line.discount +
+        line.taxes.filter(t => !t.inclusive).reduce((sum, t) => sum + t.amount, 0))
+    })),
+    coupon: coupon && {
+      id: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      description: coupon.description
+    },
+    itemsPrice,
+    discountAmount: discount,
+    shippingMethod: shipping.selected && {
+      code: shipping.selected.method,
+      name: shipping.selected.name,
+      zone: shipping.selected.zone,
+      estimatedDays: shipping.selected.estimatedDays
+    },
+    shippingRates: shipping.rates,
+    shippingDiscount: shipping.shippingDiscount,
+    shippingPrice,
+    taxPrice: tax.taxPrice,
+    taxIncluded: tax.taxIncluded,
+    shippingTax: tax.shippingTax,
+    taxBreakdown: tax.breakdown,
+    totalPrice: round(Math.max(itemsPrice - discount, 0) + shippingPrice + addedTax),
+    currency: 'USD'
+  };
+};
+
+// Compare what the client expects to pay with the quote. Returns a list of
+// mismatches, each with an explanation; empty when the client agrees.
+const compareWithQuote = (quote, { orderItems = [], ...totals }) => {
+  const mismatches = [];
+  const differs = (received, expected) =>
+    received !== undefined && received !== null && received !== '' &&
+    Math.abs(Number(received) - expected) > 0.01;
+
+  orderItems.forEach((item, index) => {
+    const line = quote.lines[index];
+    if (line && differs(item.price, line.price)) {
+      mismatches.push({
+        line: index,
+        product: line.product,
+        field: 'price',
+        expected: line.price,
+        received: Number(item.price),
+        message: `${line.name} costs $${line.price.toFixed(2)} each, not $${Number(item.price).toFixed(2)}`
+      });
+    }
+  });
+
+  TOTAL_FIELDS.forEach(field => {
+    if (differs(totals[field], quote[field])) {
+      mismatches.push({
+        field,
+        expected: quote[field],
+        received: Number(totals[field]),
+        message: `${field} should be $${quote[field].toFixed(2)}, not $${Number(totals[field]).toFixed(2)}`
+      });
+    }
+  });
+
+  return mismatches;
+};
+
+module.exports = {
+  round,
+  allocate,
+  quoteOrder,
+  compareWithQuote
+};
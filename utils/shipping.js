@@ -0,0 +1,49 @@
+const ShippingZone = require('../models/ShippingZone');
+
+// Used until shipping zones are set up at /api/admin/shipping-zones
+const SHIPPING_FLAT_RATE = parseFloat(process.env.SHIPPING_FLAT_RATE) || 0;
+const FREE_SHIPPING_THRESHOLD = parseFloat(process.env.FREE_SHIPPING_THRESHOLD) || 0;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Total weight of quote lines (same unit as Product.weight)
+const cartWeight = (lines) => round(lines.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0));
+
+const flatRate = (subtotal) => [{
+  method: 'standard',
+  name: 'Standard',
+  price: FREE_SHIPPING_THRESHOLD > 0 && subtotal >= FREE_SHIPPING_THRESHOLD ? 0 : SHIPPING_FLAT_RATE,
+  estimatedDays: null,
+  zone: null
+}];
+
+// Shipping options for a cart going to an address, cheapest first. `subtotal`
+// is the items total after discounts. Returns [] when nothing ships there.
+const getShippingRates = async ({ lines, subtotal, shippingAddress }) => {
+  const zone = await ShippingZone.findForAddress(shippingAddress);
+
+  if (!zone) {
+    const configured = await ShippingZone.exists({ isActive: true });
+    return configured ? [] : flatRate(subtotal);
+  }
+
+  const weight = cartWeight(lines);
+  return zone.methods
+    .filter(method => method.isActive)
+    .map(method => ({
+      method: method.code,
+      name: method.name,
+      price: zone.priceMethod(method, { weight, subtotal }),
+      estimatedDays: method.estimatedDays && method.estimatedDays.min !== undefined
+        ? { min: method.estimatedDays.min, max: method.estimatedDays.max }
+        : null,
+      zone: zone.name
+    }))
+    .filter(rate => rate.price !== null)
+    .sort((a, b) => a.price - b.price);
+};
+
+module.exports = {
+  cartWeight,
+  getShippingRates
+};
@@ -0,0 +1,91 @@
+const TaxRule = require('../models/TaxRule');
+const { CheckoutError } = require('./checkout');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Tax on one amount under the given rules. Inclusive taxes are taken out of
+// the amount first; exclusive ones are charged on the remaining net amount.
+const taxAmount = (amount, rules, rateOf) => {
+  const inclusiveRate = rules
+    .filter(rule => rule.inclusive)
+    .reduce((sum, rule) => sum + rateOf(rule), 0);
+  const net = amount / (1 + inclusiveRate / 100);
+
+  return {
+    net: round(net),
+    taxes: rules
+      .map(rule => ({
+        rule,
+        rate: rateOf(rule),
+        amount: round(net * rateOf(rule) / 100)
+      }))
+      .filter(tax => tax.rate > 0)
+  };
+};
+
+// Work out tax for quote lines (after discounts) and shipping at an address.
+// Sets line.tax and line.taxes, and returns the order totals with a
+// breakdown per jurisdiction. Only an `estimate` may be priced without
+// knowing the jurisdiction; an order is never taxed at 0 for lack of one.
+const calculateTax = async ({ lines, shippingAddress, shippingPrice = 0, estimate = false }) => {
+  if (!estimate && !TaxRule.hasJurisdiction(shippingAddress)) {
+    throw new CheckoutError('Tax needs the country and state of the shipping address', 400, { field: 'shippingAddress' });
+  }
+
+  const rules = await TaxRule.findForAddress(shippingAddress);
+  const byRule = new Map();
+
+  const addToBreakdown = (net, { rule, rate, amount }, shipping) => {
+    const key = rule._id.toString();
+    if (!byRule.has(key)) {
+      byRule.set(key, {
+        rule: rule._id,
+        name: rule.name,
+        jurisdiction: rule.jurisdiction,
+        inclusive: rule.inclusive,
+        taxableAmount: 0,
+        shippingTax: 0,
+        amount: 0
+      });
+    }
+    const entry = byRule.get(key);
+    entry.taxableAmount = round(entry.taxableAmount + net);
+    entry.amount = round(entry.amount + amount);
+    if (shipping) entry.shippingTax = round(entry.shippingTax + amount);
+    return { jurisdiction: rule.jurisdiction, rate, amount, inclusive: rule.inclusive };
+  };
+
+  lines.forEach(line => {
+    const { net, taxes } = taxAmount(
+      line.price * line.quantity - (line.discount || 0),
+      rules,
+      rule => rule.rateFor(line.category)
+    );
+    line.taxes = taxes.map(tax => addToBreakdown(net, tax, false));
+    line.tax = round(line.taxes.reduce((sum, tax) => sum + tax.amount, 0));
+  });
+
+  let shippingTax = 0;
+  const shippingRules = rules.filter(rule => rule.taxShipping);
+  if (shippingPrice > 0 && shippingRules.length > 0) {
+    const { net, taxes } = taxAmount(shippingPrice, shippingRules, rule => rule.rate);
+    shippingTax = round(taxes
+      .map(tax => addToBreakdown(net, tax, true))
+      .reduce((sum, tax) => sum + tax.amount, 0));
+  }
+
+  const breakdown = [...byRule.values()];
+  return {
+    taxPrice: round(breakdown.reduce((sum, entry) => sum + entry.amount, 0)),
+    // Part of taxPrice already inside the item and shipping prices
+    taxIncluded: round(breakdown
+      .filter(entry => entry.inclusive)
+      .reduce((sum, entry) => sum + entry.amount, 0)),
+    shippingTax,
+    breakdown
+  };
+};
+
+module.exports = {
+  calculateTax
+};